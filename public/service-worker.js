@@ -0,0 +1,111 @@
+/* Camera Tracker service worker: keeps the app shell cached so the app opens with no signal.
+ *
+ * Served as-is from public/ and registered by src/serviceWorkerRegistration.js in production
+ * builds only. The data needs nothing from here: Firestore keeps its own offline cache and the
+ * sync queue holds writes made without a connection. Map tiles are not cached.
+ *
+ * - Pages are fetched from the network first, so a deploy shows up on the next load, and fall
+ *   back to the cached index.html offline or when the network is too slow to answer.
+ * - Build output under static/ has content hashes in its file names, so a cached copy is always
+ *   current; it is served from the cache and fetched (and cached) on first use. The bundles the
+ *   page starts with (the entrypoints in asset-manifest.json) are cached on install, as the first
+ *   visit usually loads them before this worker is in control.
+ * - The other shell files (manifest, icons) are fetched fresh when possible. Any other request
+ *   is left to the browser, so the shell cache only ever holds SHELL_FILES.
+ *
+ * Bump CACHE_VERSION when the list of shell files changes.
+ */
+const CACHE_VERSION = 2;
+const SHELL_CACHE = `camera-tracker-shell-v${CACHE_VERSION}`;
+const ASSET_CACHE = `camera-tracker-assets-v${CACHE_VERSION}`;
+// Old builds' bundles are dropped beyond this many files, oldest first.
+const MAX_ASSETS = 60;
+// How long a page request may take before the cached shell is used instead.
+const NETWORK_TIMEOUT_MS = 4000;
+
+// Relative to this file, which sits at the app's root.
+const SHELL_FILES = [
+    './index.html',
+    './manifest.json',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/apple-touch-icon.png'
+];
+const SHELL_URLS = SHELL_FILES.map(file => new URL(file, self.location).href);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+            precacheEntrypoints()
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('camera-tracker-') && key !== SHELL_CACHE && key !== ASSET_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // Firebase, map tiles and other origins handle their own caching.
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, './index.html'));
+    } else if (url.pathname.includes('/static/')) {
+        event.respondWith(cacheFirst(request));
+    } else if (SHELL_URLS.includes(url.origin + url.pathname)) {
+        event.respondWith(networkFirst(request, url.origin + url.pathname));
+    }
+});
+
+// --- Strategies ---
+
+async function networkFirst(request, cacheKey = request) {
+    const cache = await caches.open(SHELL_CACHE);
+    // Looked up first, so a failed request always has its fallback attached straight away, even
+    // when it fails after the timeout has already answered.
+    const cached = await cache.match(cacheKey);
+    const network = fetch(request).then((response) => {
+        if (response.ok) cache.put(cacheKey, response.clone());
+        return response;
+    });
+    if (!cached) return network;
+    // A weak signal can leave a request hanging long after the cached copy would have done.
+    const timeout = new Promise(resolve => setTimeout(() => resolve(cached), NETWORK_TIMEOUT_MS));
+    return Promise.race([network.catch(() => cached), timeout]);
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(ASSET_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        trimCache(cache);
+    }
+    return response;
+}
+
+// Cache keys come back in insertion order, so the first ones are the oldest.
+async function trimCache(cache) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_ASSETS)).map(key => cache.delete(key)));
+}
+
+// Written by the build next to this file; its `entrypoints` are relative to the app's root.
+async function precacheEntrypoints() {
+    const response = await fetch('./asset-manifest.json', { cache: 'no-cache' });
+    const { entrypoints = [] } = await response.json();
+    const cache = await caches.open(ASSET_CACHE);
+    await cache.addAll(entrypoints.map(path => `./${path}`));
+}
@@ -0,0 +1,575 @@
+/**
+ * Security rules tests, run against the local Firestore emulator:
+ *
+ *     npm run test:rules
+ *
+ * Writes are built with the app's own document helpers, so a change to a document shape that
+ * the rules would refuse shows up here.
+ */
+import { readFileSync } from 'fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, collection, serverTimestamp, writeBatch, arrayUnion, runTransaction } from 'firebase/firestore';
+import {
+    newCameraDoc,
+    editableFields,
+    checkedOutFields,
+    checkOutEvent,
+    checkedInFields,
+    statusChangedFields,
+    movedFields,
+    archivedFields,
+    restoredFields
+} from '../src/cameraModel';
+import { newJobDoc, normalizeJob } from '../src/jobModel';
+import { activityEntry } from '../src/activity';
+import { newWorkspaceDoc, newInvitationDoc, newMemberDoc, transferredFields, departureDoc, transferEvent } from '../src/workspaceModel';
+
+const APP_ID = 'rules-test';
+const DATA = `artifacts/${APP_ID}/public/data`;
+const NORTH = `artifacts/${APP_ID}/workspaces/north`;
+
+const USERS = {
+    alice: { displayName: 'Alice', email: 'alice@example.com', role: 'admin' },
+    tina: { displayName: 'Tina', email: 'tina@example.com', role: 'technician' },
+    tom: { displayName: 'Tom', email: 'tom@example.com', role: 'technician' },
+    vic: { displayName: 'Vic', email: 'vic@example.com', role: 'viewer' }
+};
+
+const DEPLOYMENT = { location: 'Smith Residence, Attic', lat: '45.5', lng: '-122.6', accuracy: 8 };
+
+const photo = (id) => ({
+    id,
+    path: `photos/${id}.jpg`,
+    thumbPath: `photos/${id}-thumb.jpg`,
+    width: 1600,
+    height: 1200,
+    takenAt: null,
+    lat: '',
+    lng: ''
+});
+
+let testEnv;
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'camera-tracker-rules-test',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') }
+    });
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        for (const [uid, profile] of Object.entries(USERS)) {
+            await setDoc(doc(db, `${DATA}/users/${uid}`), { ...profile, createdAt: new Date() });
+        }
+        await setDoc(doc(db, `${DATA}/settings/bootstrap`), { adminUid: 'alice' });
+        await setDoc(doc(db, `${DATA}/cameras/available`), newCameraDoc('CAM-1'));
+        await setDoc(doc(db, `${DATA}/cameras/deployed`), {
+            ...newCameraDoc('CAM-2'),
+            ...checkedOutFields(DEPLOYMENT, 'tina'),
+            checkedOutTimestamp: new Date()
+        });
+        await setDoc(doc(db, `${DATA}/cameras/repair`), { ...newCameraDoc('CAM-3'), ...statusChangedFields('repair', 'Cracked lens', 'alice') });
+        await setDoc(doc(db, `${DATA}/jobs/smith`), { ...newJobDoc({ name: 'Smith Residence' }, 'tina'), createdAt: new Date() });
+    });
+});
+
+// Signed-in users have verified their address unless `claims` says otherwise.
+function dbAs(uid, claims = {}) {
+    return uid
+        ? testEnv.authenticatedContext(uid, { email: USERS[uid]?.email || `${uid}@example.com`, email_verified: true, ...claims }).firestore()
+        : testEnv.unauthenticatedContext().firestore();
+}
+
+function cameraDoc(db, cameraId) {
+    return doc(db, `${DATA}/cameras/${cameraId}`);
+}
+
+// --- Cameras ---
+
+describe('camera reads', () => {
+    it('require sign-in', async () => {
+        await assertFails(getDoc(cameraDoc(dbAs(null), 'available')));
+        await assertSucceeds(getDoc(cameraDoc(dbAs('vic'), 'available')));
+    });
+});
+
+describe('camera creates and deletes', () => {
+    it('are admin-only', async () => {
+        await assertSucceeds(setDoc(cameraDoc(dbAs('alice'), 'new'), newCameraDoc('CAM-9', { make: 'Bushnell', batteryLevel: 80 })));
+        await assertFails(setDoc(cameraDoc(dbAs('tina'), 'new'), newCameraDoc('CAM-9')));
+        await assertFails(setDoc(cameraDoc(dbAs('vic'), 'new'), newCameraDoc('CAM-9')));
+        await testEnv.withSecurityRulesDisabled(context => updateDoc(cameraDoc(context.firestore(), 'repair'), archivedFields('alice', new Date())));
+        await assertFails(deleteDoc(cameraDoc(dbAs('tina'), 'repair')));
+        await assertSucceeds(deleteDoc(cameraDoc(dbAs('alice'), 'repair')));
+    });
+
+    it('only purge archived cameras', async () => {
+        await assertFails(deleteDoc(cameraDoc(dbAs('alice'), 'deployed')));
+        await assertFails(deleteDoc(cameraDoc(dbAs('alice'), 'available')));
+    });
+
+    it('must start available, unarchived and valid', async () => {
+        const db = dbAs('alice');
+        await assertFails(setDoc(cameraDoc(db, 'new'), { ...newCameraDoc('CAM-9'), status: 'in_use' }));
+        await assertFails(setDoc(cameraDoc(db, 'new'), { ...newCameraDoc('CAM-9'), archived: true }));
+        await assertFails(setDoc(cameraDoc(db, 'new'), newCameraDoc('')));
+        await assertFails(setDoc(cameraDoc(db, 'new'), { ...newCameraDoc('CAM-9'), batteryLevel: 150 }));
+        await assertFails(setDoc(cameraDoc(db, 'new'), { ...newCameraDoc('CAM-9'), isAdmin: true }));
+    });
+});
+
+describe('camera edits', () => {
+    it('allow staff to change descriptive fields only', async () => {
+        await assertSucceeds(updateDoc(cameraDoc(dbAs('tina'), 'available'), editableFields({ cameraNumber: 'CAM-1A', notes: 'New strap' })));
+        await assertFails(updateDoc(cameraDoc(dbAs('vic'), 'available'), editableFields({ notes: 'New strap' })));
+        await assertFails(updateDoc(cameraDoc(dbAs('tina'), 'available'), { checkedOutBy: 'tina' }));
+    });
+
+    it('cannot change status directly', async () => {
+        await assertFails(updateDoc(cameraDoc(dbAs('alice'), 'available'), { status: 'in_use' }));
+        await assertFails(updateDoc(cameraDoc(dbAs('alice'), 'deployed'), { status: 'available' }));
+    });
+});
+
+describe('check-out', () => {
+    const checkOut = (uid, cameraId, checkedOutBy = uid) => updateDoc(cameraDoc(dbAs(uid), cameraId), {
+        ...checkedOutFields({ ...DEPLOYMENT, jobId: 'smith' }, checkedOutBy),
+        deployedJobIds: arrayUnion('smith'),
+        checkedOutTimestamp: serverTimestamp()
+    });
+
+    it('succeeds for staff checking out to themselves', async () => {
+        await assertSucceeds(checkOut('tina', 'available'));
+    });
+
+    it('requires checkedOutBy to be the caller', async () => {
+        await assertFails(checkOut('tina', 'available', 'tom'));
+        await assertFails(checkOut('alice', 'available', 'tom'));
+    });
+
+    it('is refused for viewers', async () => {
+        await assertFails(checkOut('vic', 'available'));
+    });
+
+    it('only moves along legal transitions', async () => {
+        await assertFails(checkOut('tina', 'repair'));
+        await assertFails(checkOut('tom', 'deployed'));
+    });
+
+    it('needs a location and valid coordinates', async () => {
+        const db = dbAs('tina');
+        const fields = { ...checkedOutFields(DEPLOYMENT, 'tina'), checkedOutTimestamp: serverTimestamp() };
+        await assertFails(updateDoc(cameraDoc(db, 'available'), { ...fields, location: '' }));
+        await assertFails(updateDoc(cameraDoc(db, 'available'), { ...fields, geolocation: { lat: '95', lng: '10', accuracy: null } }));
+    });
+
+    it('is refused for archived cameras', async () => {
+        await testEnv.withSecurityRulesDisabled(context => updateDoc(cameraDoc(context.firestore(), 'available'), archivedFields('alice', new Date())));
+        await assertFails(checkOut('tina', 'available'));
+    });
+
+    it('may attach a limited number of photos', async () => {
+        const checkOutWith = (count) => updateDoc(cameraDoc(dbAs('tina'), 'available'), {
+            ...checkedOutFields({ ...DEPLOYMENT, photos: Array.from({ length: count }, (_, i) => photo(`p${i}`)) }, 'tina'),
+            checkedOutTimestamp: serverTimestamp()
+        });
+        await assertFails(checkOutWith(11));
+        await assertSucceeds(checkOutWith(2));
+    });
+
+    it('may carry the time it was made offline, but not a future one', async () => {
+        const checkOutAt = (at) => updateDoc(cameraDoc(dbAs('tina'), 'available'), {
+            ...checkedOutFields(DEPLOYMENT, 'tina'),
+            checkedOutTimestamp: at
+        });
+        await assertFails(checkOutAt(new Date(Date.now() + 24 * 60 * 60 * 1000)));
+        await assertSucceeds(checkOutAt(new Date(Date.now() - 60 * 60 * 1000)));
+    });
+});
+
+describe('check-in', () => {
+    const deployed = { ...newCameraDoc('CAM-2'), ...checkedOutFields(DEPLOYMENT, 'tina') };
+    const checkIn = (uid, returnData = {}) => updateDoc(cameraDoc(dbAs(uid), 'deployed'), {
+        ...checkedInFields(deployed, returnData, uid),
+        statusChangedAt: serverTimestamp()
+    });
+
+    it('succeeds for whoever checked the camera out', async () => {
+        await assertSucceeds(checkIn('tina'));
+    });
+
+    it('succeeds for an admin on anyone\'s behalf', async () => {
+        await assertSucceeds(checkIn('alice'));
+    });
+
+    it('is refused for other technicians and viewers', async () => {
+        await assertFails(checkIn('tom'));
+        await assertFails(checkIn('vic'));
+    });
+
+    it('allows the damaged and lost outcomes with a reason', async () => {
+        await assertSucceeds(checkIn('tina', { status: 'maintenance', reason: 'Housing cracked' }));
+    });
+
+    it('requires a reason for out-of-service outcomes', async () => {
+        await assertFails(checkIn('tina', { status: 'lost' }));
+    });
+
+    it('cannot return a camera straight to repair or retirement', async () => {
+        await assertFails(checkIn('tina', { status: 'repair', reason: 'Sent off' }));
+        await assertFails(checkIn('tina', { status: 'retired', reason: 'Old' }));
+    });
+
+    it('must clear the deployment', async () => {
+        await assertFails(updateDoc(cameraDoc(dbAs('tina'), 'deployed'), {
+            ...checkedInFields(deployed, {}, 'tina'),
+            checkedOutBy: 'tina',
+            statusChangedAt: serverTimestamp()
+        }));
+        await assertFails(updateDoc(cameraDoc(dbAs('tina'), 'deployed'), {
+            ...checkedInFields(deployed, {}, 'tina'),
+            photos: [photo('p1')],
+            statusChangedAt: serverTimestamp()
+        }));
+    });
+});
+
+describe('moving a deployed camera', () => {
+    const move = (uid, cameraId, geolocation = { lat: '45.6', lng: '-122.7' }) =>
+        updateDoc(cameraDoc(dbAs(uid), cameraId), movedFields(geolocation));
+
+    it('follows the check-in permission', async () => {
+        await assertSucceeds(move('tina', 'deployed'));
+        await assertSucceeds(move('alice', 'deployed'));
+        await assertFails(move('tom', 'deployed'));
+    });
+
+    it('is refused for cameras that are not deployed', async () => {
+        await assertFails(move('alice', 'available'));
+    });
+
+    it('validates the coordinates', async () => {
+        await assertFails(move('tina', 'deployed', { lat: '45.6', lng: '' }));
+        await assertFails(move('tina', 'deployed', { lat: 'north', lng: '10' }));
+    });
+});
+
+describe('status changes', () => {
+    const changeStatus = (uid, cameraId, status, reason) => updateDoc(cameraDoc(dbAs(uid), cameraId), {
+        ...statusChangedFields(status, reason, uid),
+        statusChangedAt: serverTimestamp()
+    });
+
+    it('allow legal transitions for staff', async () => {
+        await assertSucceeds(changeStatus('tom', 'repair', 'available', ''));
+        await assertSucceeds(changeStatus('tina', 'available', 'retired', 'Obsolete model'));
+    });
+
+    it('refuse illegal transitions', async () => {
+        await assertFails(changeStatus('alice', 'repair', 'in_use', ''));
+        await assertFails(changeStatus('alice', 'deployed', 'retired', 'Old'));
+    });
+
+    it('require a reason to take a camera out of service', async () => {
+        await assertFails(changeStatus('tina', 'available', 'maintenance', ''));
+    });
+
+    it('record the caller', async () => {
+        await assertFails(updateDoc(cameraDoc(dbAs('tina'), 'available'), {
+            ...statusChangedFields('maintenance', 'Fogging', 'tom'),
+            statusChangedAt: serverTimestamp()
+        }));
+    });
+
+    it('are refused for viewers', async () => {
+        await assertFails(changeStatus('vic', 'repair', 'available', ''));
+    });
+});
+
+describe('archiving', () => {
+    it('is admin-only and never for deployed cameras', async () => {
+        await assertSucceeds(updateDoc(cameraDoc(dbAs('alice'), 'available'), archivedFields('alice', serverTimestamp())));
+        await assertFails(updateDoc(cameraDoc(dbAs('tina'), 'repair'), archivedFields('tina', serverTimestamp())));
+        await assertFails(updateDoc(cameraDoc(dbAs('alice'), 'deployed'), archivedFields('alice', serverTimestamp())));
+    });
+
+    it('can be undone by an admin', async () => {
+        await testEnv.withSecurityRulesDisabled(context => updateDoc(cameraDoc(context.firestore(), 'available'), archivedFields('alice', new Date())));
+        await assertFails(updateDoc(cameraDoc(dbAs('tina'), 'available'), restoredFields()));
+        await assertSucceeds(updateDoc(cameraDoc(dbAs('alice'), 'available'), restoredFields()));
+    });
+});
+
+describe('camera history', () => {
+    const historyDoc = (db) => doc(collection(cameraDoc(db, 'available'), 'history'));
+
+    it('accepts events from staff recorded under their own id', async () => {
+        const db = dbAs('tina');
+        const batch = writeBatch(db);
+        batch.update(cameraDoc(db, 'available'), { ...checkedOutFields(DEPLOYMENT, 'tina'), checkedOutTimestamp: serverTimestamp() });
+        batch.set(historyDoc(db), { ...checkOutEvent(DEPLOYMENT, 'tina'), timestamp: serverTimestamp() });
+        await assertSucceeds(batch.commit());
+    });
+
+    it('refuses events under someone else\'s id, unknown types and viewers', async () => {
+        await assertFails(setDoc(historyDoc(dbAs('tina')), { ...checkOutEvent(DEPLOYMENT, 'tom'), timestamp: serverTimestamp() }));
+        await assertFails(setDoc(historyDoc(dbAs('tina')), { type: 'teleported', userId: 'tina', timestamp: serverTimestamp() }));
+        await assertFails(setDoc(historyDoc(dbAs('vic')), { ...checkOutEvent(DEPLOYMENT, 'vic'), timestamp: serverTimestamp() }));
+    });
+
+    it('is append-only', async () => {
+        const eventRef = historyDoc(dbAs('tina'));
+        await assertSucceeds(setDoc(eventRef, { ...checkOutEvent(DEPLOYMENT, 'tina'), timestamp: serverTimestamp() }));
+        await assertFails(updateDoc(doc(dbAs('alice'), eventRef.path), { location: 'Elsewhere' }));
+        await assertFails(deleteDoc(doc(dbAs('tina'), eventRef.path)));
+        await assertSucceeds(deleteDoc(doc(dbAs('alice'), eventRef.path)));
+    });
+});
+
+describe('team activity', () => {
+    const activityDoc = (db) => doc(collection(db, `${DATA}/activity`));
+    const camera = { id: 'available', ...newCameraDoc('CAM-1') };
+    const entry = (uid) => ({ ...activityEntry(camera, checkOutEvent(DEPLOYMENT, uid)), timestamp: serverTimestamp() });
+
+    it('is written by staff with their history events', async () => {
+        const db = dbAs('tina');
+        const batch = writeBatch(db);
+        batch.update(cameraDoc(db, 'available'), { ...checkedOutFields(DEPLOYMENT, 'tina'), checkedOutTimestamp: serverTimestamp() });
+        batch.set(doc(collection(cameraDoc(db, 'available'), 'history')), { ...checkOutEvent(DEPLOYMENT, 'tina'), timestamp: serverTimestamp() });
+        batch.set(activityDoc(db), entry('tina'));
+        await assertSucceeds(batch.commit());
+    });
+
+    it('refuses entries under someone else\'s id, unknown fields and viewers', async () => {
+        await assertFails(setDoc(activityDoc(dbAs('tina')), entry('tom')));
+        await assertFails(setDoc(activityDoc(dbAs('tina')), { ...entry('tina'), geolocation: DEPLOYMENT }));
+        await assertFails(setDoc(activityDoc(dbAs('vic')), entry('vic')));
+    });
+
+    it('is readable by every member and append-only', async () => {
+        const entryRef = activityDoc(dbAs('tina'));
+        await assertSucceeds(setDoc(entryRef, entry('tina')));
+        await assertSucceeds(getDoc(doc(dbAs('vic'), entryRef.path)));
+        await assertFails(getDoc(doc(dbAs(null), entryRef.path)));
+        await assertFails(updateDoc(doc(dbAs('alice'), entryRef.path), { location: 'Elsewhere' }));
+        await assertFails(deleteDoc(doc(dbAs('tina'), entryRef.path)));
+        await assertSucceeds(deleteDoc(doc(dbAs('alice'), entryRef.path)));
+    });
+});
+
+// --- Jobs ---
+
+describe('jobs', () => {
+    const jobDoc = (db, jobId) => doc(db, `${DATA}/jobs/${jobId}`);
+
+    it('can be created by staff', async () => {
+        await assertSucceeds(setDoc(jobDoc(dbAs('tina'), 'new'), { ...newJobDoc({ name: 'Jones Farm', contactEmail: 'jo@example.com' }, 'tina'), createdAt: serverTimestamp() }));
+        await assertFails(setDoc(jobDoc(dbAs('vic'), 'new'), { ...newJobDoc({ name: 'Jones Farm' }, 'vic'), createdAt: serverTimestamp() }));
+    });
+
+    it('need a name and an honest creator', async () => {
+        await assertFails(setDoc(jobDoc(dbAs('tina'), 'new'), { ...newJobDoc({ name: '' }, 'tina'), createdAt: serverTimestamp() }));
+        await assertFails(setDoc(jobDoc(dbAs('tina'), 'new'), { ...newJobDoc({ name: 'Jones Farm' }, 'tom'), createdAt: serverTimestamp() }));
+    });
+
+    it('can be edited by staff without rewriting who created them', async () => {
+        await assertSucceeds(updateDoc(jobDoc(dbAs('tom'), 'smith'), normalizeJob({ name: 'Smith Residence', address: '1 Main St' })));
+        await assertFails(updateDoc(jobDoc(dbAs('tom'), 'smith'), { createdBy: 'tom' }));
+        await assertFails(updateDoc(jobDoc(dbAs('vic'), 'smith'), normalizeJob({ name: 'Renamed' })));
+    });
+});
+
+// --- Users ---
+
+describe('user profiles', () => {
+    const userDoc = (db, uid) => doc(db, `${DATA}/users/${uid}`);
+    const profile = (uid, role) => ({ displayName: 'New Person', email: `${uid}@example.com`, role, createdAt: serverTimestamp() });
+
+    // What ensureProfile in firestoreRepository.js does on a first sign-in, reads included.
+    const onboard = (uid) => {
+        const db = dbAs(uid);
+        return runTransaction(db, async (transaction) => {
+            const existing = await transaction.get(userDoc(db, uid));
+            if (existing.exists()) return;
+            const bootstrap = await transaction.get(doc(db, `${DATA}/settings/bootstrap`));
+            const isFirstUser = !bootstrap.exists();
+            transaction.set(userDoc(db, uid), profile(uid, isFirstUser ? 'admin' : 'viewer'));
+            if (isFirstUser) transaction.set(doc(db, `${DATA}/settings/bootstrap`), { adminUid: uid });
+        });
+    };
+
+    it('can be set up by a brand-new user, who sees nobody else\'s', async () => {
+        await assertSucceeds(onboard('newbie'));
+        expect((await getDoc(userDoc(dbAs('newbie'), 'newbie'))).data().role).toBe('viewer');
+        await assertFails(getDoc(userDoc(dbAs('stranger'), 'tina')));
+        await assertFails(getDoc(doc(dbAs('stranger'), `${NORTH}/settings/bootstrap`)));
+    });
+
+    it('are set up as admin for the first user of an empty store', async () => {
+        await testEnv.clearFirestore();
+        await assertSucceeds(onboard('first'));
+        expect((await getDoc(userDoc(dbAs('first'), 'first'))).data().role).toBe('admin');
+    });
+
+    it('are created by their owner as viewers', async () => {
+        await assertSucceeds(setDoc(userDoc(dbAs('newbie'), 'newbie'), profile('newbie', 'viewer')));
+        await assertFails(setDoc(userDoc(dbAs('newbie'), 'other'), profile('other', 'viewer')));
+    });
+
+    it('cannot claim admin once the store has one', async () => {
+        await assertFails(setDoc(userDoc(dbAs('newbie'), 'newbie'), profile('newbie', 'admin')));
+        await assertFails(setDoc(userDoc(dbAs('newbie'), 'newbie'), profile('newbie', 'technician')));
+    });
+
+    it('make the very first account admin through the bootstrap marker', async () => {
+        await testEnv.clearFirestore();
+        const db = dbAs('first');
+        const batch = writeBatch(db);
+        batch.set(userDoc(db, 'first'), profile('first', 'admin'));
+        batch.set(doc(db, `${DATA}/settings/bootstrap`), { adminUid: 'first' });
+        await assertSucceeds(batch.commit());
+    });
+
+    it('let users rename themselves but not promote themselves', async () => {
+        await assertSucceeds(updateDoc(userDoc(dbAs('vic'), 'vic'), { displayName: 'Victor' }));
+        await assertFails(updateDoc(userDoc(dbAs('vic'), 'vic'), { role: 'admin' }));
+        await assertFails(updateDoc(userDoc(dbAs('tina'), 'vic'), { displayName: 'Renamed' }));
+    });
+
+    it('let admins change other people\'s roles only', async () => {
+        await assertSucceeds(updateDoc(userDoc(dbAs('alice'), 'vic'), { role: 'technician' }));
+        await assertFails(updateDoc(userDoc(dbAs('alice'), 'vic'), { role: 'owner' }));
+        await assertFails(updateDoc(userDoc(dbAs('alice'), 'alice'), { role: 'viewer' }));
+        await assertFails(updateDoc(userDoc(dbAs('tina'), 'vic'), { role: 'technician' }));
+    });
+});
+
+// --- Workspaces ---
+
+describe('workspaces', () => {
+    const MAIN = { id: 'default', name: 'Main' };
+    const NORTH_OFFICE = { id: 'north', name: 'North Office' };
+    const accountDoc = (db, uid) => doc(db, `artifacts/${APP_ID}/accounts/${uid}`);
+    const invitationDoc = (db, id) => doc(db, `artifacts/${APP_ID}/invitations/${id}`);
+    const member = (uid, role) => ({ ...newMemberDoc(USERS[uid], USERS[uid].email, role), createdAt: serverTimestamp() });
+
+    // Alice runs the North Office, where Tom is a technician.
+    beforeEach(async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await setDoc(doc(db, NORTH), { ...newWorkspaceDoc(NORTH_OFFICE.name, 'alice'), createdAt: new Date() });
+            await setDoc(doc(db, `${NORTH}/settings/bootstrap`), { adminUid: 'alice' });
+            await setDoc(doc(db, `${NORTH}/users/alice`), { ...USERS.alice, createdAt: new Date() });
+            await setDoc(doc(db, `${NORTH}/users/tom`), { ...USERS.tom, createdAt: new Date() });
+            await setDoc(doc(db, `${NORTH}/cameras/north-1`), newCameraDoc('N-1'));
+            await setDoc(doc(db, `${DATA}/cameras/available/history/first`), { ...checkOutEvent(DEPLOYMENT, 'tina'), timestamp: new Date() });
+        });
+    });
+
+    it('are only readable by their members', async () => {
+        await assertSucceeds(getDoc(doc(dbAs('tom'), `${NORTH}/cameras/north-1`)));
+        await assertSucceeds(getDoc(doc(dbAs('tom'), NORTH)));
+        await assertFails(getDoc(doc(dbAs('tina'), `${NORTH}/cameras/north-1`)));
+        await assertFails(getDoc(doc(dbAs('vic'), NORTH)));
+    });
+
+    it('can be created by anyone, who becomes their admin', async () => {
+        const db = dbAs('tina');
+        const south = `artifacts/${APP_ID}/workspaces/south`;
+        const batch = writeBatch(db);
+        batch.set(doc(db, south), { ...newWorkspaceDoc('South Office', 'tina'), createdAt: serverTimestamp() });
+        batch.set(doc(db, `${south}/settings/bootstrap`), { adminUid: 'tina' });
+        batch.set(doc(db, `${south}/users/tina`), member('tina', 'admin'));
+        batch.set(accountDoc(db, 'tina'), { workspaces: arrayUnion({ id: 'south', name: 'South Office' }) }, { merge: true });
+        await assertSucceeds(batch.commit());
+        await assertFails(setDoc(doc(db, `artifacts/${APP_ID}/workspaces/west`), { ...newWorkspaceDoc('West', 'tina'), createdAt: serverTimestamp() }));
+    });
+
+    it('cannot be joined without an invitation', async () => {
+        await assertFails(setDoc(doc(dbAs('tina'), `${NORTH}/users/tina`), member('tina', 'viewer')));
+        await assertFails(setDoc(doc(dbAs('tina'), `${NORTH}/users/tina`), member('tina', 'admin')));
+    });
+
+    it('send invitations from their admins only', async () => {
+        const invitation = { ...newInvitationDoc(NORTH_OFFICE, 'Tina@example.com', 'technician', 'alice'), createdAt: serverTimestamp() };
+        await assertFails(setDoc(invitationDoc(dbAs('tom'), 'north:tina@example.com'), { ...invitation, invitedBy: 'tom' }));
+        await assertFails(setDoc(invitationDoc(dbAs('alice'), 'north:someone@example.com'), invitation));
+        await assertSucceeds(setDoc(invitationDoc(dbAs('alice'), 'north:tina@example.com'), invitation));
+        await assertSucceeds(getDoc(invitationDoc(dbAs('tina'), 'north:tina@example.com')));
+        await assertFails(getDoc(invitationDoc(dbAs('vic'), 'north:tina@example.com')));
+    });
+
+    it('are joined with the invited role, using up the invitation', async () => {
+        await testEnv.withSecurityRulesDisabled(context => setDoc(invitationDoc(context.firestore(), 'north:tina@example.com'),
+            { ...newInvitationDoc(NORTH_OFFICE, 'tina@example.com', 'technician', 'alice'), createdAt: new Date() }));
+        const db = dbAs('tina');
+        await assertFails(setDoc(doc(db, `${NORTH}/users/tina`), member('tina', 'admin')));
+        const batch = writeBatch(db);
+        batch.set(doc(db, `${NORTH}/users/tina`), member('tina', 'technician'));
+        batch.delete(invitationDoc(db, 'north:tina@example.com'));
+        batch.set(accountDoc(db, 'tina'), { workspaces: arrayUnion(NORTH_OFFICE) }, { merge: true });
+        await assertSucceeds(batch.commit());
+    });
+
+    it('are only open to invitees who verified their address', async () => {
+        await testEnv.withSecurityRulesDisabled(context => setDoc(invitationDoc(context.firestore(), 'north:tina@example.com'),
+            { ...newInvitationDoc(NORTH_OFFICE, 'tina@example.com', 'admin', 'alice'), createdAt: new Date() }));
+        const db = dbAs('tina', { email_verified: false });
+        await assertFails(getDoc(invitationDoc(db, 'north:tina@example.com')));
+        await assertFails(setDoc(doc(db, `${NORTH}/users/tina`), member('tina', 'admin')));
+        await assertFails(deleteDoc(invitationDoc(db, 'north:tina@example.com')));
+    });
+
+    it('are joined by invitees whose sign-in address differs in case', async () => {
+        await testEnv.withSecurityRulesDisabled(context => setDoc(invitationDoc(context.firestore(), 'north:tina@example.com'),
+            { ...newInvitationDoc(NORTH_OFFICE, 'tina@example.com', 'technician', 'alice'), createdAt: new Date() }));
+        const signInEmail = 'Tina@Example.com';
+        const db = dbAs('tina', { email: signInEmail });
+        // What acceptInvitation in firestoreRepository.js writes.
+        await assertSucceeds(runTransaction(db, async (transaction) => {
+            const invitation = await transaction.get(invitationDoc(db, 'north:tina@example.com'));
+            const { workspaceId, workspaceName, role } = invitation.data();
+            transaction.set(doc(db, `${NORTH}/users/tina`), { ...newMemberDoc(USERS.tina, signInEmail, role), createdAt: serverTimestamp() });
+            transaction.delete(invitation.ref);
+            transaction.set(accountDoc(db, 'tina'), { workspaces: arrayUnion({ id: workspaceId, name: workspaceName }) }, { merge: true });
+        }));
+    });
+
+    it('let admins of both transfer a camera with its history', async () => {
+        const transfer = (uid) => {
+            const db = dbAs(uid);
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${NORTH}/cameras/available`), transferredFields(newCameraDoc('CAM-1')));
+            batch.set(doc(db, `${NORTH}/cameras/available/history/first`), { ...checkOutEvent(DEPLOYMENT, 'tina'), timestamp: new Date() });
+            const event = transferEvent(MAIN, NORTH_OFFICE, uid);
+            batch.set(doc(collection(db, `${NORTH}/cameras/available/history`)), { ...event, timestamp: serverTimestamp() });
+            const entry = { ...activityEntry({ id: 'available', ...newCameraDoc('CAM-1') }, event), timestamp: serverTimestamp() };
+            batch.set(doc(collection(db, `${DATA}/activity`)), entry);
+            batch.set(doc(collection(db, `${NORTH}/activity`)), entry);
+            batch.delete(doc(db, `${DATA}/cameras/available/history/first`));
+            batch.set(doc(db, `${DATA}/departures/available`), departureDoc(NORTH_OFFICE));
+            batch.delete(cameraDoc(db, 'available'));
+            return batch.commit();
+        };
+        await assertFails(transfer('tom'));
+        await assertSucceeds(transfer('alice'));
+    });
+
+    it('cannot be faked to delete a camera that is not archived', async () => {
+        const db = dbAs('alice');
+        const batch = writeBatch(db);
+        batch.set(doc(db, `${DATA}/departures/available`), departureDoc(NORTH_OFFICE));
+        batch.delete(cameraDoc(db, 'available'));
+        await assertFails(batch.commit());
+    });
+
+    it('accept copied history only while the camera arrives', async () => {
+        await assertFails(setDoc(doc(dbAs('alice'), `${NORTH}/cameras/north-1/history/forged`), { ...checkOutEvent(DEPLOYMENT, 'tom'), timestamp: new Date() }));
+        await assertFails(setDoc(doc(dbAs('alice'), `${NORTH}/cameras/deployed`), transferredFields({ ...newCameraDoc('CAM-2'), ...checkedOutFields(DEPLOYMENT, 'tina') })));
+    });
+});
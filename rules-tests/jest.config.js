@@ -0,0 +1,12 @@
+// Jest settings for the security rules tests (`npm run test:rules`). Unlike the component tests,
+// which `react-scripts test` runs in jsdom over src/, these run in Node against the Firebase
+// emulators, with the app's own Babel preset so they can import its document helpers.
+module.exports = {
+    rootDir: '..',
+    roots: ['<rootDir>/rules-tests'],
+    testEnvironment: 'node',
+    setupFiles: ['<rootDir>/rules-tests/setup.js'],
+    transform: {
+        '\\.js$': ['babel-jest', { presets: ['babel-preset-react-app'] }]
+    }
+};
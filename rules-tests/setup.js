@@ -0,0 +1,5 @@
+// Jest 27's Node environment only exposes the globals Node had when it was written; the Firebase
+// SDK's Node build also expects the web streams API newer Node versions have.
+const { ReadableStream } = require('stream/web');
+
+global.ReadableStream = ReadableStream;
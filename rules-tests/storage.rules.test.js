@@ -0,0 +1,96 @@
+/**
+ * Storage rules tests for deployment photos, run against the local emulators (the rules read
+ * roles from Firestore):
+ *
+ *     npm run test:rules
+ */
+import { readFileSync } from 'fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { ref, uploadBytes, getBytes, deleteObject } from 'firebase/storage';
+
+const APP_ID = 'rules-test';
+const PHOTOS = `artifacts/${APP_ID}/cameras/cam-1/photos`;
+const NORTH_PHOTOS = `artifacts/${APP_ID}/workspaces/north/cameras/cam-2/photos`;
+
+const USERS = {
+    alice: { displayName: 'Alice', email: 'alice@example.com', role: 'admin' },
+    tina: { displayName: 'Tina', email: 'tina@example.com', role: 'technician' },
+    tom: { displayName: 'Tom', email: 'tom@example.com', role: 'technician' },
+    vic: { displayName: 'Vic', email: 'vic@example.com', role: 'viewer' }
+};
+
+// As savePhotos in src/firestoreRepository.js uploads them.
+const jpegBy = (uid) => ({ contentType: 'image/jpeg', customMetadata: { uploadedBy: uid } });
+
+let testEnv;
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'camera-tracker-rules-test',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+        storage: { rules: readFileSync('storage.rules', 'utf8') }
+    });
+});
+
+afterAll(() => testEnv.cleanup());
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        for (const [uid, profile] of Object.entries(USERS)) {
+            await setDoc(doc(context.firestore(), `artifacts/${APP_ID}/public/data/users/${uid}`), { ...profile, createdAt: new Date() });
+        }
+        // Alice is also a member of the North workspace, Nora only of that one.
+        await setDoc(doc(context.firestore(), `artifacts/${APP_ID}/workspaces/north/users/alice`), { ...USERS.alice, createdAt: new Date() });
+        await setDoc(doc(context.firestore(), `artifacts/${APP_ID}/workspaces/north/users/nora`), { displayName: 'Nora', email: 'nora@example.com', role: 'technician', createdAt: new Date() });
+        await uploadBytes(ref(context.storage(), `${PHOTOS}/existing.jpg`), new Uint8Array(16), jpegBy('tina'));
+        await uploadBytes(ref(context.storage(), `${NORTH_PHOTOS}/existing.jpg`), new Uint8Array(16), jpegBy('alice'));
+    });
+});
+
+function photoRef(uid, name, folder = PHOTOS) {
+    const context = uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext();
+    return ref(context.storage(), `${folder}/${name}`);
+}
+
+describe('deployment photos', () => {
+    it('can be read by the workspace\'s members only', async () => {
+        await assertSucceeds(getBytes(photoRef('vic', 'existing.jpg')));
+        await assertFails(getBytes(photoRef(null, 'existing.jpg')));
+        await assertFails(getBytes(photoRef('nora', 'existing.jpg')));
+        await assertSucceeds(getBytes(photoRef('alice', 'existing.jpg', NORTH_PHOTOS)));
+        await assertFails(getBytes(photoRef('tina', 'existing.jpg', NORTH_PHOTOS)));
+    });
+
+    it('can be read where their camera was transferred to', async () => {
+        await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), `artifacts/${APP_ID}/public/data/departures/cam-1`), { workspaceId: 'north' }));
+        await assertSucceeds(getBytes(photoRef('nora', 'existing.jpg')));
+    });
+
+    it('can be uploaded by staff as JPEGs in their own name', async () => {
+        await assertSucceeds(uploadBytes(photoRef('tina', 'new.jpg'), new Uint8Array(1024), jpegBy('tina')));
+        await assertFails(uploadBytes(photoRef('vic', 'new.jpg'), new Uint8Array(1024), jpegBy('vic')));
+        await assertFails(uploadBytes(photoRef('tina', 'new.png'), new Uint8Array(1024), { contentType: 'image/png', customMetadata: { uploadedBy: 'tina' } }));
+        await assertFails(uploadBytes(photoRef('tina', 'other.jpg'), new Uint8Array(1024), jpegBy('tom')));
+    });
+
+    it('are size-limited and never overwritten', async () => {
+        await assertFails(uploadBytes(photoRef('tina', 'huge.jpg'), new Uint8Array(3 * 1024 * 1024), jpegBy('tina')));
+        await assertFails(uploadBytes(photoRef('alice', 'existing.jpg'), new Uint8Array(16), jpegBy('alice')));
+    });
+
+    it('can be removed by their uploader or an admin only', async () => {
+        await assertFails(deleteObject(photoRef('vic', 'existing.jpg')));
+        await assertFails(deleteObject(photoRef('tom', 'existing.jpg')));
+        await assertSucceeds(deleteObject(photoRef('tina', 'existing.jpg')));
+        await assertFails(deleteObject(photoRef('nora', 'existing.jpg', NORTH_PHOTOS)));
+        await assertSucceeds(deleteObject(photoRef('alice', 'existing.jpg', NORTH_PHOTOS)));
+    });
+
+    it('of other workspaces are uploaded by that workspace\'s staff', async () => {
+        await assertSucceeds(uploadBytes(photoRef('alice', 'new.jpg', NORTH_PHOTOS), new Uint8Array(1024), jpegBy('alice')));
+        await assertFails(uploadBytes(photoRef('tina', 'new.jpg', NORTH_PHOTOS), new Uint8Array(1024), jpegBy('tina')));
+    });
+});
@@ -0,0 +1,136 @@
+import React, { useEffect, useRef } from 'react';
+import { Activity, X } from 'lucide-react';
+import { Modal } from './ui';
+import { displayName } from './roles';
+import { describeActivity } from './activity';
+
+// How long an activity pop-up stays up.
+const TOAST_MS = 8000;
+// Pop-ups beyond this many are dropped, oldest first, so a burst does not cover the screen.
+const MAX_TOASTS = 3;
+
+// The workspace's recent activity, newest first, with entries the user has not seen yet
+// highlighted, and what they want to be notified about.
+export function ActivityModal({ entries, users, jobs, currentUserId, seenAt, preferences, onChangePreferences, browserPermission, onEnableBrowser, onClose }) {
+    const isUnread = (entry) => entry.userId !== currentUserId && (!seenAt || entry.timestamp > seenAt);
+
+    return (
+        <Modal onClose={onClose} title="Team Activity" maxWidth="max-w-2xl">
+            {entries.length === 0 ? (
+                <p className="text-gray-400 text-center py-8">Nothing has happened in this workspace yet.</p>
+            ) : (
+                <ul className="space-y-2 max-h-[50vh] overflow-y-auto">
+                    {entries.map(entry => (
+                        <li key={entry.id} className={`rounded-md p-3 border ${isUnread(entry) ? 'bg-cyan-500/10 border-cyan-500/40' : 'bg-gray-900 border-gray-700'}`}>
+                            <p className="text-gray-200">
+                                <span className="font-semibold text-white" title={entry.userId}>{displayName(users, entry.userId)}</span> {describeActivity(entry, jobs)}
+                            </p>
+                            {entry.reason && <p className="text-sm text-gray-400 mt-1">{entry.reason}</p>}
+                            <p className="text-xs text-gray-500 mt-1">{entry.timestamp?.toLocaleString()}</p>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <NotificationSettings
+                jobs={jobs}
+                preferences={preferences}
+                onChange={onChangePreferences}
+                browserPermission={browserPermission}
+                onEnableBrowser={onEnableBrowser}
+            />
+        </Modal>
+    );
+}
+
+function NotificationSettings({ jobs, preferences, onChange, browserPermission, onEnableBrowser }) {
+    const update = (changes) => onChange({ ...preferences, ...changes });
+    const toggleJob = (jobId) => update({
+        jobIds: preferences.jobIds.includes(jobId) ? preferences.jobIds.filter(id => id !== jobId) : [...preferences.jobIds, jobId]
+    });
+    // Browser notifications need the permission first; asking is what turns them on.
+    const handleBrowserChange = async (e) => {
+        if (e.target.checked && browserPermission === 'default') {
+            if (await onEnableBrowser() !== 'granted') return;
+        }
+        update({ browser: e.target.checked });
+    };
+
+    return (
+        <div className="mt-6 pt-4 border-t border-gray-700 space-y-3 text-sm text-gray-300">
+            <p className="font-medium text-gray-200">Notify me when a colleague acts on</p>
+            <label className="flex items-center">
+                <input type="checkbox" checked={preferences.myCameras} onChange={(e) => update({ myCameras: e.target.checked })} className="mr-2" />
+                Cameras I checked out
+            </label>
+            <label className="flex items-center">
+                <input type="checkbox" checked={preferences.everything} onChange={(e) => update({ everything: e.target.checked })} className="mr-2" />
+                Any camera
+            </label>
+            {jobs.length > 0 && (
+                <div>
+                    <p className="text-gray-400 mb-1">Cameras at these jobs</p>
+                    <div className="grid grid-cols-2 gap-1 max-h-32 overflow-y-auto bg-gray-900 border border-gray-600 rounded-md p-2">
+                        {jobs.map(job => (
+                            <label key={job.id} className="flex items-center">
+                                <input type="checkbox" checked={preferences.jobIds.includes(job.id)} onChange={() => toggleJob(job.id)} className="mr-2" />
+                                {job.name}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+            )}
+            <p className="font-medium text-gray-200 pt-2">Show notifications</p>
+            <label className="flex items-center">
+                <input type="checkbox" checked={preferences.toasts} onChange={(e) => update({ toasts: e.target.checked })} className="mr-2" />
+                As pop-ups in the app
+            </label>
+            {browserPermission !== 'unsupported' && (
+                <label className="flex items-center">
+                    <input
+                        type="checkbox"
+                        checked={preferences.browser && browserPermission === 'granted'}
+                        disabled={browserPermission === 'denied'}
+                        onChange={handleBrowserChange}
+                        className="mr-2"
+                    />
+                    As browser notifications
+                    {browserPermission === 'denied' && <span className="ml-2 text-xs text-gray-500">(blocked in your browser settings)</span>}
+                </label>
+            )}
+        </div>
+    );
+}
+
+// Pop-ups for activity matching the user's notification preferences, newest at the top.
+export function ActivityToasts({ toasts, users, jobs, onOpen, onDismiss }) {
+    if (toasts.length === 0) return null;
+    return (
+        <div className="fixed top-4 right-4 z-40 w-80 max-w-[calc(100vw-2rem)] space-y-2">
+            {toasts.slice(0, MAX_TOASTS).map(entry => (
+                <ActivityToast key={entry.id} entry={entry} users={users} jobs={jobs} onOpen={onOpen} onDismiss={() => onDismiss(entry.id)} />
+            ))}
+        </div>
+    );
+}
+
+function ActivityToast({ entry, users, jobs, onOpen, onDismiss }) {
+    // The timer is set once per pop-up; the latest callback is read when it fires.
+    const onDismissRef = useRef(onDismiss);
+    onDismissRef.current = onDismiss;
+    useEffect(() => {
+        const timer = setTimeout(() => onDismissRef.current(), TOAST_MS);
+        return () => clearTimeout(timer);
+    }, []);
+
+    return (
+        <div role="status" className="bg-gray-800 border border-cyan-500/40 rounded-lg shadow-xl px-4 py-3 flex items-start space-x-3">
+            <Activity size={18} className="text-cyan-400 mt-0.5 flex-shrink-0" />
+            <button onClick={onOpen} className="flex-grow text-left text-sm text-gray-200 hover:text-white">
+                <span className="font-semibold">{displayName(users, entry.userId)}</span> {describeActivity(entry, jobs)}
+            </button>
+            <button onClick={onDismiss} className="text-gray-400 hover:text-white" title="Dismiss">
+                <X size={16} />
+            </button>
+        </div>
+    );
+}
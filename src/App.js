@@ -1,137 +1,240 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
-import { 
-    getAuth, 
-    signInAnonymously, 
-    onAuthStateChanged,
-    signInWithCustomToken
-} from 'firebase/auth';
-import { 
-    getFirestore, 
-    collection, 
-    doc, 
-    addDoc, 
-    updateDoc, 
-    onSnapshot,
-    serverTimestamp,
-    setLogLevel
-} from 'firebase/firestore';
-import { Trash2, Plus, Camera, MapPin, LogIn, LogOut, X, Map, List } from 'lucide-react';
-
-// --- Leaflet Integration ---
-// We will dynamically load the Leaflet CSS file.
-const leafletCSSId = 'leaflet-css';
-if (!document.getElementById(leafletCSSId)) {
-    const link = document.createElement('link');
-    link.id = leafletCSSId;
-    link.rel = 'stylesheet';
-    link.href = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
-    link.integrity = 'sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY=';
-    link.crossOrigin = '';
-    document.head.appendChild(link);
-}
-
-// --- Firebase Configuration ---
-const firebaseConfig = typeof __firebase_config !== 'undefined' 
-    ? JSON.parse(__firebase_config) 
-    : { apiKey: "your-fallback-api-key", authDomain: "...", projectId: "..." };
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { Trash2, Plus, Camera, MapPin, LogIn, LogOut, X, Map, List, History, Cloud, CloudOff, RefreshCw, AlertTriangle, Users, Archive, RotateCcw, Search, Bell, BellOff, Clock, Upload, Download, Pencil, Battery, HardDrive, ChevronDown, ChevronUp, Wrench, Briefcase, ScanLine, QrCode, LayoutDashboard, ArrowRightLeft, Activity } from 'lucide-react';
+import { createCameraRepository } from './cameraRepository';
+import { ROLES, can, canCheckIn, canMoveCamera, displayName } from './roles';
+import { isOverdue, daysOverdue, buildDeployments, formatDuration, validateCameraDetails, validateGeolocation } from './cameraModel';
+import { Modal, LoadingSpinner, ErrorMessage } from './ui';
+import { ImportModal, ExportModal } from './InventoryTransferModals';
+import { CameraDetailsFields, EditCameraModal } from './CameraDetails';
+import { MapView } from './MapView';
+import { LocationPicker, geolocationErrorMessage } from './LocationPicker';
+import { CheckInModal, ChangeStatusModal, CameraChangedNotice, hasCameraChanged } from './StatusModals';
+import { JobPicker, JobModal, JobsView, JobDetail } from './Jobs';
+import { LabelsModal, ScanModal } from './CameraLabelModals';
+import { Dashboard } from './Dashboard';
+import { PhotoInput, PhotoThumbnails } from './DeploymentPhotos';
+import { WorkspaceSwitcher, NewWorkspaceModal, VerifyEmailBanner, InvitationBanner, WorkspaceInvitations, TransferCameraModal } from './Workspaces';
+import { DEFAULT_WORKSPACE_ID, lastWorkspaceId, rememberWorkspaceId } from './workspaceModel';
+import { CAMERA_STATUSES, statusLabel } from './cameraStatus';
+import { toDateInputValue, endOfDay } from './dates';
+import { useNow, useOverdueNotifications, notificationPermission, requestNotificationPermission, showNotification } from './overdueAlerts';
+import { DEFAULT_NOTIFICATION_PREFERENCES, unreadCount, describeActivity, useActivityNotifications, readNotificationPreferences, writeNotificationPreferences, readActivitySeenAt, rememberActivitySeen } from './activity';
+import { ActivityModal, ActivityToasts } from './ActivityFeed';
+import { DEFAULT_FILTERS, STATUS_FILTERS, SORT_OPTIONS, parseFilters, serializeFilters, isFiltered, filterCameras, daysDeployed } from './cameraFilters';
 
-// --- App ID ---
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-camera-tracker';
-
-// --- Main App Component ---
-export default function App() {
+// `createRepository` builds the AppRepository; tests pass one over an in-memory store.
+export default function App({ createRepository = createCameraRepository }) {
     // --- State Management ---
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
+    const [appRepository, setAppRepository] = useState(null);
+    const [authUser, setAuthUser] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
+    const [workspaces, setWorkspaces] = useState(null);
+    const [workspaceId, setWorkspaceId] = useState(lastWorkspaceId);
+    const [invitations, setInvitations] = useState([]);
+    const [users, setUsers] = useState({});
     
     const [cameras, setCameras] = useState([]);
+    const [jobs, setJobs] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
 
     const [isAddModalOpen, setIsAddModalOpen] = useState(false);
     const [isCheckOutModalOpen, setIsCheckOutModalOpen] = useState(false);
     const [selectedCamera, setSelectedCamera] = useState(null);
+    const [historyCamera, setHistoryCamera] = useState(null);
+    const [editingCamera, setEditingCamera] = useState(null);
+    const [checkInCamera, setCheckInCamera] = useState(null);
+    const [statusCamera, setStatusCamera] = useState(null);
+    const [editingJob, setEditingJob] = useState(null); // a job, or {} for a new one
+    const [selectedJobId, setSelectedJobId] = useState(null);
+    const [isSyncModalOpen, setIsSyncModalOpen] = useState(false);
+    const [isTeamModalOpen, setIsTeamModalOpen] = useState(false);
+    const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+    const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+    const [isLabelsModalOpen, setIsLabelsModalOpen] = useState(false);
+    const [isScanModalOpen, setIsScanModalOpen] = useState(false);
+    const [isNewWorkspaceModalOpen, setIsNewWorkspaceModalOpen] = useState(false);
+    const [transferringCamera, setTransferringCamera] = useState(null);
+    const [isActivityModalOpen, setIsActivityModalOpen] = useState(false);
+    const [syncState, setSyncState] = useState({ status: 'synced', actions: [] });
+    
+    const [archivedToast, setArchivedToast] = useState(null);
+    const archivedToastTimerRef = useRef(null);
     
-    const [viewMode, setViewMode] = useState('cards'); // 'cards' or 'map'
+    const [viewMode, setViewMode] = useState('cards'); // 'cards', 'map', 'dashboard', 'jobs' or 'archived'
+    const [filters, setFilters] = useState(() => parseFilters(window.location.search));
+    const [alertPermission, setAlertPermission] = useState(notificationPermission);
+    const [activity, setActivity] = useState(null); // null until the workspace's feed arrives
+    const [activitySeenAt, setActivitySeenAt] = useState(null);
+    const [activityToasts, setActivityToasts] = useState([]);
+    const [notificationPreferences, setNotificationPreferences] = useState(DEFAULT_NOTIFICATION_PREFERENCES);
+    const now = useNow();
 
-    // --- Firebase Initialization and Authentication Effect ---
+    // --- Data Store Initialization and Authentication Effect ---
     useEffect(() => {
         try {
-            const app = initializeApp(firebaseConfig);
-            const firestoreDb = getFirestore(app);
-            const firebaseAuth = getAuth(app);
-            
-            setDb(firestoreDb);
-            setAuth(firebaseAuth);
-
-            const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
-                if (user) {
-                    setUserId(user.uid);
-                } else {
-                    try {
-                        const token = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-                        if (token) {
-                            await signInWithCustomToken(firebaseAuth, token);
-                        } else {
-                            await signInAnonymously(firebaseAuth);
-                        }
-                    } catch (authError) {
-                        console.error("Authentication Error:", authError);
-                        setError("Failed to authenticate. Please refresh the page.");
-                    }
-                }
+            const cameraRepository = createRepository();
+            setAppRepository(cameraRepository);
+
+            const unsubscribe = cameraRepository.onAuthChange((user) => {
+                setAuthUser(user);
+                setIsAuthReady(true);
+            }, (authError) => {
+                console.error("Authentication Error:", authError);
+                setError("Failed to authenticate. Please refresh the page.");
                 setIsAuthReady(true);
             });
 
-            return () => unsubscribe();
+            return () => {
+                unsubscribe();
+                cameraRepository.dispose();
+            };
         } catch (e) {
-            console.error("Firebase Initialization Error:", e);
+            console.error("Data Store Initialization Error:", e);
             setError("Could not connect to the database. Please check configuration.");
+            setIsAuthReady(true);
             setIsLoading(false);
         }
-    }, []);
+    }, [createRepository]);
+
+    const userId = authUser?.uid || null;
+    const userEmail = authUser?.email || '';
+    const isEmailVerified = !!authUser?.emailVerified;
+    // The last used workspace, until the user's workspaces are known not to include it.
+    const workspace = workspaces && (workspaces.find(w => w.id === workspaceId) || workspaces.find(w => w.id === DEFAULT_WORKSPACE_ID));
+    const openWorkspaceId = workspace?.id;
+    const repository = useMemo(() => appRepository && openWorkspaceId ? appRepository.workspace(openWorkspaceId) : null, [appRepository, openWorkspaceId]);
+    // The workspace profile carries the display name and role; until it arrives the user has no permissions.
+    const currentUser = useMemo(() => authUser && { ...users[authUser.uid], ...authUser }, [authUser, users]);
 
-    // --- Firestore Data Fetching Effect ---
+    // --- Workspaces and Invitations Subscription Effects ---
     useEffect(() => {
-        if (!isAuthReady || !db) return;
+        if (!appRepository || !userId) {
+            setWorkspaces(null);
+            return;
+        }
 
-        setIsLoading(true);
-        const camerasCollectionPath = `artifacts/${appId}/public/data/cameras`;
-        const q = collection(db, camerasCollectionPath);
+        const unsubscribe = appRepository.subscribeWorkspaces(userId, (workspacesData) => {
+            workspacesData.sort((a, b) => (a.id === DEFAULT_WORKSPACE_ID ? -1 : b.id === DEFAULT_WORKSPACE_ID ? 1 : a.name.localeCompare(b.name)));
+            setWorkspaces(workspacesData);
+        }, (err) => {
+            console.error("Workspaces Subscription Error:", err);
+            setError("Failed to fetch your workspaces.");
+        });
 
-        const unsubscribe = onSnapshot(q, (querySnapshot) => {
-            const camerasData = [];
-            querySnapshot.forEach((doc) => {
-                camerasData.push({ id: doc.id, ...doc.data() });
-            });
+        return () => unsubscribe();
+    }, [appRepository, userId]);
+
+    // Invitations are only readable once the address they are sent to is verified.
+    useEffect(() => {
+        if (!appRepository || !userEmail || !isEmailVerified) {
+            setInvitations([]);
+            return;
+        }
+
+        const unsubscribe = appRepository.subscribeMyInvitations(userEmail, setInvitations, (err) => {
+            console.error("Invitations Subscription Error:", err);
+            setError("Failed to fetch your invitations.");
+        });
+
+        return () => unsubscribe();
+    }, [appRepository, userEmail, isEmailVerified]);
+
+    // --- User Profiles Subscription Effect ---
+    useEffect(() => {
+        if (!repository || !userId) return;
+
+        // Roles differ between workspaces; the previous one's must not linger.
+        setUsers({});
+        const unsubscribe = repository.subscribeUsers((usersData) => {
+            setUsers(Object.fromEntries(usersData.map(user => [user.id, user])));
+        }, (err) => {
+            console.error("Users Subscription Error:", err);
+            setError("Failed to fetch team members.");
+        });
+
+        return () => unsubscribe();
+    }, [repository, userId]);
+
+    // --- Camera Subscription Effect ---
+    useEffect(() => {
+        if (!userId || !repository) return;
+
+        setIsLoading(true);
+        setCameras([]);
+        const unsubscribe = repository.subscribeCameras((camerasData) => {
             camerasData.sort((a, b) => a.cameraNumber.localeCompare(b.cameraNumber, undefined, { numeric: true }));
             setCameras(camerasData);
             setIsLoading(false);
         }, (err) => {
-            console.error("Firestore Snapshot Error:", err);
+            console.error("Camera Subscription Error:", err);
             setError("Failed to fetch camera data.");
             setIsLoading(false);
         });
 
         return () => unsubscribe();
-    }, [isAuthReady, db]);
+    }, [userId, repository]);
+
+    // --- Jobs Subscription Effect ---
+    useEffect(() => {
+        if (!userId || !repository) return;
+
+        setJobs([]);
+        const unsubscribe = repository.subscribeJobs((jobsData) => {
+            jobsData.sort((a, b) => a.name.localeCompare(b.name));
+            setJobs(jobsData);
+        }, (err) => {
+            console.error("Jobs Subscription Error:", err);
+            setError("Failed to fetch jobs.");
+        });
+
+        return () => unsubscribe();
+    }, [userId, repository]);
+
+    // --- Activity Feed Effects ---
+    useEffect(() => {
+        if (!userId || !repository) return;
+
+        setActivity(null);
+        setActivityToasts([]);
+        setActivitySeenAt(readActivitySeenAt(userId, repository.workspaceId));
+        const unsubscribe = repository.subscribeActivity(setActivity, (err) => {
+            console.error("Activity Subscription Error:", err);
+            setError("Failed to fetch team activity.");
+        });
+
+        return () => unsubscribe();
+    }, [userId, repository]);
+
+    useEffect(() => {
+        if (userId) setNotificationPreferences(readNotificationPreferences(userId));
+    }, [userId]);
+
+    // --- Offline Sync Queue Effect ---
+    useEffect(() => {
+        if (!repository) return;
+        return repository.subscribeSyncState(setSyncState);
+    }, [repository]);
     
-    // --- Firestore Actions ---
-    const handleAddCamera = async (cameraNumber) => {
-        if (!db || !cameraNumber) return;
+    // --- URL Filter State Effects ---
+    useEffect(() => {
+        const search = serializeFilters(filters);
+        if (search !== window.location.search) {
+            window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+        }
+    }, [filters]);
+
+    useEffect(() => {
+        const handlePopState = () => setFilters(parseFilters(window.location.search));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    // --- Camera Actions ---
+    const handleAddCamera = async (cameraNumber, details) => {
+        if (!repository || !cameraNumber || !can(currentUser?.role, 'addCamera')) return;
         try {
-            const camerasCollectionPath = `artifacts/${appId}/public/data/cameras`;
-            await addDoc(collection(db, camerasCollectionPath), {
-                cameraNumber: cameraNumber,
-                status: 'available',
-                location: '',
-                geolocation: { lat: '', lng: '' },
-                checkedOutTimestamp: null,
-                checkedOutBy: ''
-            });
+            await repository.addCamera(cameraNumber, details);
             setIsAddModalOpen(false);
         } catch (e) {
             console.error("Error adding camera: ", e);
@@ -139,250 +242,800 @@ export default function App() {
         }
     };
 
-    const handleCheckOut = async (locationData) => {
-        if (!db || !selectedCamera || !userId) return;
+    const handleUpdateCamera = async (changes) => {
+        if (!repository || !editingCamera || !can(currentUser?.role, 'editCamera')) return;
         try {
-            const cameraDocRef = doc(db, `artifacts/${appId}/public/data/cameras`, selectedCamera.id);
-            await updateDoc(cameraDocRef, {
-                status: 'in_use',
-                location: locationData.location,
-                geolocation: {
-                    lat: locationData.lat,
-                    lng: locationData.lng
-                },
-                checkedOutTimestamp: serverTimestamp(),
-                checkedOutBy: userId
-            });
+            await repository.updateCamera(editingCamera, changes);
+            setEditingCamera(null);
+        } catch (e) {
+            console.error("Error updating camera: ", e);
+            setError("Could not save the camera.");
+        }
+    };
+
+    // `extraCameras` go to the same site; the battery and SD readings and the photos belong to the
+    // selected camera only.
+    const handleCheckOut = async ({ photos: newPhotos = [], ...locationData }, extraCameras = []) => {
+        if (!repository || !selectedCamera || !can(currentUser?.role, 'checkOut')) return;
+        const photos = await savePhotos(selectedCamera, newPhotos);
+        if (!photos) return;
+        const siteData = { ...locationData, batteryLevel: '', sdCardId: '' };
+        const failed = [];
+        for (const camera of [selectedCamera, ...extraCameras]) {
+            try {
+                await repository.checkOut(camera, camera === selectedCamera ? { ...locationData, photos } : siteData, userId);
+            } catch (e) {
+                console.error("Error checking out camera: ", e);
+                failed.push({ camera, e });
+                if (camera === selectedCamera) discardPhotos(camera, photos);
+            }
+        }
+        if (failed.length === 0) {
             setIsCheckOutModalOpen(false);
             setSelectedCamera(null);
-        } catch (e) {
-            console.error("Error checking out camera: ", e);
-            setError("Could not check out the camera.");
+        } else if (failed.length === 1 && extraCameras.length === 0) {
+            const { e } = failed[0];
+            setError(e.code === 'conflict' || e.code === 'invalid-transition' ? e.message : "Could not check out the camera.");
+        } else {
+            setIsCheckOutModalOpen(false);
+            setSelectedCamera(null);
+            setError(failureMessage('check out', failed));
         }
     };
 
-    const handleCheckIn = async (camera) => {
-        if (!db) return;
+    const handleCheckIn = (camera) => {
+        if (!canCheckIn(currentUser, camera)) {
+            setError(`Only an admin can check in a camera checked out by ${displayName(users, camera.checkedOutBy)}.`);
+            return;
+        }
+        setCheckInCamera(camera);
+    };
+
+    const handleConfirmCheckIn = async ({ photos: newPhotos = [], ...returnData }) => {
+        if (!repository || !checkInCamera || !canCheckIn(currentUser, checkInCamera)) return;
+        const photos = await savePhotos(checkInCamera, newPhotos);
+        if (!photos) return;
         try {
-            const cameraDocRef = doc(db, `artifacts/${appId}/public/data/cameras`, camera.id);
-            await updateDoc(cameraDocRef, {
-                status: 'available',
-                location: '',
-                geolocation: { lat: '', lng: '' },
-                checkedOutTimestamp: null,
-                checkedOutBy: ''
-            });
+            await repository.checkIn(checkInCamera, userId, { ...returnData, photos });
+            setCheckInCamera(null);
         } catch (e) {
             console.error("Error checking in camera: ", e);
-            setError("Could not check in the camera.");
+            discardPhotos(checkInCamera, photos);
+            setError(e.code === 'conflict' || e.code === 'invalid-transition' ? e.message : "Could not check in the camera.");
+        }
+    };
+
+    // Photos are stored before the check-out or check-in that refers to them. Resolves to the
+    // stored photos, or null (with the error shown) when they could not be saved.
+    const savePhotos = async (camera, newPhotos) => {
+        if (newPhotos.length === 0) return [];
+        try {
+            return await repository.savePhotos(camera.id, newPhotos);
+        } catch (e) {
+            console.error("Error saving photos: ", e);
+            setError("Could not upload the photos. Try again, or remove them to go ahead without a connection.");
+            return null;
+        }
+    };
+
+    const discardPhotos = (camera, photos) => {
+        if (photos.length === 0) return;
+        repository.deletePhotos(camera.id, photos).catch(e => console.error("Error removing unused photos: ", e));
+    };
+
+    // Opens whatever the scanned camera's card would offer: check-out, check-in or a status change.
+    const handleScannedCamera = (camera) => {
+        setIsScanModalOpen(false);
+        if (camera.archived) {
+            setError(`${camera.cameraNumber} is archived. Restore it before using it.`);
+        } else if (camera.status === 'in_use') {
+            handleCheckIn(camera);
+        } else if (camera.status === 'available' && can(currentUser?.role, 'checkOut')) {
+            setSelectedCamera(camera);
+            setIsCheckOutModalOpen(true);
+        } else if (camera.status !== 'available' && can(currentUser?.role, 'changeStatus')) {
+            setStatusCamera(camera);
+        } else {
+            setError(`${camera.cameraNumber} is ${statusLabel(camera.status).toLowerCase()}, and you don't have permission to change that.`);
+        }
+    };
+
+    // Checks in every given camera as returned OK, reporting the ones that could not be.
+    const handleCheckInAll = async (jobCameras) => {
+        if (!repository) return;
+        const failed = [];
+        for (const camera of jobCameras) {
+            if (!canCheckIn(currentUser, camera)) continue;
+            try {
+                await repository.checkIn(camera, userId);
+            } catch (e) {
+                console.error("Error checking in camera: ", e);
+                failed.push({ camera, e });
+            }
+        }
+        if (failed.length > 0) setError(failureMessage('check in', failed));
+    };
+
+    // Resolves to whether the move was saved, so the map can put the pin back if not.
+    const handleMoveCamera = async (camera, geolocation) => {
+        if (!repository || !canMoveCamera(currentUser, camera)) return false;
+        try {
+            await repository.moveCamera(camera, geolocation, userId);
+            return true;
+        } catch (e) {
+            console.error("Error moving camera: ", e);
+            setError(e.code === 'conflict' ? e.message : "Could not move the camera's pin.");
+            return false;
+        }
+    };
+
+    const canMoveOnMap = useCallback((camera) => canMoveCamera(currentUser, camera), [currentUser]);
+
+    const handleChangeStatus = async (status, reason) => {
+        if (!repository || !statusCamera || !can(currentUser?.role, 'changeStatus')) return;
+        try {
+            await repository.changeStatus(statusCamera, status, reason, userId);
+            setStatusCamera(null);
+        } catch (e) {
+            console.error("Error changing camera status: ", e);
+            setError(e.code === 'conflict' || e.code === 'invalid-transition' ? e.message : "Could not change the camera's status.");
         }
     };
     
-    const handleDeleteCamera = async (camera) => {
-        if (!db) return;
+    // --- Job Actions ---
+    const handleSaveJob = async (job) => {
+        if (!repository || !can(currentUser?.role, 'manageJobs')) return;
+        try {
+            if (job.id) await repository.updateJob(job.id, job);
+            else await repository.addJob(job, userId);
+            setEditingJob(null);
+        } catch (e) {
+            console.error("Error saving job: ", e);
+            setError("Could not save the job.");
+        }
+    };
+
+    // Creates a job straight from the check-out form, with only a name; details can be filled in later.
+    const handleCreateJob = async (name) => {
+        if (!repository || !can(currentUser?.role, 'manageJobs')) return null;
+        try {
+            const id = await repository.addJob({ name }, userId);
+            return { id, name, address: '', contactName: '', geolocation: { lat: '', lng: '' } };
+        } catch (e) {
+            console.error("Error creating job: ", e);
+            setError("Could not create the job.");
+            return null;
+        }
+    };
+
+    const handleArchiveCamera = async (camera) => {
+        if (!repository || !can(currentUser?.role, 'archiveCamera')) return;
         if (camera.status === 'in_use') {
             setError("Cannot delete a camera that is currently in use.");
             setTimeout(() => setError(null), 3000);
             return;
         }
         try {
-            const cameraDocRef = doc(db, `artifacts/${appId}/public/data/cameras`, camera.id);
-            // In a real app, you would use: await deleteDoc(cameraDocRef); 
-            console.log(`Deletion requested for camera: ${camera.id}. Deletion is disabled in this demo.`);
-            setError(`Deletion for ${camera.cameraNumber} is disabled in this demo.`);
-            setTimeout(() => setError(null), 5000);
+            await repository.archiveCamera(camera, userId);
+            clearTimeout(archivedToastTimerRef.current);
+            setArchivedToast(camera);
+            archivedToastTimerRef.current = setTimeout(() => setArchivedToast(null), 6000);
         } catch (e) {
-            console.error("Error deleting camera: ", e);
+            console.error("Error archiving camera: ", e);
             setError("Could not delete the camera.");
         }
     };
 
-    const inUseCameras = useMemo(() => 
-        cameras.filter(c => c.status === 'in_use' && c.geolocation?.lat && c.geolocation?.lng),
-    [cameras]);
+    const handleRestoreCamera = async (camera) => {
+        if (!repository || !can(currentUser?.role, 'manageArchive')) return;
+        try {
+            await repository.restoreCamera(camera, userId);
+            if (archivedToast?.id === camera.id) {
+                clearTimeout(archivedToastTimerRef.current);
+                setArchivedToast(null);
+            }
+        } catch (e) {
+            console.error("Error restoring camera: ", e);
+            setError("Could not restore the camera.");
+        }
+    };
+
+    const handlePurgeCamera = async (camera) => {
+        if (!repository || !can(currentUser?.role, 'manageArchive')) return;
+        try {
+            await repository.purgeCamera(camera);
+        } catch (e) {
+            console.error("Error purging camera: ", e);
+            setError("Could not permanently delete the camera.");
+        }
+    };
+
+    useEffect(() => () => clearTimeout(archivedToastTimerRef.current), []);
+
+    // --- Workspaces ---
+
+    const handleSwitchWorkspace = (id) => {
+        setWorkspaceId(id);
+        rememberWorkspaceId(id);
+        setSelectedJobId(null);
+    };
+
+    // Opens a workspace just joined, before the workspace list has caught up with it.
+    const openJoinedWorkspace = (joined) => {
+        setWorkspaces(current => current.some(w => w.id === joined.id) ? current : [...current, joined]);
+        handleSwitchWorkspace(joined.id);
+    };
+
+    const handleCreateWorkspace = async (name) => {
+        if (!appRepository) return;
+        try {
+            const id = await appRepository.createWorkspace(name, userId);
+            setIsNewWorkspaceModalOpen(false);
+            openJoinedWorkspace({ id, name });
+        } catch (e) {
+            console.error("Error creating workspace: ", e);
+            setError("Could not create the workspace.");
+        }
+    };
+
+    const handleResendVerification = async () => {
+        if (!appRepository) return false;
+        try {
+            await appRepository.sendVerificationEmail();
+            return true;
+        } catch (e) {
+            console.error("Error sending verification email: ", e);
+            setError("Could not send the verification email.");
+            return false;
+        }
+    };
+
+    const handleCheckEmailVerified = async () => {
+        if (!appRepository) return;
+        try {
+            if (await appRepository.checkEmailVerified()) setAuthUser(user => user && { ...user, emailVerified: true });
+            else setError("Your email is not verified yet. Open the link in the email we sent you, then try again.");
+        } catch (e) {
+            console.error("Error checking email verification: ", e);
+            setError("Could not check whether your email is verified.");
+        }
+    };
+
+    const handleAcceptInvitation = async (invitation) => {
+        if (!appRepository) return;
+        try {
+            await appRepository.acceptInvitation(invitation, userId);
+            openJoinedWorkspace({ id: invitation.workspaceId, name: invitation.workspaceName });
+        } catch (e) {
+            console.error("Error accepting invitation: ", e);
+            setError(e.code === 'conflict' ? e.message : "Could not join the workspace.");
+        }
+    };
+
+    const handleDeclineInvitation = async (invitation) => {
+        if (!appRepository) return;
+        try {
+            await appRepository.deleteInvitation(invitation);
+        } catch (e) {
+            console.error("Error declining invitation: ", e);
+            setError("Could not decline the invitation.");
+        }
+    };
+
+    const handleTransferCamera = async (target) => {
+        if (!appRepository || !transferringCamera || !can(currentUser?.role, 'transferCamera')) return;
+        try {
+            await appRepository.transferCamera(transferringCamera, workspace, target, userId);
+            setTransferringCamera(null);
+        } catch (e) {
+            console.error("Error transferring camera: ", e);
+            if (e.code === 'conflict') setError(e.message);
+            else if (e.code === 'permission-denied') setError(`You need to be an admin of ${target.name} to transfer cameras to it.`);
+            else setError("Could not transfer the camera.");
+        }
+    };
+
+    const activeCameras = useMemo(() => cameras.filter(c => !c.archived), [cameras]);
+    const archivedCameras = useMemo(() => cameras.filter(c => c.archived), [cameras]);
+
+    const selectedJob = useMemo(() => jobs.find(job => job.id === selectedJobId) || null, [jobs, selectedJobId]);
+
+    const filteredCameras = useMemo(() => filterCameras(activeCameras, filters, now), [activeCameras, filters, now]);
+    const overdueCount = useMemo(() => activeCameras.filter(c => isOverdue(c, now)).length, [activeCameras, now]);
+
+    useOverdueNotifications(activeCameras, now, alertPermission === 'granted');
+
+    const handleEnableAlerts = async () => {
+        const permission = await requestNotificationPermission();
+        setAlertPermission(permission);
+        return permission;
+    };
+
+    // --- Activity ---
+
+    const handleActivityNotifications = (entries) => {
+        if (notificationPreferences.toasts) setActivityToasts(current => [...entries, ...current]);
+        if (notificationPreferences.browser && notificationPermission() === 'granted') {
+            entries.forEach(entry => showNotification(`${displayName(users, entry.userId)} ${describeActivity(entry, jobs)}`, { tag: entry.id }));
+        }
+    };
+
+    useActivityNotifications(activity, userId, notificationPreferences, handleActivityNotifications);
+
+    const handleChangeNotificationPreferences = (preferences) => {
+        setNotificationPreferences(preferences);
+        writeNotificationPreferences(userId, preferences);
+    };
+
+    // Everything listed so far counts as seen once the feed is closed.
+    const handleCloseActivity = () => {
+        setIsActivityModalOpen(false);
+        const newest = activity?.[0]?.timestamp;
+        if (newest && (!activitySeenAt || newest > activitySeenAt)) {
+            setActivitySeenAt(newest);
+            rememberActivitySeen(userId, openWorkspaceId, newest);
+        }
+    };
+
+    const handleOpenActivity = () => {
+        setActivityToasts([]);
+        setIsActivityModalOpen(true);
+    };
+
+    const activityUnreadCount = useMemo(() => activity ? unreadCount(activity, userId, activitySeenAt) : 0, [activity, userId, activitySeenAt]);
+
+    if (!isAuthReady || (appRepository && !authUser)) {
+        return (
+            <div className="bg-gray-900 text-white min-h-screen font-sans">
+                <div className="max-w-7xl mx-auto p-4 sm:p-6 lg:p-8">
+                    {error && <ErrorMessage message={error} onClose={() => setError(null)} />}
+                    {isAuthReady ? <SignInScreen repository={appRepository} /> : <LoadingSpinner />}
+                </div>
+            </div>
+        );
+    }
 
     return (
         <div className="bg-gray-900 text-white min-h-screen font-sans">
-            <div className="max-w-7xl mx-auto p-4 sm:p-6 lg:p-8">
+            {/* Bottom padding keeps the last cards clear of the phone layout's bottom nav. */}
+            <div className="max-w-7xl mx-auto p-4 pb-24 sm:p-6 lg:p-8">
                 <Header 
                     onAddCamera={() => setIsAddModalOpen(true)} 
-                    userId={userId} 
+                    currentUser={currentUser}
+                    workspaces={workspaces}
+                    workspaceId={openWorkspaceId}
+                    onSwitchWorkspace={handleSwitchWorkspace}
+                    onCreateWorkspace={() => setIsNewWorkspaceModalOpen(true)}
+                    onOpenTeam={() => setIsTeamModalOpen(true)}
+                    onSignOut={() => appRepository.signOut()}
                     viewMode={viewMode}
                     setViewMode={setViewMode}
+                    archivedCount={archivedCameras.length}
+                    overdueCount={overdueCount}
+                    onShowOverdue={() => { setFilters({ ...filters, status: 'overdue' }); setViewMode(viewMode === 'map' ? 'map' : 'cards'); }}
+                    alertPermission={alertPermission}
+                    onEnableAlerts={handleEnableAlerts}
+                    syncState={syncState}
+                    onOpenSync={() => setIsSyncModalOpen(true)}
+                    onScan={() => setIsScanModalOpen(true)}
+                    activityUnreadCount={activityUnreadCount}
+                    onOpenActivity={handleOpenActivity}
                 />
 
                 {error && <ErrorMessage message={error} onClose={() => setError(null)} />}
+                {isEmailVerified || !userEmail ? (
+                    <InvitationBanner invitations={invitations} onAccept={handleAcceptInvitation} onDecline={handleDeclineInvitation} />
+                ) : (
+                    <VerifyEmailBanner email={userEmail} onResend={handleResendVerification} onCheck={handleCheckEmailVerified} />
+                )}
 
                 {isLoading ? (
                     <LoadingSpinner />
                 ) : (
                     <div className="mt-6">
+                        {(viewMode === 'cards' || viewMode === 'map') && (
+                            <FilterToolbar
+                                filters={filters}
+                                setFilters={setFilters}
+                                cameras={activeCameras}
+                                users={users}
+                                currentUserId={userId}
+                                shownCount={filteredCameras.length}
+                                onImport={can(currentUser?.role, 'addCamera') ? () => setIsImportModalOpen(true) : null}
+                                onExport={() => setIsExportModalOpen(true)}
+                                onPrintLabels={() => setIsLabelsModalOpen(true)}
+                            />
+                        )}
                         {viewMode === 'cards' && (
                             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-                                {cameras.length > 0 ? cameras.map(camera => (
+                                {filteredCameras.length > 0 ? filteredCameras.map(camera => (
                                     <CameraCard 
                                         key={camera.id} 
                                         camera={camera} 
+                                        now={now}
+                                        users={users}
+                                        canCheckOut={can(currentUser?.role, 'checkOut')}
+                                        canCheckIn={canCheckIn(currentUser, camera)}
+                                        canDelete={can(currentUser?.role, 'archiveCamera')}
+                                        canEdit={can(currentUser?.role, 'editCamera')}
+                                        canChangeStatus={can(currentUser?.role, 'changeStatus')}
+                                        canTransfer={can(currentUser?.role, 'transferCamera') && workspaces.length > 1}
+                                        onEdit={() => setEditingCamera(camera)}
+                                        onChangeStatus={() => setStatusCamera(camera)}
                                         onCheckOut={() => { setSelectedCamera(camera); setIsCheckOutModalOpen(true); }}
                                         onCheckIn={() => handleCheckIn(camera)}
-                                        onDelete={() => handleDeleteCamera(camera)}
+                                        onDelete={() => handleArchiveCamera(camera)}
+                                        onTransfer={() => setTransferringCamera(camera)}
+                                        onShowHistory={() => setHistoryCamera(camera)}
+                                        getPhotoUrl={repository?.getPhotoUrl}
                                     />
-                                )) : <EmptyState />}
+                                )) : activeCameras.length > 0 ? <NoMatchesState onClear={() => setFilters(DEFAULT_FILTERS)} /> : <EmptyState />}
                             </div>
                         )}
-                         {viewMode === 'map' && <MapView cameras={inUseCameras} />}
+                        {viewMode === 'map' && <MapView cameras={filteredCameras} jobs={jobs} users={users} now={now} canMoveCamera={canMoveOnMap} onMoveCamera={handleMoveCamera} getPhotoUrl={repository?.getPhotoUrl} />}
+                        {viewMode === 'dashboard' && <Dashboard repository={repository} cameras={activeCameras} jobs={jobs} users={users} now={now} onError={setError} />}
+                        {viewMode === 'jobs' && (selectedJob ? (
+                            <JobDetail
+                                repository={repository}
+                                job={selectedJob}
+                                cameras={activeCameras}
+                                users={users}
+                                currentUser={currentUser}
+                                now={now}
+                                canManage={can(currentUser?.role, 'manageJobs')}
+                                onBack={() => setSelectedJobId(null)}
+                                onEdit={() => setEditingJob(selectedJob)}
+                                onCheckInAll={handleCheckInAll}
+                                onShowHistory={setHistoryCamera}
+                            />
+                        ) : (
+                            <JobsView
+                                jobs={jobs}
+                                cameras={activeCameras}
+                                canManage={can(currentUser?.role, 'manageJobs')}
+                                onOpenJob={(job) => setSelectedJobId(job.id)}
+                                onAddJob={() => setEditingJob({})}
+                            />
+                        ))}
+                        {viewMode === 'archived' && (
+                            <ArchivedView
+                                cameras={archivedCameras}
+                                users={users}
+                                canManage={can(currentUser?.role, 'manageArchive')}
+                                onRestore={handleRestoreCamera}
+                                onPurge={handlePurgeCamera}
+                                onShowHistory={setHistoryCamera}
+                            />
+                        )}
                     </div>
                 )}
             </div>
 
+            <BottomNav
+                viewMode={viewMode}
+                setViewMode={setViewMode}
+                onScan={can(currentUser?.role, 'checkOut') ? () => setIsScanModalOpen(true) : null}
+            />
+            <ActivityToasts
+                toasts={activityToasts}
+                users={users}
+                jobs={jobs}
+                onOpen={handleOpenActivity}
+                onDismiss={(id) => setActivityToasts(current => current.filter(entry => entry.id !== id))}
+            />
+            {archivedToast && (
+                <UndoToast
+                    message={`${archivedToast.cameraNumber} moved to Archived.`}
+                    onUndo={() => handleRestoreCamera(archivedToast)}
+                    onClose={() => setArchivedToast(null)}
+                />
+            )}
             {isAddModalOpen && <AddCameraModal onClose={() => setIsAddModalOpen(false)} onAdd={handleAddCamera} />}
-            {isCheckOutModalOpen && selectedCamera && <CheckOutModal camera={selectedCamera} onClose={() => setIsCheckOutModalOpen(false)} onCheckOut={handleCheckOut} />}
+            {editingCamera && <EditCameraModal camera={editingCamera} cameras={cameras} onClose={() => setEditingCamera(null)} onSave={handleUpdateCamera} />}
+            {isCheckOutModalOpen && selectedCamera && (
+                <CheckOutModal
+                    camera={selectedCamera}
+                    current={cameras.find(c => c.id === selectedCamera.id) || null}
+                    cameras={activeCameras}
+                    users={users}
+                    jobs={jobs}
+                    onCreateJob={can(currentUser?.role, 'manageJobs') ? handleCreateJob : null}
+                    onClose={() => setIsCheckOutModalOpen(false)}
+                    onCheckOut={handleCheckOut}
+                />
+            )}
+            {checkInCamera && <CheckInModal camera={checkInCamera} current={cameras.find(c => c.id === checkInCamera.id) || null} users={users} onClose={() => setCheckInCamera(null)} onCheckIn={handleConfirmCheckIn} />}
+            {statusCamera && <ChangeStatusModal camera={statusCamera} onClose={() => setStatusCamera(null)} onChangeStatus={handleChangeStatus} />}
+            {editingJob && <JobModal job={editingJob.id ? editingJob : null} jobs={jobs} onClose={() => setEditingJob(null)} onSave={handleSaveJob} />}
+            {historyCamera && <HistoryModal repository={repository} users={users} camera={historyCamera} onClose={() => setHistoryCamera(null)} />}
+            {isSyncModalOpen && <SyncQueueModal repository={repository} syncState={syncState} onClose={() => setIsSyncModalOpen(false)} onError={setError} />}
+            {isImportModalOpen && <ImportModal repository={repository} cameras={cameras} onClose={() => setIsImportModalOpen(false)} onError={setError} />}
+            {isExportModalOpen && <ExportModal repository={repository} cameras={filteredCameras} users={users} isFiltered={isFiltered(filters)} onClose={() => setIsExportModalOpen(false)} onError={setError} />}
+            {isLabelsModalOpen && <LabelsModal cameras={filteredCameras} onClose={() => setIsLabelsModalOpen(false)} onError={setError} />}
+            {isScanModalOpen && <ScanModal cameras={cameras} onClose={() => setIsScanModalOpen(false)} onScan={handleScannedCamera} />}
+            {isTeamModalOpen && <TeamModal repository={repository} appRepository={appRepository} workspace={workspace} currentUser={currentUser} users={users} onClose={() => setIsTeamModalOpen(false)} onError={setError} />}
+            {isNewWorkspaceModalOpen && <NewWorkspaceModal onClose={() => setIsNewWorkspaceModalOpen(false)} onCreate={handleCreateWorkspace} />}
+            {isActivityModalOpen && (
+                <ActivityModal
+                    entries={activity || []}
+                    users={users}
+                    jobs={jobs}
+                    currentUserId={userId}
+                    seenAt={activitySeenAt}
+                    preferences={notificationPreferences}
+                    onChangePreferences={handleChangeNotificationPreferences}
+                    browserPermission={alertPermission}
+                    onEnableBrowser={handleEnableAlerts}
+                    onClose={handleCloseActivity}
+                />
+            )}
+            {transferringCamera && <TransferCameraModal appRepository={appRepository} camera={transferringCamera} workspaces={workspaces} workspaceId={openWorkspaceId} userId={userId} onClose={() => setTransferringCamera(null)} onTransfer={handleTransferCamera} onError={setError} />}
         </div>
     );
 }
 
 // --- Sub-Components ---
 
-function Header({ onAddCamera, userId, viewMode, setViewMode }) {
+function Header({ onAddCamera, currentUser, workspaces, workspaceId, onSwitchWorkspace, onCreateWorkspace, onOpenTeam, onSignOut, viewMode, setViewMode, archivedCount, overdueCount, onShowOverdue, alertPermission, onEnableAlerts, syncState, onOpenSync, onScan, activityUnreadCount, onOpenActivity }) {
+    const role = ROLES[currentUser?.role];
     return (
         <header className="flex flex-col sm:flex-row items-start sm:items-center justify-between pb-4 border-b border-gray-700">
             <div>
-                 <h1 className="text-3xl font-bold text-cyan-400">Camera & Trap Tracker</h1>
+                <h1 className="text-2xl sm:text-3xl font-bold text-cyan-400">Camera & Trap Tracker</h1>
                 <p className="text-gray-400 mt-1">Real-time status of all field cameras.</p>
-                {userId && (
-                    <p className="text-xs text-gray-500 mt-2 bg-gray-800 px-2 py-1 rounded-md inline-block">
-                        Your User ID: <span className="font-mono text-yellow-400">{userId}</span>
-                    </p>
+                {currentUser && (
+                    <div className="flex items-center text-xs text-gray-500 mt-2 space-x-2">
+                        {workspaces && (
+                            <WorkspaceSwitcher workspaces={workspaces} workspaceId={workspaceId} onSwitch={onSwitchWorkspace} onCreate={onCreateWorkspace} />
+                        )}
+                        <button onClick={onOpenTeam} className="flex items-center bg-gray-800 hover:bg-gray-700 px-2 py-1 rounded-md" title="Profile and team">
+                            <Users size={14} className="mr-2" />
+                            <span className="text-yellow-400">{currentUser.displayName || currentUser.email}</span>
+                        </button>
+                        {role && <span className={`px-2 py-1 rounded-full font-semibold ${role.className}`}>{role.label}</span>}
+                        <button onClick={onSignOut} className="flex items-center hover:text-white">
+                            <LogOut size={14} className="mr-1" />
+                            Sign Out
+                        </button>
+                    </div>
                 )}
             </div>
-            <div className="flex items-center space-x-2 mt-4 sm:mt-0">
-                 <button
+            <div className="flex flex-wrap items-center gap-2 mt-4 sm:mt-0">
+                {overdueCount > 0 && (
+                    <button onClick={onShowOverdue} className="flex items-center bg-red-500/20 hover:bg-red-500/30 text-red-300 font-bold py-2 px-3 rounded-lg transition-colors" title="Show overdue cameras">
+                        <Clock size={18} className="mr-2" />
+                        {overdueCount} Overdue
+                    </button>
+                )}
+                {alertPermission !== 'unsupported' && (
+                    <button
+                        onClick={onEnableAlerts}
+                        disabled={alertPermission !== 'default'}
+                        className="p-2 bg-gray-800 hover:bg-gray-700 disabled:hover:bg-gray-800 rounded-lg transition-colors"
+                        title={{
+                            granted: 'Overdue alerts are on',
+                            denied: 'Notifications are blocked in your browser settings',
+                            default: 'Enable overdue alerts'
+                        }[alertPermission]}
+                    >
+                        {alertPermission === 'granted' ? <Bell size={18} className="text-cyan-400" /> : <BellOff size={18} className="text-gray-400" />}
+                    </button>
+                )}
+                <button onClick={onOpenActivity} className="relative p-2 bg-gray-800 hover:bg-gray-700 rounded-lg transition-colors" title="Team activity">
+                    <Activity size={18} className={activityUnreadCount > 0 ? 'text-cyan-400' : 'text-gray-400'} />
+                    {activityUnreadCount > 0 && (
+                        <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 flex items-center justify-center rounded-full bg-cyan-500 text-white text-xs font-bold">
+                            {activityUnreadCount > 99 ? '99+' : activityUnreadCount}
+                        </span>
+                    )}
+                </button>
+                <SyncIndicator syncState={syncState} onClick={onOpenSync} />
+                {can(currentUser?.role, 'checkOut') && (
+                    <button onClick={onScan} className="hidden sm:flex items-center bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg shadow-lg transition-colors" title="Scan a camera's QR label">
+                        <ScanLine size={20} className="mr-2" />
+                        Scan
+                    </button>
+                )}
+                <button
                     onClick={() => setViewMode(viewMode === 'cards' ? 'map' : 'cards')}
-                    className="flex items-center bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg shadow-lg transition-colors"
+                    className="hidden sm:flex items-center bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg shadow-lg transition-colors"
                 >
                     {viewMode === 'cards' ? <Map size={20} className="mr-2" /> : <List size={20} className="mr-2" />}
                     {viewMode === 'cards' ? 'Map View' : 'Card View'}
                 </button>
                 <button
-                    onClick={onAddCamera}
-                    className="flex items-center bg-cyan-500 hover:bg-cyan-600 text-white font-bold py-2 px-4 rounded-lg shadow-lg transition-transform transform hover:scale-105"
+                    onClick={() => setViewMode(viewMode === 'dashboard' ? 'cards' : 'dashboard')}
+                    className={`flex items-center font-bold py-2 px-4 rounded-lg shadow-lg transition-colors ${viewMode === 'dashboard' ? 'bg-gray-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-white'}`}
                 >
-                    <Plus size={20} className="mr-2" />
-                    Add Camera
+                    <LayoutDashboard size={20} className="mr-2" />
+                    Dashboard
                 </button>
+                <button
+                    onClick={() => setViewMode(viewMode === 'jobs' ? 'cards' : 'jobs')}
+                    className={`flex items-center font-bold py-2 px-4 rounded-lg shadow-lg transition-colors ${viewMode === 'jobs' ? 'bg-gray-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-white'}`}
+                >
+                    <Briefcase size={20} className="mr-2" />
+                    Jobs
+                </button>
+                {can(currentUser?.role, 'manageArchive') && (
+                    <button
+                        onClick={() => setViewMode(viewMode === 'archived' ? 'cards' : 'archived')}
+                        className={`flex items-center font-bold py-2 px-4 rounded-lg shadow-lg transition-colors ${viewMode === 'archived' ? 'bg-gray-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-white'}`}
+                    >
+                        <Archive size={20} className="mr-2" />
+                        Archived{archivedCount > 0 && ` (${archivedCount})`}
+                    </button>
+                )}
+                {can(currentUser?.role, 'addCamera') && (
+                    <button
+                        onClick={onAddCamera}
+                        className="flex items-center bg-cyan-500 hover:bg-cyan-600 text-white font-bold py-2 px-4 rounded-lg shadow-lg transition-transform transform hover:scale-105"
+                    >
+                        <Plus size={20} className="mr-2" />
+                        Add Camera
+                    </button>
+                )}
             </div>
         </header>
     );
 }
 
-function MapView({ cameras }) {
-    const mapContainerRef = useRef(null);
-    const mapInstanceRef = useRef(null);
-    const markersRef = useRef([]);
-    const [isLeafletLoaded, setIsLeafletLoaded] = useState(!!window.L);
-
-    useEffect(() => {
-        if (isLeafletLoaded) return;
-        
-        const script = document.createElement('script');
-        script.src = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js';
-        script.integrity = 'sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=';
-        script.crossOrigin = '';
-        script.onload = () => setIsLeafletLoaded(true);
-        document.body.appendChild(script);
-
-        return () => {
-            document.body.removeChild(script);
-        };
-    }, [isLeafletLoaded]);
-
-    useEffect(() => {
-        if (!isLeafletLoaded || !mapContainerRef.current || mapInstanceRef.current) return;
-
-        mapInstanceRef.current = window.L.map(mapContainerRef.current).setView([39.8283, -98.5795], 4); // Centered on USA
-
-        window.L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-        }).addTo(mapInstanceRef.current);
-
-    }, [isLeafletLoaded]);
-
-    useEffect(() => {
-        if (!mapInstanceRef.current || !isLeafletLoaded) return;
-        
-        // Invalidate map size to ensure it renders correctly after being displayed
-        mapInstanceRef.current.invalidateSize();
-
-        // Clear existing markers
-        markersRef.current.forEach(marker => marker.remove());
-        markersRef.current = [];
-
-        if (cameras.length === 0) return;
-
-        const cameraIcon = window.L.divIcon({
-            html: `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-camera" style="background-color: #0891b2; border-radius: 50%; padding: 4px; box-shadow: 0 0 8px #0891b2;"><path d="M14.5 4h-5L7 7H4a2 2 0 0 0-2 2v9a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2V9a2 2 0 0 0-2-2h-3l-2.5-3z"></path><circle cx="12" cy="13" r="3"></circle></svg>`,
-            className: '',
-            iconSize: [32, 32],
-            iconAnchor: [16, 32]
-        });
-
-
-        const bounds = [];
-        cameras.forEach(camera => {
-            const lat = parseFloat(camera.geolocation.lat);
-            const lng = parseFloat(camera.geolocation.lng);
-
-            if (!isNaN(lat) && !isNaN(lng)) {
-                const marker = window.L.marker([lat, lng], {icon: cameraIcon}).addTo(mapInstanceRef.current);
-                marker.bindPopup(
-                    `<b>${camera.cameraNumber}</b><br>${camera.location}`
-                );
-                markersRef.current.push(marker);
-                bounds.push([lat, lng]);
-            }
-        });
-
-        if (bounds.length > 0) {
-            mapInstanceRef.current.fitBounds(bounds, { padding: [50, 50] });
-        }
+// Phones get the views used in the field, and the scanner, under the thumb instead of in the
+// header. Dashboard, jobs and the archive stay in the header.
+function BottomNav({ viewMode, setViewMode, onScan }) {
+    const itemClassName = (isActive) => `flex flex-col items-center justify-center py-2 text-xs font-semibold ${isActive ? 'text-cyan-400' : 'text-gray-400 hover:text-white'}`;
+    return (
+        <nav className={`sm:hidden fixed bottom-0 inset-x-0 z-30 bg-gray-800 border-t border-gray-700 pb-[env(safe-area-inset-bottom)] grid ${onScan ? 'grid-cols-3' : 'grid-cols-2'}`} aria-label="Views">
+            <button onClick={() => setViewMode('cards')} className={itemClassName(viewMode === 'cards')} aria-current={viewMode === 'cards' ? 'page' : undefined}>
+                <List size={22} className="mb-1" />
+                Cards
+            </button>
+            <button onClick={() => setViewMode('map')} className={itemClassName(viewMode === 'map')} aria-current={viewMode === 'map' ? 'page' : undefined}>
+                <Map size={22} className="mb-1" />
+                Map
+            </button>
+            {onScan && (
+                <button onClick={onScan} className={itemClassName(false)}>
+                    <ScanLine size={22} className="mb-1" />
+                    Scan
+                </button>
+            )}
+        </nav>
+    );
+}
 
-    }, [cameras, isLeafletLoaded]);
+function FilterToolbar({ filters, setFilters, cameras, users, currentUserId, shownCount, onImport, onExport, onPrintLabels }) {
+    const update = (changes) => setFilters({ ...filters, ...changes });
+    // Offer everyone who currently has a camera out, plus the current user.
+    const checkedOutByIds = [...new Set([currentUserId, ...cameras.map(c => c.checkedOutBy).filter(Boolean)])];
+    const selectClassName = "bg-gray-800 border border-gray-600 rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-cyan-500";
 
-    if (!isLeafletLoaded) {
-        return <LoadingSpinner />;
-    }
-    
-    if (cameras.length === 0) {
-         return (
-            <div className="text-center py-20 px-6 bg-gray-800 rounded-lg">
-                <MapPin size={48} className="mx-auto text-gray-500" />
-                <h3 className="mt-4 text-xl font-semibold text-white">No Active Cameras on Map</h3>
-                <p className="mt-2 text-gray-400">Check out a camera with a valid geo-location to see it here.</p>
+    return (
+        <div className="flex flex-col lg:flex-row lg:items-center gap-3 mb-6">
+            <div className="relative flex-grow">
+                <Search size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" />
+                <input
+                    type="search"
+                    value={filters.q}
+                    onChange={(e) => update({ q: e.target.value })}
+                    placeholder="Search camera number or location"
+                    className="w-full bg-gray-800 border border-gray-600 rounded-md pl-10 pr-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
             </div>
-        );
-    }
-
-    return <div ref={mapContainerRef} className="h-[65vh] w-full rounded-lg z-0" />;
+            <div className="flex flex-wrap items-center gap-2">
+                <select value={filters.status} onChange={(e) => update({ status: e.target.value })} className={selectClassName} aria-label="Status">
+                    {Object.entries(STATUS_FILTERS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <select value={filters.by} onChange={(e) => update({ by: e.target.value })} className={selectClassName} aria-label="Checked out by">
+                    <option value="">Checked out by anyone</option>
+                    {checkedOutByIds.map(uid => (
+                        <option key={uid} value={uid}>{uid === currentUserId ? 'Checked out by me' : displayName(users, uid)}</option>
+                    ))}
+                </select>
+                <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })} className={selectClassName} aria-label="Sort by">
+                    {Object.entries(SORT_OPTIONS).map(([value, label]) => <option key={value} value={value}>Sort: {label}</option>)}
+                </select>
+                {isFiltered(filters) && (
+                    <button onClick={() => setFilters({ ...DEFAULT_FILTERS, sort: filters.sort })} className="flex items-center text-sm text-gray-400 hover:text-white px-2">
+                        <X size={16} className="mr-1" />
+                        Clear
+                    </button>
+                )}
+                <span className="text-sm text-gray-500">{shownCount} of {cameras.length}</span>
+                {onImport && (
+                    <button onClick={onImport} className="p-2 bg-gray-800 hover:bg-gray-700 rounded-md text-gray-300" title="Import cameras from CSV/JSON">
+                        <Upload size={18} />
+                    </button>
+                )}
+                <button onClick={onExport} className="p-2 bg-gray-800 hover:bg-gray-700 rounded-md text-gray-300" title="Export to CSV/JSON">
+                    <Download size={18} />
+                </button>
+                <button onClick={onPrintLabels} disabled={shownCount === 0} className="p-2 bg-gray-800 hover:bg-gray-700 disabled:opacity-50 rounded-md text-gray-300" title="Print QR labels for the cameras shown">
+                    <QrCode size={18} />
+                </button>
+            </div>
+        </div>
+    );
 }
 
+const SYNC_STATUS_STYLES = {
+    synced: { label: 'Synced', Icon: Cloud, className: 'text-green-400' },
+    pending: { label: 'Pending', Icon: Cloud, className: 'text-yellow-400' },
+    syncing: { label: 'Syncing', Icon: RefreshCw, className: 'text-cyan-400 animate-pulse' },
+    offline: { label: 'Offline', Icon: CloudOff, className: 'text-gray-400' },
+    conflict: { label: 'Conflict', Icon: AlertTriangle, className: 'text-red-400' }
+};
 
-function CameraCard({ camera, onCheckOut, onCheckIn, onDelete }) {
+function SyncIndicator({ syncState, onClick }) {
+    const { label, Icon, className } = SYNC_STATUS_STYLES[syncState.status];
+    const count = syncState.actions.length;
+    return (
+        <button
+            onClick={onClick}
+            className="flex items-center bg-gray-800 hover:bg-gray-700 py-2 px-3 rounded-lg transition-colors"
+            title={count > 0 ? `${count} change${count === 1 ? '' : 's'} waiting to sync` : 'All changes synced'}
+        >
+            <Icon size={18} className={`mr-2 ${className}`} />
+            <span className="text-sm text-gray-300">{label}</span>
+            {count > 0 && (
+                <span className="ml-2 bg-yellow-500 text-gray-900 text-xs font-bold rounded-full px-2">{count}</span>
+            )}
+        </button>
+    );
+}
+
+function CameraCard({ camera, now, users, canCheckOut, canCheckIn, canEdit, canChangeStatus, canDelete, canTransfer, onCheckOut, onCheckIn, onEdit, onChangeStatus, onDelete, onTransfer, onShowHistory, getPhotoUrl }) {
     const isAvailable = camera.status === 'available';
-    const timestamp = camera.checkedOutTimestamp?.toDate();
+    const isInUse = camera.status === 'in_use';
+    const status = CAMERA_STATUSES[camera.status] || CAMERA_STATUSES.available;
+    const statusChangedAt = camera.statusChangedAt;
+    const timestamp = camera.checkedOutTimestamp;
+    const days = daysDeployed(camera, now);
+    const overdue = isOverdue(camera, now);
+    const overdueDays = daysOverdue(camera, now);
     
     return (
-        <div className={`bg-gray-800 rounded-lg shadow-xl border ${isAvailable ? 'border-green-500/50' : 'border-yellow-500/50'} flex flex-col transition-all duration-300 hover:shadow-cyan-500/20 hover:border-cyan-400`}>
+        <div className={`bg-gray-800 rounded-lg shadow-xl border ${overdue ? 'border-red-500/70' : status.borderClassName} flex flex-col transition-all duration-300 hover:shadow-cyan-500/20 hover:border-cyan-400`}>
             <div className="p-5 flex-grow">
                 <div className="flex justify-between items-start">
                     <h2 className="text-xl font-bold text-white flex items-center">
                         <Camera className="mr-3 text-cyan-400" />
                         {camera.cameraNumber}
                     </h2>
-                    <span className={`px-3 py-1 text-sm font-semibold rounded-full ${isAvailable ? 'bg-green-500/20 text-green-400' : 'bg-yellow-500/20 text-yellow-400'}`}>
-                        {isAvailable ? 'Available' : 'In Use'}
-                    </span>
+                    <div className="flex flex-col items-end space-y-1">
+                        <span className={`px-3 py-1 text-sm font-semibold rounded-full ${status.className}`}>
+                            {statusLabel(camera.status)}
+                        </span>
+                        {overdue && (
+                            <span className="flex items-center px-2 py-0.5 text-xs font-semibold rounded-full bg-red-500/20 text-red-300">
+                                <Clock size={12} className="mr-1" />
+                                Overdue{overdueDays > 0 && ` ${overdueDays}d`}
+                            </span>
+                        )}
+                        {camera.pendingSync && (
+                            <span className="flex items-center text-xs text-gray-400" title="Saved on this device, waiting to sync">
+                                <CloudOff size={12} className="mr-1" />
+                                Not synced
+                            </span>
+                        )}
+                    </div>
                 </div>
-                {!isAvailable && (
+                <CameraSpecs camera={camera} />
+                {!isAvailable && !isInUse && (
+                    <div className="mt-4 text-sm text-gray-300 flex items-start">
+                        <Wrench size={16} className="mr-3 mt-0.5 text-gray-500 flex-shrink-0" />
+                        <div>
+                            {camera.statusReason && <p className="text-white">{camera.statusReason}</p>}
+                            {statusChangedAt &&
+                                <p className="text-xs text-gray-400" title={camera.statusChangedBy}>
+                                    Since {statusChangedAt.toLocaleDateString()}
+                                    {camera.statusChangedBy && ` · ${displayName(users, camera.statusChangedBy)}`}
+                                </p>
+                            }
+                        </div>
+                    </div>
+                )}
+                {isInUse && (
                     <div className="mt-4 space-y-3 text-gray-300">
                         <div className="flex items-start">
                             <MapPin size={18} className="mr-3 mt-1 text-gray-500 flex-shrink-0" />
@@ -398,69 +1051,196 @@ function CameraCard({ camera, onCheckOut, onCheckIn, onDelete }) {
                         {timestamp && 
                             <p className="text-xs text-gray-400">
                                 Checked out on {timestamp.toLocaleDateString()} at {timestamp.toLocaleTimeString()}
+                                {days > 0 && ` (${days} day${days === 1 ? '' : 's'})`}
+                            </p>
+                        }
+                        {camera.expectedReturnDate &&
+                            <p className={`text-xs ${overdue ? 'text-red-300 font-semibold' : 'text-gray-400'}`}>
+                                Due back {camera.expectedReturnDate.toLocaleDateString()}
                             </p>
                         }
                         {camera.checkedOutBy &&
-                            <p className="text-xs text-gray-500 font-mono" title={camera.checkedOutBy}>
-                                By: {camera.checkedOutBy.substring(0, 12)}...
+                            <p className="text-xs text-gray-500" title={camera.checkedOutBy}>
+                                By: {displayName(users, camera.checkedOutBy)}
                             </p>
                         }
+                        <PhotoThumbnails photos={camera.photos} getPhotoUrl={getPhotoUrl} />
                     </div>
                 )}
             </div>
             <div className="bg-gray-800/50 p-3 flex items-center justify-between rounded-b-lg border-t border-gray-700">
-                {isAvailable ? (
+                {!isInUse ? (
                     <>
-                        <button onClick={onCheckOut} className="w-full flex items-center justify-center bg-yellow-500 hover:bg-yellow-600 text-gray-900 font-bold py-2 px-4 rounded-md transition-colors">
-                            <LogOut size={18} className="mr-2" />
-                            Check Out
-                        </button>
-                         <button onClick={onDelete} className="ml-2 p-2 text-gray-500 hover:text-red-500 transition-colors">
-                            <Trash2 size={18}/>
-                        </button>
+                        {isAvailable ? (
+                            <button onClick={onCheckOut} disabled={!canCheckOut} className="w-full flex items-center justify-center bg-yellow-500 hover:bg-yellow-600 disabled:opacity-40 disabled:cursor-not-allowed text-gray-900 font-bold py-2 px-4 rounded-md transition-colors">
+                                <LogOut size={18} className="mr-2" />
+                                Check Out
+                            </button>
+                        ) : (
+                            <button onClick={onChangeStatus} disabled={!canChangeStatus} className="w-full flex items-center justify-center bg-gray-700 hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-md transition-colors">
+                                <Wrench size={18} className="mr-2" />
+                                Change Status
+                            </button>
+                        )}
+                        {isAvailable && canChangeStatus && (
+                            <button onClick={onChangeStatus} className="ml-2 p-2 text-gray-500 hover:text-orange-400 transition-colors" title="Change Status">
+                                <Wrench size={18}/>
+                            </button>
+                        )}
+                        {canTransfer && (
+                            <button onClick={onTransfer} className="ml-2 p-2 text-gray-500 hover:text-cyan-400 transition-colors" title="Transfer to another workspace">
+                                <ArrowRightLeft size={18}/>
+                            </button>
+                        )}
+                        {canDelete && (
+                            <button onClick={onDelete} className="ml-2 p-2 text-gray-500 hover:text-red-500 transition-colors" title="Delete Camera">
+                                <Trash2 size={18}/>
+                            </button>
+                        )}
                     </>
                 ) : (
-                    <button onClick={onCheckIn} className="w-full flex items-center justify-center bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-md transition-colors">
+                    <button
+                        onClick={onCheckIn}
+                        disabled={!canCheckIn}
+                        title={canCheckIn ? undefined : `Checked out by ${displayName(users, camera.checkedOutBy)}`}
+                        className="w-full flex items-center justify-center bg-green-500 hover:bg-green-600 disabled:opacity-40 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-md transition-colors"
+                    >
                         <LogIn size={18} className="mr-2" />
                         Check In
                     </button>
                 )}
+                {canEdit && (
+                    <button onClick={onEdit} className="ml-2 p-2 text-gray-500 hover:text-cyan-400 transition-colors" title="Edit Details">
+                        <Pencil size={18}/>
+                    </button>
+                )}
+                <button onClick={onShowHistory} className="ml-2 p-2 text-gray-500 hover:text-cyan-400 transition-colors" title="Deployment History">
+                    <History size={18}/>
+                </button>
             </div>
         </div>
     );
 }
 
-function Modal({ children, onClose, title }) {
+// Make/model, serial, battery and SD card summary; renders nothing for cameras with no details.
+function CameraSpecs({ camera }) {
+    const makeModel = [camera.make, camera.model].filter(Boolean).join(' ');
+    const hasBattery = camera.batteryLevel !== null && camera.batteryLevel !== undefined;
+    if (!makeModel && !camera.serialNumber && !hasBattery && !camera.sdCardId && !camera.notes) return null;
+
     return (
-        <div className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-center z-50 p-4">
-            <div className="bg-gray-800 rounded-lg shadow-xl w-full max-w-md border border-gray-700">
-                <div className="flex justify-between items-center p-4 border-b border-gray-700">
-                    <h3 className="text-xl font-bold text-cyan-400">{title}</h3>
-                    <button onClick={onClose} className="text-gray-400 hover:text-white">
-                        <X size={24} />
-                    </button>
-                </div>
-                <div className="p-6">
-                    {children}
+        <div className="mt-3 space-y-1 text-xs text-gray-400">
+            {(makeModel || camera.serialNumber) && (
+                <p>
+                    {makeModel && <span className="text-gray-300">{makeModel}</span>}
+                    {camera.serialNumber && <span className="font-mono">{makeModel && ' · '}S/N {camera.serialNumber}</span>}
+                </p>
+            )}
+            {(hasBattery || camera.sdCardId) && (
+                <div className="flex items-center space-x-4">
+                    {hasBattery && (
+                        <span className={`flex items-center ${camera.batteryLevel <= 20 ? 'text-red-300' : ''}`}>
+                            <Battery size={14} className="mr-1" />
+                            {camera.batteryLevel}%
+                        </span>
+                    )}
+                    {camera.sdCardId && (
+                        <span className="flex items-center font-mono">
+                            <HardDrive size={14} className="mr-1" />
+                            {camera.sdCardId}{camera.sdCardCapacity ? ` (${camera.sdCardCapacity} GB)` : ''}
+                        </span>
+                    )}
                 </div>
-            </div>
+            )}
+            {camera.notes && <p className="italic line-clamp-2" title={camera.notes}>{camera.notes}</p>}
         </div>
     );
 }
 
+function ArchivedView({ cameras, users, canManage, onRestore, onPurge, onShowHistory }) {
+    const [confirmPurgeId, setConfirmPurgeId] = useState(null);
+
+    if (cameras.length === 0) {
+        return (
+            <div className="text-center py-20 px-6 bg-gray-800 rounded-lg">
+                <Archive size={48} className="mx-auto text-gray-500" />
+                <h3 className="mt-4 text-xl font-semibold text-white">No Archived Cameras</h3>
+                <p className="mt-2 text-gray-400">Deleted cameras are kept here with their history until purged.</p>
+            </div>
+        );
+    }
+
+    return (
+        <ul className="space-y-3">
+            {cameras.map(camera => (
+                <li key={camera.id} className="bg-gray-800 rounded-lg border border-gray-700 p-4 flex flex-col sm:flex-row sm:items-center justify-between">
+                    <div>
+                        <p className="text-lg font-bold text-white flex items-center">
+                            <Camera size={20} className="mr-3 text-gray-500" />
+                            {camera.cameraNumber}
+                        </p>
+                        {camera.archivedAt && (
+                            <p className="text-xs text-gray-400 mt-1">
+                                Archived on {camera.archivedAt.toLocaleDateString()} by {displayName(users, camera.archivedBy)}
+                            </p>
+                        )}
+                    </div>
+                    <div className="flex items-center space-x-2 mt-3 sm:mt-0">
+                        <button onClick={() => onShowHistory(camera)} className="p-2 text-gray-500 hover:text-cyan-400 transition-colors" title="Deployment History">
+                            <History size={18}/>
+                        </button>
+                        {canManage && (
+                            <>
+                                <button onClick={() => onRestore(camera)} className="flex items-center bg-gray-700 hover:bg-gray-600 text-white text-sm font-bold py-2 px-3 rounded-md transition-colors">
+                                    <RotateCcw size={16} className="mr-2" />
+                                    Restore
+                                </button>
+                                {confirmPurgeId === camera.id ? (
+                                    <>
+                                        <button onClick={() => onPurge(camera)} className="bg-red-600 hover:bg-red-700 text-white text-sm font-bold py-2 px-3 rounded-md transition-colors">
+                                            Purge Forever
+                                        </button>
+                                        <button onClick={() => setConfirmPurgeId(null)} className="text-sm text-gray-400 hover:text-white px-2">
+                                            Cancel
+                                        </button>
+                                    </>
+                                ) : (
+                                    <button onClick={() => setConfirmPurgeId(camera.id)} className="flex items-center text-red-400 hover:bg-red-500/20 text-sm font-bold py-2 px-3 rounded-md transition-colors" title="Permanently delete camera and history">
+                                        <Trash2 size={16} className="mr-2" />
+                                        Purge
+                                    </button>
+                                )}
+                            </>
+                        )}
+                    </div>
+                </li>
+            ))}
+        </ul>
+    );
+}
+
 function AddCameraModal({ onClose, onAdd }) {
     const [cameraNumber, setCameraNumber] = useState('');
+    const [details, setDetails] = useState({});
+    const [detailErrors, setDetailErrors] = useState({});
+    const [showDetails, setShowDetails] = useState(false);
 
     const handleSubmit = (e) => {
         e.preventDefault();
+        const errors = validateCameraDetails(details);
+        setDetailErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            setShowDetails(true);
+            return;
+        }
         if (cameraNumber.trim()) {
-            onAdd(cameraNumber.trim());
+            onAdd(cameraNumber.trim(), details);
         }
     };
 
     return (
-        <Modal onClose={onClose} title="Add New Camera">
-            <form onSubmit={handleSubmit} className="space-y-4">
+        <Modal onClose={onClose} title="Add New Camera" maxWidth={showDetails ? 'max-w-xl' : 'max-w-md'}>
+            <form onSubmit={handleSubmit} className="space-y-4 max-h-[75vh] overflow-y-auto">
                 <div>
                     <label htmlFor="cameraNumber" className="block text-sm font-medium text-gray-300 mb-1">Camera Number / ID</label>
                     <input
@@ -473,6 +1253,11 @@ function AddCameraModal({ onClose, onAdd }) {
                         className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"
                     />
                 </div>
+                <button type="button" onClick={() => setShowDetails(!showDetails)} className="flex items-center text-sm text-cyan-400 hover:text-cyan-300">
+                    {showDetails ? <ChevronUp size={16} className="mr-1" /> : <ChevronDown size={16} className="mr-1" />}
+                    {showDetails ? 'Hide details' : 'Add make, model, serial and more'}
+                </button>
+                {showDetails && <CameraDetailsFields values={details} onChange={setDetails} errors={detailErrors} />}
                 <div className="flex justify-end pt-2">
                     <button type="submit" className="bg-cyan-500 hover:bg-cyan-600 text-white font-bold py-2 px-6 rounded-md transition-colors">
                         Add Camera
@@ -483,39 +1268,117 @@ function AddCameraModal({ onClose, onAdd }) {
     );
 }
 
-function CheckOutModal({ camera, onClose, onCheckOut }) {
+// GPS fixes less precise than this are flagged so the tech can place the pin by hand.
+const POOR_GPS_ACCURACY_M = 50;
+
+// `onCreateJob(name)` resolves to the new job, or null; leave it out for users who may not add jobs.
+// `camera` is the camera as it was when the dialog opened and `current` its live state.
+function CheckOutModal({ camera, current, cameras, users, jobs, onCreateJob, onClose, onCheckOut }) {
+    const [job, setJob] = useState(null);
+    const [extraCameraIds, setExtraCameraIds] = useState([]);
     const [location, setLocation] = useState('');
     const [lat, setLat] = useState('');
     const [lng, setLng] = useState('');
+    const [returnDate, setReturnDate] = useState('');
+    const [batteryLevel, setBatteryLevel] = useState('');
+    const [sdCardId, setSdCardId] = useState(camera.sdCardId || '');
+    const [batteryError, setBatteryError] = useState('');
+    const [accuracy, setAccuracy] = useState(null);
+    const [isLocating, setIsLocating] = useState(false);
+    const [geoError, setGeoError] = useState('');
+    const [coordinateErrors, setCoordinateErrors] = useState({});
+    const [photos, setPhotos] = useState([]);
+    const [isPhotoLocation, setIsPhotoLocation] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    // The user's own check-out changes the camera too; don't flag that while it is being saved.
+    const isStale = !isSaving && hasCameraChanged(camera, current);
 
-    const handleSubmit = (e) => {
+    const otherAvailable = useMemo(() => cameras.filter(c => c.status === 'available' && c.id !== camera.id), [cameras, camera.id]);
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        if (location.trim()) {
-            onCheckOut({ location: location.trim(), lat, lng });
+        if (isStale) return;
+        const errors = validateCameraDetails({ batteryLevel });
+        const geoErrors = validateGeolocation(lat, lng);
+        setBatteryError(errors.batteryLevel || '');
+        setCoordinateErrors(geoErrors);
+        if (location.trim() && !errors.batteryLevel && Object.keys(geoErrors).length === 0) {
+            // Extra cameras someone else took meanwhile have dropped out of the list, so aren't sent.
+            const extraCameras = otherAvailable.filter(c => extraCameraIds.includes(c.id));
+            setIsSaving(true);
+            await onCheckOut({ location: location.trim(), lat: lat.trim(), lng: lng.trim(), accuracy, jobId: job?.id || '', expectedReturnDate: endOfDay(returnDate), batteryLevel, sdCardId, photos }, extraCameras);
+            setIsSaving(false);
+        }
+    };
+
+    // Picking a job fills in whatever the form does not have yet, without overwriting typed values.
+    const handleSelectJob = (nextJob) => {
+        setJob(nextJob);
+        if (!nextJob) return;
+        if (!location.trim()) setLocation(nextJob.name);
+        if (!lat.trim() && !lng.trim() && nextJob.geolocation?.lat && nextJob.geolocation?.lng) {
+            setCoordinates(nextJob.geolocation.lat, nextJob.geolocation.lng);
         }
     };
+
+    const handleCreateJob = async (name) => {
+        const created = await onCreateJob(name);
+        if (created) handleSelectJob(created);
+    };
+
+    const toggleExtraCamera = (id) => {
+        setExtraCameraIds(extraCameraIds.includes(id) ? extraCameraIds.filter(x => x !== id) : [...extraCameraIds, id]);
+    };
+
+    // Typed or picked coordinates have no GPS accuracy to report.
+    const setCoordinates = (nextLat, nextLng, nextAccuracy = null) => {
+        setLat(nextLat);
+        setLng(nextLng);
+        setAccuracy(nextAccuracy);
+        setCoordinateErrors({});
+        setIsPhotoLocation(false);
+    };
+
+    // A photo's GPS position only fills in coordinates the user hasn't given yet.
+    const handlePhotoLocation = (position) => {
+        if (lat.trim() || lng.trim()) return;
+        setCoordinates(position.lat, position.lng);
+        setIsPhotoLocation(true);
+    };
     
     const handleGetGeo = () => {
-        if (navigator.geolocation) {
-            navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    setLat(position.coords.latitude.toFixed(6));
-                    setLng(position.coords.longitude.toFixed(6));
-                },
-                (error) => {
-                    // Replaced alert with a console warning
-                    console.warn(`Geolocation error: ${error.message}. Could not get location. Please enable location services or enter manually.`);
-                }
-            );
-        } else {
-            // Replaced alert with a console warning
-             console.warn("Geolocation is not supported by this browser.");
+        setGeoError('');
+        if (!navigator.geolocation) {
+            setGeoError('This browser cannot share its location. Pick the spot on the map or enter the coordinates.');
+            return;
         }
+        setIsLocating(true);
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                setIsLocating(false);
+                setCoordinates(position.coords.latitude.toFixed(6), position.coords.longitude.toFixed(6), Math.round(position.coords.accuracy));
+            },
+            (error) => {
+                console.warn("Geolocation error:", error);
+                setIsLocating(false);
+                setGeoError(geolocationErrorMessage(error));
+            },
+            { enableHighAccuracy: true, timeout: 15000, maximumAge: 0 }
+        );
     };
 
     return (
         <Modal onClose={onClose} title={`Check Out: ${camera.cameraNumber}`}>
-            <form onSubmit={handleSubmit} className="space-y-4">
+            <form onSubmit={handleSubmit} className="space-y-4 max-h-[75vh] overflow-y-auto">
+                {!isSaving && (
+                    <CameraChangedNotice opened={camera} current={current} users={users}>
+                        <p className="mt-1 text-yellow-300/80">Close this dialog and pick another camera.</p>
+                    </CameraChangedNotice>
+                )}
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Job (Optional)</label>
+                    <JobPicker jobs={jobs} selectedJob={job} onSelect={handleSelectJob} onCreate={onCreateJob ? handleCreateJob : null} />
+                </div>
                 <div>
                     <label htmlFor="location" className="block text-sm font-medium text-gray-300 mb-1">Customer/Job Location</label>
                     <input
@@ -524,23 +1387,105 @@ function CheckOutModal({ camera, onClose, onCheckOut }) {
                         value={location}
                         onChange={(e) => setLocation(e.target.value)}
                         placeholder="e.g., 123 Main St, Attic"
-                        autoFocus
                         className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"
                     />
                 </div>
                 <div className="space-y-2">
                      <label className="block text-sm font-medium text-gray-300">Geo-Location (Optional)</label>
-                     <div className="flex items-center space-x-2">
-                        <input type="text" value={lat} onChange={e => setLat(e.target.value)} placeholder="Latitude" className="w-1/2 bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"/>
-                        <input type="text" value={lng} onChange={e => setLng(e.target.value)} placeholder="Longitude" className="w-1/2 bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"/>
-                        <button type="button" onClick={handleGetGeo} className="p-2 bg-gray-700 hover:bg-gray-600 rounded-md" title="Get Current Location">
-                            <MapPin size={20} />
+                     <div className="flex items-start space-x-2">
+                        <div className="w-1/2">
+                            <input type="text" inputMode="decimal" value={lat} onChange={e => setCoordinates(e.target.value, lng)} placeholder="Latitude" aria-label="Latitude" className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"/>
+                            {coordinateErrors.lat && <p className="text-xs text-red-300 mt-1">{coordinateErrors.lat}</p>}
+                        </div>
+                        <div className="w-1/2">
+                            <input type="text" inputMode="decimal" value={lng} onChange={e => setCoordinates(lat, e.target.value)} placeholder="Longitude" aria-label="Longitude" className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"/>
+                            {coordinateErrors.lng && <p className="text-xs text-red-300 mt-1">{coordinateErrors.lng}</p>}
+                        </div>
+                        <button type="button" onClick={handleGetGeo} disabled={isLocating} className="p-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 rounded-md" title="Get Current Location">
+                            <MapPin size={20} className={isLocating ? 'animate-pulse' : ''} />
                         </button>
                     </div>
+                    {isLocating && <p className="text-xs text-gray-400">Getting your position...</p>}
+                    {isPhotoLocation && <p className="text-xs text-gray-400">Filled in from the photo's GPS data.</p>}
+                    {geoError && <p className="text-xs text-red-300">{geoError}</p>}
+                    {accuracy !== null && (
+                        <p className={`text-xs ${accuracy > POOR_GPS_ACCURACY_M ? 'text-yellow-300' : 'text-gray-400'}`}>
+                            GPS fix accurate to ±{accuracy} m
+                            {accuracy > POOR_GPS_ACCURACY_M && ' — consider placing the pin on the map instead.'}
+                        </p>
+                    )}
+                    <LocationPicker lat={lat} lng={lng} onPick={(latLng) => setCoordinates(latLng.lat.toFixed(6), latLng.lng.toFixed(6))} />
                 </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Mounting Photos (Optional)</label>
+                    <PhotoInput photos={photos} onChange={setPhotos} onLocation={handlePhotoLocation} />
+                </div>
+                <div className="space-y-2">
+                    <label htmlFor="returnDate" className="block text-sm font-medium text-gray-300">Expected Return (Optional)</label>
+                    <div className="flex items-center space-x-2">
+                        <input
+                            id="returnDate"
+                            type="date"
+                            value={returnDate}
+                            min={toDateInputValue(new Date())}
+                            onChange={(e) => setReturnDate(e.target.value)}
+                            className="flex-grow bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                        />
+                        {[7, 14, 30].map(days => (
+                            <button
+                                key={days}
+                                type="button"
+                                onClick={() => setReturnDate(toDateInputValue(new Date(Date.now() + days * 24 * 60 * 60 * 1000)))}
+                                className="text-sm bg-gray-700 hover:bg-gray-600 py-2 px-3 rounded-md"
+                            >
+                                {days}d
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <div className="flex space-x-2">
+                    <div className="w-1/2">
+                        <label htmlFor="batteryLevel" className="block text-sm font-medium text-gray-300 mb-1">Battery % (Optional)</label>
+                        <input
+                            id="batteryLevel"
+                            type="number"
+                            min={0}
+                            max={100}
+                            value={batteryLevel}
+                            onChange={(e) => setBatteryLevel(e.target.value)}
+                            placeholder={camera.batteryLevel != null ? `Last: ${camera.batteryLevel}%` : '0-100'}
+                            className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                        />
+                    </div>
+                    <div className="w-1/2">
+                        <label htmlFor="sdCardId" className="block text-sm font-medium text-gray-300 mb-1">SD Card ID (Optional)</label>
+                        <input
+                            id="sdCardId"
+                            type="text"
+                            value={sdCardId}
+                            onChange={(e) => setSdCardId(e.target.value)}
+                            placeholder="e.g., SD-014"
+                            className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                        />
+                    </div>
+                </div>
+                {batteryError && <p className="text-xs text-red-300">{batteryError}</p>}
+                {otherAvailable.length > 0 && (
+                    <div>
+                        <p className="block text-sm font-medium text-gray-300 mb-1">Also Check Out to This Site (Optional)</p>
+                        <div className="grid grid-cols-2 gap-1 max-h-32 overflow-y-auto bg-gray-900 border border-gray-600 rounded-md p-2">
+                            {otherAvailable.map(other => (
+                                <label key={other.id} className="flex items-center text-sm text-gray-300">
+                                    <input type="checkbox" checked={extraCameraIds.includes(other.id)} onChange={() => toggleExtraCamera(other.id)} className="mr-2" />
+                                    {other.cameraNumber}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                )}
                 <div className="flex justify-end pt-2">
-                    <button type="submit" className="bg-yellow-500 hover:bg-yellow-600 text-gray-900 font-bold py-2 px-6 rounded-md transition-colors">
-                        Check Out
+                    <button type="submit" disabled={isStale || isSaving} className="bg-yellow-500 hover:bg-yellow-600 disabled:opacity-50 disabled:cursor-not-allowed text-gray-900 font-bold py-2 px-6 rounded-md transition-colors">
+                        {extraCameraIds.length > 0 ? `Check Out ${extraCameraIds.length + 1} Cameras` : 'Check Out'}
                     </button>
                 </div>
             </form>
@@ -548,14 +1493,338 @@ function CheckOutModal({ camera, onClose, onCheckOut }) {
     );
 }
 
-function LoadingSpinner() {
+function HistoryModal({ repository, users, camera, onClose }) {
+    const [events, setEvents] = useState(null);
+    const [historyError, setHistoryError] = useState(null);
+
+    useEffect(() => {
+        if (!repository) return;
+        const unsubscribe = repository.subscribeHistory(camera.id, setEvents, (err) => {
+            console.error("History Subscription Error:", err);
+            setHistoryError("Failed to fetch deployment history.");
+        });
+
+        return () => unsubscribe();
+    }, [repository, camera.id]);
+
+    // Deployments and status changes interleaved, newest first.
+    const entries = useMemo(() => {
+        if (!events) return [];
+        const deployments = buildDeployments(events).map(deployment => ({ id: deployment.id, at: deployment.checkedOutAt, deployment }));
+        const changes = events.filter(event => event.type === 'status_change').map(change => ({ id: change.id, at: change.timestamp, change }));
+        const transfers = events.filter(event => event.type === 'transferred').map(transfer => ({ id: transfer.id, at: transfer.timestamp, transfer }));
+        return [...deployments, ...changes, ...transfers].sort((a, b) => (b.at || 0) - (a.at || 0));
+    }, [events]);
+
+    return (
+        <Modal onClose={onClose} title={`History: ${camera.cameraNumber}`} maxWidth="max-w-2xl">
+            {historyError && <p className="text-red-300">{historyError}</p>}
+            {!historyError && !events && <LoadingSpinner />}
+            {events && entries.length === 0 && (
+                <p className="text-gray-400 text-center py-8">This camera has not been deployed yet.</p>
+            )}
+            {entries.length > 0 && (
+                <ul className="space-y-3 max-h-[60vh] overflow-y-auto">
+                    {entries.map(({ id, deployment, change, transfer }) => transfer ? (
+                        <li key={id} className="bg-gray-900 rounded-md p-4 border border-gray-700">
+                            <p className="font-semibold text-white flex items-center">
+                                <ArrowRightLeft size={16} className="mr-2 text-gray-500 flex-shrink-0" />
+                                Transferred from {transfer.fromWorkspaceName} to {transfer.toWorkspaceName}
+                            </p>
+                            <p className="text-xs text-gray-400 mt-2">
+                                {transfer.timestamp?.toLocaleString()} by <span title={transfer.userId}>{displayName(users, transfer.userId)}</span>
+                            </p>
+                        </li>
+                    ) : change ? (
+                        <li key={id} className="bg-gray-900 rounded-md p-4 border border-gray-700">
+                            <p className="font-semibold text-white flex items-center">
+                                <Wrench size={16} className="mr-2 text-gray-500 flex-shrink-0" />
+                                {statusLabel(change.from)} → {statusLabel(change.to)}
+                            </p>
+                            {change.reason && <p className="text-sm text-gray-300 mt-1">{change.reason}</p>}
+                            <p className="text-xs text-gray-400 mt-2">
+                                {change.timestamp?.toLocaleString()} by <span title={change.userId}>{displayName(users, change.userId)}</span>
+                            </p>
+                        </li>
+                    ) : (
+                        <li key={id} className="bg-gray-900 rounded-md p-4 border border-gray-700">
+                            <div className="flex justify-between items-start">
+                                <p className="font-semibold text-white flex items-center">
+                                    <MapPin size={16} className="mr-2 text-gray-500 flex-shrink-0" />
+                                    {deployment.location || 'Unknown location'}
+                                </p>
+                                <span className={`text-xs font-semibold px-2 py-1 rounded-full ${deployment.checkedInAt ? 'bg-gray-700 text-gray-300' : 'bg-yellow-500/20 text-yellow-400'}`}>
+                                    {deployment.checkedInAt ? formatDuration(deployment.checkedOutAt && deployment.checkedInAt - deployment.checkedOutAt) : 'Still deployed'}
+                                </span>
+                            </div>
+                            {deployment.geolocation?.lat && deployment.geolocation?.lng &&
+                                <p className="text-xs text-gray-400 font-mono mt-1">
+                                    {`Lat: ${deployment.geolocation.lat}, Lng: ${deployment.geolocation.lng}`}
+                                </p>
+                            }
+                            <div className="text-xs text-gray-400 mt-2 space-y-1">
+                                {deployment.checkedOutAt &&
+                                    <p>Out: {deployment.checkedOutAt.toLocaleString()} by <span title={deployment.checkedOutBy}>{displayName(users, deployment.checkedOutBy)}</span></p>
+                                }
+                                {deployment.expectedReturnDate &&
+                                    <p>Due: {deployment.expectedReturnDate.toLocaleDateString()}</p>
+                                }
+                                {(deployment.batteryLevel != null || deployment.sdCardId) &&
+                                    <p className="flex items-center space-x-4">
+                                        {deployment.batteryLevel != null && <span className="flex items-center"><Battery size={12} className="mr-1" />{deployment.batteryLevel}%</span>}
+                                        {deployment.sdCardId && <span className="flex items-center font-mono"><HardDrive size={12} className="mr-1" />{deployment.sdCardId}</span>}
+                                    </p>
+                                }
+                                {deployment.checkedInAt &&
+                                    <p>In: {deployment.checkedInAt.toLocaleString()} by <span title={deployment.checkedInBy}>{displayName(users, deployment.checkedInBy)}</span></p>
+                                }
+                                {((deployment.returnStatus && deployment.returnStatus !== 'available') || deployment.returnReason) &&
+                                    <p className="text-orange-300">
+                                        Returned as {statusLabel(deployment.returnStatus)}{deployment.returnReason && `: ${deployment.returnReason}`}
+                                    </p>
+                                }
+                            </div>
+                            {deployment.photos.length > 0 && (
+                                <div className="mt-3">
+                                    <p className="text-xs text-gray-500 mb-1">Mounted</p>
+                                    <PhotoThumbnails photos={deployment.photos} getPhotoUrl={repository.getPhotoUrl} />
+                                </div>
+                            )}
+                            {deployment.returnPhotos.length > 0 && (
+                                <div className="mt-3">
+                                    <p className="text-xs text-gray-500 mb-1">Returned</p>
+                                    <PhotoThumbnails photos={deployment.returnPhotos} getPhotoUrl={repository.getPhotoUrl} />
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </Modal>
+    );
+}
+
+const QUEUED_ACTION_LABELS = {
+    check_out: 'Check out',
+    check_in: 'Check in',
+    move: 'Move pin of',
+    status_change: 'Change status of'
+};
+
+function SyncQueueModal({ repository, syncState, onClose, onError }) {
+    const [busyActionId, setBusyActionId] = useState(null);
+
+    const handleForce = async (action) => {
+        setBusyActionId(action.id);
+        try {
+            await repository.forceAction(action.id);
+        } catch (e) {
+            console.error("Error applying queued change: ", e);
+            onError(e.message || "Could not apply the queued change.");
+        } finally {
+            setBusyActionId(null);
+        }
+    };
+
+    return (
+        <Modal onClose={onClose} title="Pending Changes" maxWidth="max-w-lg">
+            <div className="flex justify-between items-center mb-4">
+                <p className="text-sm text-gray-400">
+                    {syncState.status === 'offline'
+                        ? 'You are offline. Changes will sync when the connection returns.'
+                        : `Status: ${SYNC_STATUS_STYLES[syncState.status].label}`}
+                </p>
+                <button
+                    onClick={() => repository.syncNow()}
+                    disabled={syncState.status === 'offline' || syncState.status === 'syncing'}
+                    className="flex items-center text-sm bg-gray-700 hover:bg-gray-600 disabled:opacity-50 py-1 px-3 rounded-md"
+                >
+                    <RefreshCw size={14} className="mr-2" />
+                    Sync Now
+                </button>
+            </div>
+            {syncState.actions.length === 0 ? (
+                <p className="text-gray-400 text-center py-8">All changes are synced.</p>
+            ) : (
+                <ul className="space-y-3 max-h-[60vh] overflow-y-auto">
+                    {syncState.actions.map(action => (
+                        <li key={action.id} className={`bg-gray-900 rounded-md p-4 border ${action.state === 'conflict' ? 'border-red-500/50' : 'border-gray-700'}`}>
+                            <div className="flex justify-between items-start">
+                                <p className="font-semibold text-white">
+                                    {QUEUED_ACTION_LABELS[action.type]} {action.cameraNumber}
+                                </p>
+                                <span className="text-xs text-gray-400">{action.queuedAt.toLocaleString()}</span>
+                            </div>
+                            {action.type === 'check_out' && <p className="text-sm text-gray-300 mt-1">{action.locationData.location}</p>}
+                            {action.type === 'check_in' && action.returnData?.status && action.returnData.status !== 'available' &&
+                                <p className="text-sm text-gray-300 mt-1">Returned as {statusLabel(action.returnData.status)}</p>
+                            }
+                            {action.type === 'status_change' && <p className="text-sm text-gray-300 mt-1">Mark as {statusLabel(action.status)}</p>}
+                            {action.state === 'conflict' && (
+                                <div className="mt-3">
+                                    <p className="text-sm text-red-300 flex items-start">
+                                        <AlertTriangle size={16} className="mr-2 mt-0.5 flex-shrink-0" />
+                                        {action.conflict}
+                                    </p>
+                                    <div className="flex justify-end space-x-2 mt-3">
+                                        <button
+                                            onClick={() => repository.discardAction(action.id)}
+                                            disabled={busyActionId === action.id}
+                                            className="text-sm bg-gray-700 hover:bg-gray-600 disabled:opacity-50 py-1 px-3 rounded-md"
+                                        >
+                                            Keep Theirs
+                                        </button>
+                                        <button
+                                            onClick={() => handleForce(action)}
+                                            disabled={busyActionId === action.id}
+                                            className="text-sm bg-yellow-500 hover:bg-yellow-600 text-gray-900 font-bold disabled:opacity-50 py-1 px-3 rounded-md"
+                                        >
+                                            Apply Mine
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </Modal>
+    );
+}
+
+function SignInScreen({ repository }) {
+    const [isSignUp, setIsSignUp] = useState(false);
+    const [name, setName] = useState('');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [signInError, setSignInError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!email.trim() || !password || (isSignUp && !name.trim())) return;
+        setIsSubmitting(true);
+        setSignInError(null);
+        try {
+            if (isSignUp) {
+                await repository.signUp(email.trim(), password, name.trim());
+            } else {
+                await repository.signIn(email.trim(), password);
+            }
+        } catch (err) {
+            console.error("Sign In Error:", err);
+            setSignInError(authErrorMessage(err));
+            setIsSubmitting(false);
+        }
+    };
+
+    const inputClassName = "w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500";
+
     return (
-        <div className="flex justify-center items-center h-64">
-            <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-cyan-400"></div>
+        <div className="max-w-sm mx-auto mt-16 bg-gray-800 rounded-lg shadow-xl border border-gray-700 p-6">
+            <h1 className="text-2xl font-bold text-cyan-400 flex items-center">
+                <Camera className="mr-3" />
+                Camera & Trap Tracker
+            </h1>
+            <p className="text-gray-400 mt-1 mb-6">{isSignUp ? 'Create your account.' : 'Sign in to continue.'}</p>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                {isSignUp && (
+                    <div>
+                        <label htmlFor="displayName" className="block text-sm font-medium text-gray-300 mb-1">Display Name</label>
+                        <input id="displayName" type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., Sam Rivera" autoFocus className={inputClassName} />
+                    </div>
+                )}
+                <div>
+                    <label htmlFor="email" className="block text-sm font-medium text-gray-300 mb-1">Email</label>
+                    <input id="email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="email" autoFocus={!isSignUp} className={inputClassName} />
+                </div>
+                <div>
+                    <label htmlFor="password" className="block text-sm font-medium text-gray-300 mb-1">Password</label>
+                    <input id="password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete={isSignUp ? 'new-password' : 'current-password'} className={inputClassName} />
+                </div>
+                {signInError && <p className="text-sm text-red-300">{signInError}</p>}
+                <button type="submit" disabled={isSubmitting} className="w-full flex items-center justify-center bg-cyan-500 hover:bg-cyan-600 disabled:opacity-50 text-white font-bold py-2 px-6 rounded-md transition-colors">
+                    <LogIn size={18} className="mr-2" />
+                    {isSignUp ? 'Create Account' : 'Sign In'}
+                </button>
+            </form>
+            <button onClick={() => { setIsSignUp(!isSignUp); setSignInError(null); }} className="w-full text-sm text-gray-400 hover:text-white mt-4">
+                {isSignUp ? 'Already have an account? Sign in' : 'New here? Create an account'}
+            </button>
         </div>
     );
 }
 
+function TeamModal({ repository, appRepository, workspace, currentUser, users, onClose, onError }) {
+    const [name, setName] = useState(currentUser.displayName || '');
+    const canManage = can(currentUser.role, 'manageUsers');
+    const members = Object.values(users).sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''));
+
+    const handleUpdate = async (uid, changes) => {
+        try {
+            await repository.updateUser(uid, changes);
+        } catch (e) {
+            console.error("Error updating user: ", e);
+            onError("Could not update the user.");
+        }
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        if (name.trim() && name.trim() !== currentUser.displayName) {
+            handleUpdate(currentUser.uid, { displayName: name.trim() });
+        }
+    };
+
+    return (
+        <Modal onClose={onClose} title="Profile & Team" maxWidth="max-w-lg">
+            <form onSubmit={handleRename} className="space-y-2">
+                <label htmlFor="profileName" className="block text-sm font-medium text-gray-300">Your Display Name</label>
+                <div className="flex items-center space-x-2">
+                    <input
+                        id="profileName"
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        className="flex-grow bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                    />
+                    <button type="submit" className="bg-cyan-500 hover:bg-cyan-600 text-white font-bold py-2 px-4 rounded-md transition-colors">
+                        Save
+                    </button>
+                </div>
+                <p className="text-xs text-gray-500">{currentUser.email}</p>
+            </form>
+            <h4 className="text-sm font-semibold text-gray-300 mt-6 mb-2">Members of {workspace.name}</h4>
+            <ul className="space-y-2 max-h-[50vh] overflow-y-auto">
+                {members.map(member => (
+                    <li key={member.id} className="flex justify-between items-center bg-gray-900 rounded-md px-3 py-2 border border-gray-700">
+                        <div>
+                            <p className="text-white">{member.displayName}</p>
+                            <p className="text-xs text-gray-500">{member.email}</p>
+                        </div>
+                        {canManage && member.id !== currentUser.uid ? (
+                            <select
+                                value={member.role}
+                                onChange={(e) => handleUpdate(member.id, { role: e.target.value })}
+                                className="bg-gray-800 border border-gray-600 rounded-md px-2 py-1 text-sm text-white"
+                            >
+                                {Object.entries(ROLES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                        ) : (
+                            <span className={`text-xs px-2 py-1 rounded-full font-semibold ${ROLES[member.role]?.className || ''}`}>
+                                {ROLES[member.role]?.label || member.role}
+                            </span>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            {canManage && (
+                <WorkspaceInvitations appRepository={appRepository} workspace={workspace} currentUser={currentUser} users={users} onError={onError} />
+            )}
+        </Modal>
+    );
+}
+
 function EmptyState() {
     return (
         <div className="col-span-full text-center py-20 px-6 bg-gray-800 rounded-lg mt-6">
@@ -566,13 +1835,54 @@ function EmptyState() {
     );
 }
 
-function ErrorMessage({ message, onClose }) {
+function UndoToast({ message, onUndo, onClose }) {
     return (
-        <div className="my-4 p-4 bg-red-500/20 border border-red-500/50 text-red-300 rounded-lg flex justify-between items-center">
-            <p>{message}</p>
-            <button onClick={onClose} className="text-red-300 hover:text-white">
-                <X size={20} />
+        <div className="fixed bottom-20 sm:bottom-4 left-1/2 -translate-x-1/2 z-40 bg-gray-800 border border-gray-600 rounded-lg shadow-xl px-4 py-3 flex items-center space-x-4">
+            <p className="text-gray-200">{message}</p>
+            <button onClick={onUndo} className="flex items-center text-cyan-400 hover:text-cyan-300 font-bold">
+                <RotateCcw size={16} className="mr-1" />
+                Undo
+            </button>
+            <button onClick={onClose} className="text-gray-400 hover:text-white" title="Dismiss">
+                <X size={18} />
             </button>
         </div>
     );
 }
+
+function NoMatchesState({ onClear }) {
+    return (
+        <div className="col-span-full text-center py-20 px-6 bg-gray-800 rounded-lg">
+            <Search size={48} className="mx-auto text-gray-500" />
+            <h3 className="mt-4 text-xl font-semibold text-white">No Cameras Match</h3>
+            <p className="mt-2 text-gray-400">Try a different search or <button onClick={onClear} className="text-cyan-400 hover:underline">clear the filters</button>.</p>
+        </div>
+    );
+}
+
+// --- Helpers ---
+
+// Conflicts explain themselves (e.g. who has the camera now); other failures are just listed.
+function failureMessage(action, failed) {
+    const conflicts = failed.filter(f => f.e.code === 'conflict' || f.e.code === 'invalid-transition').map(f => f.e.message);
+    const others = failed.filter(f => f.e.code !== 'conflict' && f.e.code !== 'invalid-transition').map(f => f.camera.cameraNumber);
+    return [...conflicts, ...(others.length > 0 ? [`Could not ${action} ${others.join(', ')}.`] : [])].join(' ');
+}
+
+function authErrorMessage(e) {
+    switch (e.code) {
+        case 'auth/invalid-credential':
+        case 'auth/invalid-email':
+        case 'auth/user-not-found':
+        case 'auth/wrong-password':
+            return 'Incorrect email or password.';
+        case 'auth/email-already-in-use':
+            return 'An account with this email already exists.';
+        case 'auth/weak-password':
+            return 'Password must be at least 6 characters.';
+        case 'auth/network-request-failed':
+            return 'No connection. Sign-in needs a network connection the first time.';
+        default:
+            return e.message || 'Could not sign in.';
+    }
+}
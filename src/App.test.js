@@ -0,0 +1,480 @@
+import React from 'react';
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+import App from './App';
+import { L } from './leaflet';
+import { createTestStore, addColleague, readCameras } from './testUtils';
+import { createCameraRepository } from './cameraRepository';
+import { createLocalRepository } from './localRepository';
+import { createLocalPhotoStore } from './localPhotoStore';
+import { DEFAULT_WORKSPACE, invitationId } from './workspaceModel';
+import { DEFAULT_NOTIFICATION_PREFERENCES, writeNotificationPreferences } from './activity';
+
+jest.mock('./leaflet', () => ({ ...jest.requireActual('./leaflet'), ...require('./testUtils').createFakeLeaflet() }));
+
+let store;
+
+beforeEach(async () => {
+    store = await createTestStore();
+});
+
+afterEach(() => {
+    delete navigator.geolocation;
+    delete navigator.serviceWorker;
+    delete window.Notification;
+});
+
+function renderApp() {
+    return render(<App createRepository={() => store.appRepository} />);
+}
+
+// Renders the app with `cameraNumbers` in the inventory and waits for their cards.
+async function renderWithCameras(...cameraNumbers) {
+    for (const cameraNumber of cameraNumbers) await store.repository.addCamera(cameraNumber);
+    renderApp();
+    for (const cameraNumber of cameraNumbers) await screen.findByRole('heading', { name: cameraNumber });
+}
+
+function card(cameraNumber) {
+    return screen.getByRole('heading', { name: cameraNumber }).closest('.rounded-lg');
+}
+
+function type(field, value) {
+    fireEvent.change(field, { target: { value } });
+}
+
+// Replaces the browser's geolocation API; `getCurrentPosition(onSuccess, onError)` answers the request.
+function mockGeolocation(getCurrentPosition) {
+    Object.defineProperty(navigator, 'geolocation', { value: { getCurrentPosition }, configurable: true });
+}
+
+// Grants notifications in a browser whose Notification constructor throws, as on Android
+// Chrome; `registration` stands in for the service worker that can show them, if any.
+function mockNotifications(registration) {
+    window.Notification = class {
+        static permission = 'granted';
+
+        constructor() {
+            throw new TypeError('Illegal constructor');
+        }
+    };
+    if (registration) {
+        Object.defineProperty(navigator, 'serviceWorker', { value: { getRegistration: () => Promise.resolve(registration) }, configurable: true });
+    }
+}
+
+// Keeps the expected failure's console.error out of the test output.
+function silenceConsoleErrors() {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+}
+
+async function openCheckOut(cameraNumber) {
+    fireEvent.click(within(card(cameraNumber)).getByRole('button', { name: 'Check Out' }));
+    return screen.findByRole('dialog', { name: `Check Out: ${cameraNumber}` });
+}
+
+// --- Accounts ---
+
+describe('signing in', () => {
+    it('shows the inventory once signed in', async () => {
+        await store.appRepository.signOut();
+        renderApp();
+
+        type(await screen.findByLabelText('Email'), 'alice@example.com');
+        type(screen.getByLabelText('Password'), 'password');
+        fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+        expect(await screen.findByText('No Cameras in Inventory')).toBeInTheDocument();
+        expect(screen.getByTitle('Profile and team')).toHaveTextContent('Alice');
+    });
+
+    it('stops the sync queue from watching the connection once signed out', async () => {
+        const removeEventListener = jest.spyOn(window, 'removeEventListener');
+        renderApp();
+        await screen.findByText('No Cameras in Inventory');
+
+        await store.appRepository.signOut();
+
+        expect(await screen.findByLabelText('Email')).toBeInTheDocument();
+        expect(removeEventListener).toHaveBeenCalledWith('online', expect.any(Function));
+        removeEventListener.mockRestore();
+    });
+
+    it('shows invitations once the email address is verified', async () => {
+        const bob = await addColleague(store, { displayName: 'Bob', email: 'bob@example.com' });
+        const south = { id: await store.appRepository.createWorkspace('South Office', bob.uid), name: 'South Office' };
+        await store.appRepository.inviteMember(south, store.user.email, 'technician', bob.uid);
+        // The local store has no mail to verify with; this one reports the address unverified until told.
+        let isVerified = false;
+        const appRepository = {
+            ...store.appRepository,
+            onAuthChange: (onUser, onError) => store.appRepository.onAuthChange(user => onUser(user && { ...user, emailVerified: isVerified }), onError),
+            checkEmailVerified: async () => isVerified
+        };
+        render(<App createRepository={() => appRepository} />);
+
+        expect(await screen.findByText(/Verify your email/)).toHaveTextContent('alice@example.com');
+        expect(screen.queryByText(/invited to join South Office/)).not.toBeInTheDocument();
+
+        isVerified = true;
+        fireEvent.click(screen.getByRole('button', { name: 'I have verified it' }));
+
+        expect(await screen.findByText(/invited to join South Office/)).toBeInTheDocument();
+        expect(screen.queryByText(/Verify your email/)).not.toBeInTheDocument();
+    });
+
+    it('stops listening to other tabs once closed', async () => {
+        const removeEventListener = jest.spyOn(window, 'removeEventListener');
+        const createRepository = () => createCameraRepository(createLocalRepository({ storage: window.localStorage, photoStore: createLocalPhotoStore() }));
+        const { unmount } = render(<App createRepository={createRepository} />);
+        await screen.findByLabelText('Email');
+
+        unmount();
+
+        expect(removeEventListener).toHaveBeenCalledWith('storage', expect.any(Function));
+        removeEventListener.mockRestore();
+        window.localStorage.clear();
+    });
+
+    it('explains a wrong password', async () => {
+        await store.appRepository.signOut();
+        silenceConsoleErrors();
+        renderApp();
+
+        type(await screen.findByLabelText('Email'), 'alice@example.com');
+        type(screen.getByLabelText('Password'), 'wrong');
+        fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+        expect(await screen.findByText(/incorrect email or password/i)).toBeInTheDocument();
+    });
+});
+
+// --- Camera Flows ---
+
+describe('the inventory', () => {
+    it('adds a camera', async () => {
+        renderApp();
+        fireEvent.click(await screen.findByRole('button', { name: 'Add Camera' }));
+        const dialog = screen.getByRole('dialog', { name: 'Add New Camera' });
+
+        type(within(dialog).getByLabelText('Camera Number / ID'), 'CAM-017');
+        fireEvent.click(within(dialog).getByRole('button', { name: 'Add Camera' }));
+
+        expect(await screen.findByRole('heading', { name: 'CAM-017' })).toBeInTheDocument();
+        expect(within(card('CAM-017')).getByText('Available')).toBeInTheDocument();
+        expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+
+    it('checks a camera out to a site and back in', async () => {
+        await renderWithCameras('CAM-001');
+
+        const checkOut = await openCheckOut('CAM-001');
+        type(within(checkOut).getByLabelText('Customer/Job Location'), 'Smith Residence, Attic');
+        type(within(checkOut).getByLabelText('Latitude'), '45.5');
+        type(within(checkOut).getByLabelText('Longitude'), '-122.6');
+        fireEvent.click(within(checkOut).getByRole('button', { name: 'Check Out' }));
+
+        await waitFor(() => expect(within(card('CAM-001')).getByText('In Use')).toBeInTheDocument());
+        expect(within(card('CAM-001')).getByText('Smith Residence, Attic')).toBeInTheDocument();
+        expect(within(card('CAM-001')).getByText('Lat: 45.5, Lng: -122.6')).toBeInTheDocument();
+        expect(within(card('CAM-001')).getByText('By: Alice')).toBeInTheDocument();
+
+        fireEvent.click(within(card('CAM-001')).getByRole('button', { name: 'Check In' }));
+        const checkIn = await screen.findByRole('dialog', { name: 'Check In: CAM-001' });
+        fireEvent.click(within(checkIn).getByRole('button', { name: 'Check In' }));
+
+        await waitFor(() => expect(within(card('CAM-001')).getByText('Available')).toBeInTheDocument());
+        expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+
+    it('asks for a location before checking out', async () => {
+        await renderWithCameras('CAM-001');
+
+        const checkOut = await openCheckOut('CAM-001');
+        type(within(checkOut).getByLabelText('Latitude'), '95');
+        type(within(checkOut).getByLabelText('Customer/Job Location'), 'Barn');
+        fireEvent.click(within(checkOut).getByRole('button', { name: 'Check Out' }));
+
+        expect(await within(checkOut).findByText('Latitude must be a number between -90 and 90.')).toBeInTheDocument();
+        expect(within(card('CAM-001')).getByText('Available')).toBeInTheDocument();
+    });
+
+    it('deletes a camera, with undo', async () => {
+        await renderWithCameras('CAM-001', 'CAM-002');
+
+        fireEvent.click(within(card('CAM-001')).getByTitle('Delete Camera'));
+
+        await waitFor(() => expect(screen.queryByRole('heading', { name: 'CAM-001' })).not.toBeInTheDocument());
+        expect(screen.getByText('CAM-001 moved to Archived.')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Archived (1)' })).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+        expect(await screen.findByRole('heading', { name: 'CAM-001' })).toBeInTheDocument();
+        expect(screen.queryByText('CAM-001 moved to Archived.')).not.toBeInTheDocument();
+    });
+
+    it('lets viewers look but not act', async () => {
+        await store.repository.addCamera('CAM-001');
+        await store.repository.updateUser(store.user.uid, { role: 'viewer' });
+        renderApp();
+
+        await screen.findByRole('heading', { name: 'CAM-001' });
+        expect(within(card('CAM-001')).getByRole('button', { name: 'Check Out' })).toBeDisabled();
+        expect(within(card('CAM-001')).queryByTitle('Delete Camera')).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Add Camera' })).not.toBeInTheDocument();
+    });
+});
+
+// --- Phone Layout ---
+
+describe('the bottom nav', () => {
+    it('switches between the cards and the map, and opens the scanner', async () => {
+        // jsdom has no camera for the scanner to open.
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        await renderWithCameras('CAM-001');
+        const nav = screen.getByRole('navigation', { name: 'Views' });
+
+        fireEvent.click(within(nav).getByRole('button', { name: 'Map' }));
+        expect(await screen.findByText('No Cameras on the Map')).toBeInTheDocument();
+        expect(within(nav).getByRole('button', { name: 'Map' })).toHaveAttribute('aria-current', 'page');
+
+        fireEvent.click(within(nav).getByRole('button', { name: 'Cards' }));
+        expect(await screen.findByRole('heading', { name: 'CAM-001' })).toBeInTheDocument();
+
+        fireEvent.click(within(nav).getByRole('button', { name: 'Scan' }));
+        expect(await screen.findByRole('dialog', { name: 'Scan Camera Label' })).toBeInTheDocument();
+    });
+});
+
+// --- Geolocation ---
+
+describe('the check-out location button', () => {
+    it('fills in the GPS position and pins it on the map', async () => {
+        mockGeolocation((onSuccess) => onSuccess({ coords: { latitude: 45.1234567, longitude: -122.5, accuracy: 8.4 } }));
+        await renderWithCameras('CAM-001');
+        const checkOut = await openCheckOut('CAM-001');
+
+        fireEvent.click(within(checkOut).getByTitle('Get Current Location'));
+
+        expect(within(checkOut).getByLabelText('Latitude')).toHaveValue('45.123457');
+        expect(within(checkOut).getByLabelText('Longitude')).toHaveValue('-122.500000');
+        expect(within(checkOut).getByText('GPS fix accurate to ±8 m')).toBeInTheDocument();
+        const picker = L.maps[L.maps.length - 1];
+        expect(picker.visibleMarkers().map(marker => marker.latLng)).toEqual([{ lat: 45.123457, lng: -122.5 }]);
+    });
+
+    it('suggests the map when the fix is poor', async () => {
+        mockGeolocation((onSuccess) => onSuccess({ coords: { latitude: 45.5, longitude: -122.6, accuracy: 120 } }));
+        await renderWithCameras('CAM-001');
+        const checkOut = await openCheckOut('CAM-001');
+
+        fireEvent.click(within(checkOut).getByTitle('Get Current Location'));
+
+        expect(within(checkOut).getByText(/±120 m — consider placing the pin on the map instead/)).toBeInTheDocument();
+    });
+
+    it('explains a refused location request', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        mockGeolocation((onSuccess, onError) => onError({ code: 1, message: 'User denied Geolocation' }));
+        await renderWithCameras('CAM-001');
+        const checkOut = await openCheckOut('CAM-001');
+
+        fireEvent.click(within(checkOut).getByTitle('Get Current Location'));
+
+        expect(within(checkOut).getByText(/Location access was denied/)).toBeInTheDocument();
+        expect(within(checkOut).getByLabelText('Latitude')).toHaveValue('');
+        expect(within(checkOut).getByTitle('Get Current Location')).toBeEnabled();
+    });
+
+    it('explains a timed-out location request', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        mockGeolocation((onSuccess, onError) => onError({ code: 3, message: 'Timeout expired' }));
+        await renderWithCameras('CAM-001');
+        const checkOut = await openCheckOut('CAM-001');
+
+        fireEvent.click(within(checkOut).getByTitle('Get Current Location'));
+
+        expect(within(checkOut).getByText(/took too long/)).toBeInTheDocument();
+    });
+
+    it('explains browsers without geolocation', async () => {
+        await renderWithCameras('CAM-001');
+        const checkOut = await openCheckOut('CAM-001');
+
+        fireEvent.click(within(checkOut).getByTitle('Get Current Location'));
+
+        expect(within(checkOut).getByText(/This browser cannot share its location/)).toBeInTheDocument();
+    });
+});
+
+// --- Error Banner ---
+
+describe('the error banner', () => {
+    it('reports a failed save and can be dismissed', async () => {
+        silenceConsoleErrors();
+        jest.spyOn(store.repository, 'addCamera').mockRejectedValue(new Error('Quota exceeded'));
+        renderApp();
+        fireEvent.click(await screen.findByRole('button', { name: 'Add Camera' }));
+        const dialog = screen.getByRole('dialog', { name: 'Add New Camera' });
+        type(within(dialog).getByLabelText('Camera Number / ID'), 'CAM-017');
+        fireEvent.click(within(dialog).getByRole('button', { name: 'Add Camera' }));
+
+        const banner = await screen.findByRole('alert');
+        expect(banner).toHaveTextContent('Could not add the camera.');
+        expect(dialog).toBeInTheDocument();
+
+        fireEvent.click(within(banner).getByTitle('Dismiss'));
+        expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+
+    it('shows why a check-out conflicted', async () => {
+        silenceConsoleErrors();
+        await renderWithCameras('CAM-001');
+        jest.spyOn(store.repository, 'checkOut').mockRejectedValue(
+            Object.assign(new Error('CAM-001 was just checked out by Tina.'), { code: 'conflict' })
+        );
+
+        const checkOut = await openCheckOut('CAM-001');
+        type(within(checkOut).getByLabelText('Customer/Job Location'), 'Barn');
+        fireEvent.click(within(checkOut).getByRole('button', { name: 'Check Out' }));
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('CAM-001 was just checked out by Tina.');
+        expect(checkOut).toBeInTheDocument();
+    });
+
+    it('reports an inventory that cannot be loaded', async () => {
+        silenceConsoleErrors();
+        jest.spyOn(store.repository, 'subscribeCameras').mockImplementation((onChange, onError) => {
+            setTimeout(() => onError(Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' })), 0);
+            return () => {};
+        });
+        renderApp();
+
+        expect(await screen.findByRole('alert')).toHaveTextContent('Failed to fetch camera data.');
+        expect(screen.getByText('No Cameras in Inventory')).toBeInTheDocument();
+    });
+});
+
+// --- Workspaces ---
+
+describe('camera transfers', () => {
+    it('are only offered to, and only accepted by, workspaces where I am an admin', async () => {
+        const bob = await addColleague(store, { displayName: 'Bob', email: 'bob@example.com' });
+        await store.appRepository.createWorkspace('North Office', store.user.uid);
+        const south = { id: await store.appRepository.createWorkspace('South Office', bob.uid), name: 'South Office' };
+        await store.appRepository.inviteMember(south, store.user.email, 'technician', bob.uid);
+        await store.appRepository.acceptInvitation({ id: invitationId(south.id, store.user.email) }, store.user.uid);
+        await renderWithCameras('CAM-1');
+
+        fireEvent.click(within(card('CAM-1')).getByTitle('Transfer to another workspace'));
+        const dialog = await screen.findByRole('dialog', { name: 'Transfer: CAM-1' });
+        const target = await within(dialog).findByLabelText('Transfer to');
+        expect(within(target).getAllByRole('option').map(option => option.textContent)).toEqual(['North Office']);
+
+        const [camera] = await readCameras(store.repository);
+        await expect(store.appRepository.transferCamera(camera, DEFAULT_WORKSPACE, south, store.user.uid))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        expect(await readCameras(store.repository)).toHaveLength(1);
+    });
+});
+
+// --- Team Activity ---
+
+describe('team activity', () => {
+    const SITE = { location: 'Smith Residence', lat: '45.5', lng: '-122.6' };
+    let tina;
+
+    // Alice has CAM-001 out at the Smith Residence; Tina is a colleague.
+    beforeEach(async () => {
+        tina = await addColleague(store, { displayName: 'Tina', email: 'tina@example.com' });
+        await store.repository.addCamera('CAM-001');
+        const [camera] = await readCameras(store.repository);
+        await store.repository.checkOut(camera, SITE, store.user.uid);
+    });
+
+    async function tinaChecksIn() {
+        const [camera] = await readCameras(store.repository);
+        await store.repository.checkIn(camera, tina.uid, { status: 'maintenance', reason: 'Cracked lens' });
+    }
+
+    it('tells me when a colleague checks in a camera I deployed', async () => {
+        renderApp();
+        await screen.findByRole('heading', { name: 'CAM-001' });
+        expect(screen.getByTitle('Team activity')).not.toHaveTextContent(/\d/);
+
+        await tinaChecksIn();
+
+        expect(await screen.findByRole('status')).toHaveTextContent('Tina checked in CAM-001 from Smith Residence as Needs Maintenance');
+        expect(screen.getByTitle('Team activity')).toHaveTextContent('1');
+    });
+
+    it('can tell me through browser notifications too', async () => {
+        const registration = { showNotification: jest.fn(() => Promise.resolve()) };
+        mockNotifications(registration);
+        writeNotificationPreferences(store.user.uid, { ...DEFAULT_NOTIFICATION_PREFERENCES, browser: true });
+        renderApp();
+        await screen.findByRole('heading', { name: 'CAM-001' });
+
+        await tinaChecksIn();
+
+        await waitFor(() => expect(registration.showNotification).toHaveBeenCalledWith(
+            'Tina checked in CAM-001 from Smith Residence as Needs Maintenance', { tag: expect.any(String) }));
+    });
+
+    it('lists what happened and forgets the unread count once seen', async () => {
+        await tinaChecksIn();
+        renderApp();
+        await waitFor(() => expect(screen.getByTitle('Team activity')).toHaveTextContent('1'));
+        expect(screen.queryByRole('status')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByTitle('Team activity'));
+        const feed = screen.getByRole('dialog', { name: 'Team Activity' });
+        expect(within(feed).getByText(/checked in CAM-001 from Smith Residence/)).toBeInTheDocument();
+        expect(within(feed).getByText('Cracked lens')).toBeInTheDocument();
+        expect(within(feed).getByText(/checked out CAM-001 to Smith Residence/)).toBeInTheDocument();
+        fireEvent.click(within(feed).getByTitle('Close'));
+
+        expect(screen.getByTitle('Team activity')).not.toHaveTextContent(/\d/);
+    });
+
+    it('stays quiet about cameras I no longer follow', async () => {
+        renderApp();
+        await screen.findByRole('heading', { name: 'CAM-001' });
+        fireEvent.click(screen.getByTitle('Team activity'));
+        fireEvent.click(screen.getByLabelText('Cameras I checked out'));
+        fireEvent.click(screen.getByTitle('Close'));
+
+        await tinaChecksIn();
+
+        await waitFor(() => expect(screen.getByTitle('Team activity')).toHaveTextContent('1'));
+        expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+});
+
+// --- Browser Notifications ---
+
+describe('browser notifications', () => {
+    // CAM-002 was due back an hour ago, and alerts are allowed.
+    beforeEach(async () => {
+        await store.repository.addCamera('CAM-002');
+        const [camera] = await readCameras(store.repository);
+        await store.repository.checkOut(camera, { location: 'Jones Farm', lat: '45.5', lng: '-122.6', expectedReturnDate: new Date(Date.now() - 60 * 60 * 1000) }, store.user.uid);
+    });
+
+    it('are shown through the service worker', async () => {
+        const registration = { showNotification: jest.fn(() => Promise.resolve()) };
+        mockNotifications(registration);
+        renderApp();
+
+        await waitFor(() => expect(registration.showNotification).toHaveBeenCalledWith('CAM-002 is overdue', expect.objectContaining({ body: expect.stringContaining('Jones Farm') })));
+    });
+
+    it('do not break the app when the browser refuses them', async () => {
+        mockNotifications(null);
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        renderApp();
+
+        await waitFor(() => expect(consoleError).toHaveBeenCalledWith('Notification Error:', expect.any(TypeError)));
+        expect(screen.getByRole('heading', { name: 'CAM-002' })).toBeInTheDocument();
+    });
+});
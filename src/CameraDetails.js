@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { Modal } from './ui';
+import { CAMERA_DETAIL_FIELDS, validateCameraDetails } from './cameraModel';
+
+const inputClassName = "w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500";
+
+// Inputs for every CAMERA_DETAIL_FIELDS entry; values are kept as strings while editing.
+export function CameraDetailsFields({ values, onChange, errors = {} }) {
+    return (
+        <div className="grid grid-cols-2 gap-3">
+            {Object.entries(CAMERA_DETAIL_FIELDS).map(([key, field]) => (
+                <div key={key} className={field.type === 'textarea' ? 'col-span-2' : ''}>
+                    <label htmlFor={`detail-${key}`} className="block text-sm font-medium text-gray-300 mb-1">{field.label}</label>
+                    {field.type === 'textarea' ? (
+                        <textarea
+                            id={`detail-${key}`}
+                            value={values[key] ?? ''}
+                            onChange={(e) => onChange({ ...values, [key]: e.target.value })}
+                            placeholder={field.placeholder}
+                            rows={3}
+                            className={inputClassName}
+                        />
+                    ) : (
+                        <input
+                            id={`detail-${key}`}
+                            type={field.type}
+                            value={values[key] ?? ''}
+                            onChange={(e) => onChange({ ...values, [key]: e.target.value })}
+                            placeholder={field.placeholder}
+                            min={field.min}
+                            max={field.max}
+                            className={inputClassName}
+                        />
+                    )}
+                    {errors[key] && <p className="text-xs text-red-300 mt-1">{errors[key]}</p>}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export function EditCameraModal({ camera, cameras, onClose, onSave }) {
+    const [cameraNumber, setCameraNumber] = useState(camera.cameraNumber);
+    const [details, setDetails] = useState(() => Object.fromEntries(
+        Object.keys(CAMERA_DETAIL_FIELDS).map(key => [key, camera[key] ?? ''])
+    ));
+    const [errors, setErrors] = useState({});
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const nextErrors = validateCameraDetails(details);
+        const number = cameraNumber.trim();
+        if (!number) {
+            nextErrors.cameraNumber = 'Camera number is required.';
+        } else if (cameras.some(c => c.id !== camera.id && c.cameraNumber.toLowerCase() === number.toLowerCase())) {
+            nextErrors.cameraNumber = `${number} is already in the inventory.`;
+        }
+        setErrors(nextErrors);
+        if (Object.keys(nextErrors).length === 0) {
+            onSave({ cameraNumber: number, ...details });
+        }
+    };
+
+    return (
+        <Modal onClose={onClose} title={`Edit: ${camera.cameraNumber}`} maxWidth="max-w-xl">
+            <form onSubmit={handleSubmit} className="space-y-4 max-h-[70vh] overflow-y-auto">
+                <div>
+                    <label htmlFor="editCameraNumber" className="block text-sm font-medium text-gray-300 mb-1">Camera Number / ID</label>
+                    <input
+                        id="editCameraNumber"
+                        type="text"
+                        value={cameraNumber}
+                        onChange={(e) => setCameraNumber(e.target.value)}
+                        className={inputClassName}
+                    />
+                    {errors.cameraNumber && <p className="text-xs text-red-300 mt-1">{errors.cameraNumber}</p>}
+                </div>
+                <CameraDetailsFields values={details} onChange={setDetails} errors={errors} />
+                <div className="flex justify-end pt-2">
+                    <button type="submit" className="bg-cyan-500 hover:bg-cyan-600 text-white font-bold py-2 px-6 rounded-md transition-colors">
+                        Save Changes
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Printer, Keyboard } from 'lucide-react';
+import { Modal, LoadingSpinner } from './ui';
+import { labelImage, printLabels, findCameraByCode, startScanner, scannerErrorMessage } from './cameraLabels';
+
+export function LabelsModal({ cameras: shownCameras, onClose, onError }) {
+    // The sheet is for the cameras shown when it was opened; later snapshots don't regenerate it.
+    const [cameras] = useState(shownCameras);
+    const [labels, setLabels] = useState(null);
+    const failRef = useRef(null);
+
+    failRef.current = () => {
+        onError("Could not generate the QR labels.");
+        onClose();
+    };
+
+    useEffect(() => {
+        let isCancelled = false;
+        Promise.all(cameras.map(async camera => ({ camera, image: await labelImage(camera) })))
+            .then(result => { if (!isCancelled) setLabels(result); })
+            .catch(e => {
+                console.error("Label Generation Error:", e);
+                if (!isCancelled) failRef.current();
+            });
+        return () => { isCancelled = true; };
+    }, [cameras]);
+
+    return (
+        <Modal onClose={onClose} title={`QR Labels (${cameras.length})`} maxWidth="max-w-3xl">
+            {!labels ? <LoadingSpinner /> : (
+                <div className="space-y-4">
+                    <p className="text-sm text-gray-400">
+                        Stick a label on each camera, then use Scan to jump straight to its check-out or check-in.
+                        Labels are printed for the cameras currently shown; filter the list to print fewer.
+                    </p>
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 max-h-[55vh] overflow-y-auto">
+                        {labels.map(({ camera, image }) => (
+                            <div key={camera.id} className="bg-white rounded-md p-2 text-center">
+                                <img src={image} alt={`QR code for ${camera.cameraNumber}`} className="w-full" />
+                                <p className="text-gray-900 font-bold mt-1">{camera.cameraNumber}</p>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="flex justify-end">
+                        <button onClick={() => printLabels(labels)} className="flex items-center bg-cyan-500 hover:bg-cyan-600 text-white font-bold py-2 px-6 rounded-md transition-colors">
+                            <Printer size={18} className="mr-2" />
+                            Print Labels
+                        </button>
+                    </div>
+                </div>
+            )}
+        </Modal>
+    );
+}
+
+// Calls `onScan(camera)` with the first camera whose label is scanned or whose number is typed.
+export function ScanModal({ cameras, onClose, onScan }) {
+    const videoRef = useRef(null);
+    const onScanRef = useRef(onScan);
+    const camerasRef = useRef(cameras);
+    const [isStarting, setIsStarting] = useState(true);
+    const [scannerError, setScannerError] = useState('');
+    const [unknownCode, setUnknownCode] = useState('');
+    const [manualCode, setManualCode] = useState('');
+
+    onScanRef.current = onScan;
+    camerasRef.current = cameras;
+
+    useEffect(() => {
+        let stop = null;
+        let isCancelled = false;
+        let isDone = false;
+
+        const handleCode = (code) => {
+            if (isDone) return;
+            const camera = findCameraByCode(camerasRef.current, code);
+            if (!camera) {
+                setUnknownCode(code);
+                return;
+            }
+            isDone = true;
+            stop?.();
+            onScanRef.current(camera);
+        };
+
+        startScanner(videoRef.current, handleCode)
+            .then(stopScanner => {
+                if (isCancelled) stopScanner();
+                else stop = stopScanner;
+            })
+            .catch(e => {
+                console.warn("Scanner error:", e);
+                if (!isCancelled) setScannerError(scannerErrorMessage(e));
+            })
+            .finally(() => {
+                if (!isCancelled) setIsStarting(false);
+            });
+
+        return () => {
+            isCancelled = true;
+            stop?.();
+        };
+    }, []);
+
+    const handleManualSubmit = (e) => {
+        e.preventDefault();
+        const camera = findCameraByCode(cameras, manualCode);
+        if (camera) onScan(camera);
+        else setUnknownCode(manualCode.trim());
+    };
+
+    return (
+        <Modal onClose={onClose} title="Scan Camera Label">
+            <div className="space-y-4">
+                {scannerError ? (
+                    <p className="text-sm text-red-300">{scannerError}</p>
+                ) : (
+                    <div className="relative bg-black rounded-md overflow-hidden aspect-square">
+                        <video ref={videoRef} muted playsInline className="w-full h-full object-cover" />
+                        <div className="absolute inset-10 border-2 border-cyan-400/70 rounded-lg pointer-events-none" />
+                        {isStarting && <p className="absolute inset-0 flex items-center justify-center text-sm text-gray-300">Starting camera...</p>}
+                    </div>
+                )}
+                {unknownCode && <p className="text-sm text-yellow-300">No camera matches "{unknownCode}".</p>}
+                <form onSubmit={handleManualSubmit} className="flex space-x-2">
+                    <div className="relative flex-grow">
+                        <Keyboard size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" />
+                        <input
+                            type="text"
+                            value={manualCode}
+                            onChange={(e) => setManualCode(e.target.value)}
+                            placeholder="Or type the camera number"
+                            aria-label="Camera number"
+                            className="w-full bg-gray-900 border border-gray-600 rounded-md pl-10 pr-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                        />
+                    </div>
+                    <button type="submit" disabled={!manualCode.trim()} className="bg-cyan-500 hover:bg-cyan-600 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-md transition-colors">
+                        Go
+                    </button>
+                </form>
+            </div>
+        </Modal>
+    );
+}
@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Download, RefreshCw } from 'lucide-react';
+import { LoadingSpinner } from './ui';
+import { formatDuration } from './cameraModel';
+import { CAMERA_STATUSES, OVERDUE_COLOR } from './cameraStatus';
+import { formatExport, downloadFile } from './inventoryTransfer';
+import { toDateInputValue, startOfDay, endOfDay } from './dates';
+import { buildReports, summaryRows, SUMMARY_COLUMNS, UTILIZATION_COLUMNS, JOB_COLUMNS, IDLE_COLUMNS } from './reports';
+
+// --- Dashboard ---
+// Headline counts come straight from the camera snapshots; the range reports need every
+// camera's history, which is read once when the dashboard opens (and on Refresh).
+
+const RANGE_PRESETS = [7, 30, 90, 365];
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_IDLE_DAYS = 30;
+const CHART_ROWS = 10;
+
+export function Dashboard({ repository, cameras, jobs, users, now, onError }) {
+    const [startValue, setStartValue] = useState(() => toDateInputValue(daysBefore(now, DEFAULT_RANGE_DAYS)));
+    const [endValue, setEndValue] = useState(() => toDateInputValue(now));
+    const [idleDays, setIdleDays] = useState(DEFAULT_IDLE_DAYS);
+    const [historyByCamera, setHistoryByCamera] = useState(null);
+    const [refreshCount, setRefreshCount] = useState(0);
+    const [format, setFormat] = useState('csv');
+
+    // Only a new or removed camera needs its history read; status changes show on Refresh.
+    const cameraIdsKey = cameras.map(c => c.id).join(',');
+    useEffect(() => {
+        let isCancelled = false;
+        const ids = cameraIdsKey ? cameraIdsKey.split(',') : [];
+        setHistoryByCamera(null);
+        Promise.all(ids.map(id => repository.getHistory(id)))
+            .then(histories => {
+                if (!isCancelled) setHistoryByCamera(Object.fromEntries(ids.map((id, i) => [id, histories[i]])));
+            })
+            .catch(e => {
+                console.error("Dashboard History Error:", e);
+                if (!isCancelled) onError("Could not load deployment history for the reports.");
+            });
+        return () => { isCancelled = true; };
+    }, [repository, cameraIdsKey, refreshCount, onError]);
+
+    const start = useMemo(() => startOfDay(startValue), [startValue]);
+    const end = useMemo(() => endOfDay(endValue), [endValue]);
+    const rangeError = !start || !end ? 'Choose a start and end date.' : start > end ? 'The start date is after the end date.' : '';
+    const idleThreshold = Math.max(0, Number(idleDays) || 0);
+
+    const reports = useMemo(() => {
+        if (!historyByCamera || rangeError) return null;
+        return buildReports(cameras, historyByCamera, jobs, { start, end, idleDays: idleThreshold, now });
+    }, [cameras, historyByCamera, jobs, start, end, idleThreshold, now, rangeError]);
+
+    const exportReport = (name, items, columns) => {
+        const content = formatExport(items, columns, format, users, now);
+        downloadFile(content, `camera-${name}-${startValue}-to-${endValue}.${format}`, format);
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col lg:flex-row lg:items-end gap-3 bg-gray-800 rounded-lg border border-gray-700 p-4">
+                <div>
+                    <label htmlFor="reportStart" className="block text-sm font-medium text-gray-300 mb-1">From</label>
+                    <input id="reportStart" type="date" value={startValue} max={endValue} onChange={(e) => setStartValue(e.target.value)} className="bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-cyan-500" />
+                </div>
+                <div>
+                    <label htmlFor="reportEnd" className="block text-sm font-medium text-gray-300 mb-1">To</label>
+                    <input id="reportEnd" type="date" value={endValue} min={startValue} onChange={(e) => setEndValue(e.target.value)} className="bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-cyan-500" />
+                </div>
+                <div className="flex gap-1">
+                    {RANGE_PRESETS.map(days => (
+                        <button
+                            key={days}
+                            onClick={() => { setStartValue(toDateInputValue(daysBefore(now, days))); setEndValue(toDateInputValue(now)); }}
+                            className="text-sm bg-gray-700 hover:bg-gray-600 py-2 px-3 rounded-md"
+                        >
+                            {days}d
+                        </button>
+                    ))}
+                </div>
+                <div>
+                    <label htmlFor="idleDays" className="block text-sm font-medium text-gray-300 mb-1">Idle after (days)</label>
+                    <input id="idleDays" type="number" min={0} value={idleDays} onChange={(e) => setIdleDays(e.target.value)} className="w-28 bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-cyan-500" />
+                </div>
+                <div className="flex items-center gap-2 lg:ml-auto">
+                    <select value={format} onChange={(e) => setFormat(e.target.value)} className="bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-sm text-white" aria-label="Export format">
+                        <option value="csv">Export as CSV</option>
+                        <option value="json">Export as JSON</option>
+                    </select>
+                    <button onClick={() => setRefreshCount(refreshCount + 1)} className="p-2 bg-gray-700 hover:bg-gray-600 rounded-md" title="Reload history">
+                        <RefreshCw size={18} />
+                    </button>
+                </div>
+            </div>
+            {rangeError && <p className="text-sm text-red-300">{rangeError}</p>}
+
+            {!reports ? (!rangeError && <LoadingSpinner />) : (
+                <>
+                    <ReportSection title="Fleet" onExport={() => exportReport('summary', summaryRows(reports, start, end), SUMMARY_COLUMNS)}>
+                        <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-3">
+                            <StatCard label="Total" value={reports.summary.total} />
+                            <StatCard label="Available" value={reports.summary.available} color={CAMERA_STATUSES.available.color} />
+                            <StatCard label="In Use" value={reports.summary.inUse} color={CAMERA_STATUSES.in_use.color} />
+                            <StatCard label="Overdue" value={reports.summary.overdue} color={OVERDUE_COLOR} />
+                            <StatCard
+                                label="Avg. Deployment"
+                                value={reports.averageDeploymentMs === null ? '—' : formatDuration(reports.averageDeploymentMs)}
+                                detail={`${reports.completedDeployments} returned in range`}
+                            />
+                            <StatCard label="Avg. Utilization" value={`${reports.averageUtilization.toFixed(0)}%`} />
+                        </div>
+                        <StatusBreakdown cameras={cameras} />
+                    </ReportSection>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <ReportSection title="Utilization per Camera" onExport={() => exportReport('utilization', reports.utilization, UTILIZATION_COLUMNS)}>
+                            <BarChart
+                                items={reports.utilization}
+                                label={u => u.cameraNumber}
+                                value={u => u.percent}
+                                max={100}
+                                format={u => `${u.percent.toFixed(0)}% · ${u.deployedDays.toFixed(1)}d`}
+                                color={CAMERA_STATUSES.in_use.color}
+                                emptyText="No cameras."
+                            />
+                        </ReportSection>
+                        <ReportSection title="Top Jobs by Camera-Days" onExport={() => exportReport('jobs', reports.topJobs, JOB_COLUMNS)}>
+                            <BarChart
+                                items={reports.topJobs}
+                                label={j => j.name}
+                                value={j => j.cameraDays}
+                                format={j => `${j.cameraDays.toFixed(1)} camera-days`}
+                                color="#0891b2"
+                                emptyText="No deployments in this range."
+                            />
+                        </ReportSection>
+                    </div>
+
+                    <ReportSection title={`Idle for ${idleThreshold}+ Days (${reports.idle.length})`} onExport={() => exportReport('idle', reports.idle, IDLE_COLUMNS)}>
+                        {reports.idle.length === 0 ? (
+                            <p className="text-gray-400 text-sm">Every deployable camera has been out in the last {idleThreshold} days.</p>
+                        ) : (
+                            <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-2">
+                                {reports.idle.map(item => (
+                                    <li key={item.cameraNumber} className="bg-gray-900 rounded-md px-3 py-2 flex justify-between text-sm">
+                                        <span className="text-white font-semibold">{item.cameraNumber}</span>
+                                        <span className="text-gray-400">
+                                            {item.idleDays === null ? 'Never deployed' : `${item.idleDays}d${item.lastDeployedAt ? '' : ', never deployed'}`}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </ReportSection>
+                </>
+            )}
+        </div>
+    );
+}
+
+function ReportSection({ title, onExport, children }) {
+    return (
+        <section className="bg-gray-800 rounded-lg border border-gray-700 p-4 space-y-4">
+            <div className="flex justify-between items-center">
+                <h3 className="text-lg font-semibold text-white">{title}</h3>
+                <button onClick={onExport} className="flex items-center text-sm text-gray-400 hover:text-white" title="Export this report">
+                    <Download size={16} className="mr-1" />
+                    Export
+                </button>
+            </div>
+            {children}
+        </section>
+    );
+}
+
+function StatCard({ label, value, detail, color }) {
+    return (
+        <div className="bg-gray-900 rounded-md p-3 border-l-4" style={{ borderColor: color || '#4b5563' }}>
+            <p className="text-xs uppercase tracking-wide text-gray-400">{label}</p>
+            <p className="text-2xl font-bold text-white">{value}</p>
+            {detail && <p className="text-xs text-gray-500">{detail}</p>}
+        </div>
+    );
+}
+
+// One bar split by status, with a legend of the counts.
+function StatusBreakdown({ cameras }) {
+    const counts = Object.entries(CAMERA_STATUSES)
+        .map(([status, { label, color }]) => ({ status, label, color, count: cameras.filter(c => c.status === status).length }))
+        .filter(entry => entry.count > 0);
+    if (cameras.length === 0) return null;
+    return (
+        <div>
+            <div className="flex h-4 rounded-full overflow-hidden" role="img" aria-label="Cameras by status">
+                {counts.map(entry => (
+                    <div key={entry.status} style={{ width: `${(entry.count / cameras.length) * 100}%`, backgroundColor: entry.color }} title={`${entry.label}: ${entry.count}`} />
+                ))}
+            </div>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400 mt-2">
+                {counts.map(entry => (
+                    <span key={entry.status} className="flex items-center">
+                        <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: entry.color }} />
+                        {entry.label} ({entry.count})
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+// Horizontal bars, longest first as given; `max` defaults to the largest value.
+function BarChart({ items, label, value, format, color, max, emptyText }) {
+    const [showAll, setShowAll] = useState(false);
+    if (items.length === 0) return <p className="text-gray-400 text-sm">{emptyText}</p>;
+    const scale = max || Math.max(...items.map(value)) || 1;
+    const shown = showAll ? items : items.slice(0, CHART_ROWS);
+    return (
+        <div className="space-y-2">
+            {shown.map((item, i) => (
+                <div key={`${label(item)}-${i}`} className="text-sm">
+                    <div className="flex justify-between text-gray-300">
+                        <span className="truncate mr-2">{label(item)}</span>
+                        <span className="text-gray-400 whitespace-nowrap">{format(item)}</span>
+                    </div>
+                    <div className="h-2 bg-gray-900 rounded-full mt-1">
+                        <div className="h-2 rounded-full" style={{ width: `${Math.min(100, (value(item) / scale) * 100)}%`, backgroundColor: color }} />
+                    </div>
+                </div>
+            ))}
+            {items.length > CHART_ROWS && (
+                <button onClick={() => setShowAll(!showAll)} className="text-sm text-cyan-400 hover:underline">
+                    {showAll ? 'Show top 10' : `Show all ${items.length}`}
+                </button>
+            )}
+        </div>
+    );
+}
+
+// --- Helpers ---
+
+function daysBefore(date, days) {
+    return new Date(date.getTime() - days * 24 * 60 * 60 * 1000);
+}
@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Camera, ChevronLeft, ChevronRight, ImageOff, ImagePlus, X } from 'lucide-react';
+import { Modal } from './ui';
+import { MAX_PHOTOS, preparePhoto, photoErrorMessage } from './photos';
+
+// --- Deployment Photo Components ---
+
+// Takes photos with the device camera or picks them from the gallery, downscaling each as it is
+// added. `photos` are PreparedPhotos (see photos.js) with a `previewUrl`. `onLocation({lat, lng})`
+// is called with the first GPS position found in a newly added photo.
+export function PhotoInput({ photos, onChange, onLocation }) {
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [photoError, setPhotoError] = useState('');
+    const cameraInputRef = useRef(null);
+    const galleryInputRef = useRef(null);
+    const photosRef = useRef(photos);
+    photosRef.current = photos;
+
+    // Previews are object URLs; release whatever is still shown when the dialog closes.
+    useEffect(() => () => photosRef.current.forEach(photo => URL.revokeObjectURL(photo.previewUrl)), []);
+
+    const handleFiles = async (e) => {
+        const files = Array.from(e.target.files || []);
+        // Cleared so picking the same file again still counts as a change.
+        e.target.value = '';
+        if (files.length === 0) return;
+        const room = MAX_PHOTOS - photos.length;
+        setPhotoError(files.length > room ? `Up to ${MAX_PHOTOS} photos can be attached; the rest were skipped.` : '');
+        setIsProcessing(true);
+        const added = [];
+        for (const file of files.slice(0, Math.max(0, room))) {
+            try {
+                const photo = await preparePhoto(file);
+                added.push({ ...photo, previewUrl: URL.createObjectURL(photo.thumb) });
+            } catch (err) {
+                console.error("Error reading photo: ", err);
+                setPhotoError(photoErrorMessage(err));
+            }
+        }
+        setIsProcessing(false);
+        if (added.length === 0) return;
+        onChange([...photos, ...added]);
+        const located = added.find(photo => photo.lat && photo.lng);
+        if (located && onLocation) onLocation({ lat: located.lat, lng: located.lng });
+    };
+
+    const handleRemove = (photo) => {
+        URL.revokeObjectURL(photo.previewUrl);
+        onChange(photos.filter(p => p.id !== photo.id));
+    };
+
+    const isFull = photos.length >= MAX_PHOTOS;
+
+    return (
+        <div className="space-y-2">
+            <div className="flex space-x-2">
+                <button type="button" onClick={() => cameraInputRef.current.click()} disabled={isProcessing || isFull} className="flex items-center text-sm bg-gray-700 hover:bg-gray-600 disabled:opacity-50 py-2 px-3 rounded-md">
+                    <Camera size={16} className="mr-2" />
+                    Take Photo
+                </button>
+                <button type="button" onClick={() => galleryInputRef.current.click()} disabled={isProcessing || isFull} className="flex items-center text-sm bg-gray-700 hover:bg-gray-600 disabled:opacity-50 py-2 px-3 rounded-md">
+                    <ImagePlus size={16} className="mr-2" />
+                    From Gallery
+                </button>
+                <input ref={cameraInputRef} type="file" accept="image/*" capture="environment" onChange={handleFiles} className="hidden" />
+                <input ref={galleryInputRef} type="file" accept="image/*" multiple onChange={handleFiles} className="hidden" />
+            </div>
+            {isProcessing && <p className="text-xs text-gray-400">Preparing photos...</p>}
+            {photoError && <p className="text-xs text-red-300">{photoError}</p>}
+            {photos.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {photos.map(photo => (
+                        <div key={photo.id} className="relative w-16 h-16">
+                            <img src={photo.previewUrl} alt="" className="w-full h-full object-cover rounded-md border border-gray-600" />
+                            <button type="button" onClick={() => handleRemove(photo)} disabled={isProcessing} className="absolute -top-2 -right-2 bg-gray-900 border border-gray-600 rounded-full p-0.5 text-gray-300 hover:text-white" title="Remove photo">
+                                <X size={14} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Stored photos (see photos.js) as thumbnails that open full size. `getPhotoUrl` is the
+// repository's.
+export function PhotoThumbnails({ photos, getPhotoUrl, size = 'w-14 h-14' }) {
+    const [openIndex, setOpenIndex] = useState(null);
+    if (!photos || photos.length === 0 || !getPhotoUrl) return null;
+
+    return (
+        <>
+            <div className="flex flex-wrap gap-2">
+                {photos.map((photo, i) => (
+                    <button key={photo.id} type="button" onClick={() => setOpenIndex(i)} className={`${size} rounded-md overflow-hidden bg-gray-900 border border-gray-700 hover:border-cyan-400`} title="View photo">
+                        <StoredImage path={photo.thumbPath} getPhotoUrl={getPhotoUrl} alt={`Photo ${i + 1}`} className="w-full h-full object-cover" />
+                    </button>
+                ))}
+            </div>
+            {openIndex !== null && (
+                <PhotoViewer photos={photos} index={openIndex} getPhotoUrl={getPhotoUrl} onIndexChange={setOpenIndex} onClose={() => setOpenIndex(null)} />
+            )}
+        </>
+    );
+}
+
+function PhotoViewer({ photos, index, getPhotoUrl, onIndexChange, onClose }) {
+    const photo = photos[index];
+    return (
+        <Modal onClose={onClose} title={`Photo ${index + 1} of ${photos.length}`} maxWidth="max-w-3xl">
+            <div className="space-y-3">
+                <StoredImage path={photo.path} getPhotoUrl={getPhotoUrl} alt={`Photo ${index + 1}`} className="w-full max-h-[70vh] object-contain rounded-md bg-gray-900 min-h-[12rem]" />
+                <div className="flex justify-between items-center text-sm text-gray-400">
+                    <button type="button" onClick={() => onIndexChange(index - 1)} disabled={index === 0} className="p-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-30 rounded-md" title="Previous photo">
+                        <ChevronLeft size={18} />
+                    </button>
+                    <span className="text-center">
+                        {photo.takenAt ? `Taken ${photo.takenAt.toLocaleString()}` : 'Capture time unknown'}
+                        {photo.lat && photo.lng && <span className="block font-mono text-xs">{`Lat: ${photo.lat}, Lng: ${photo.lng}`}</span>}
+                    </span>
+                    <button type="button" onClick={() => onIndexChange(index + 1)} disabled={index === photos.length - 1} className="p-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-30 rounded-md" title="Next photo">
+                        <ChevronRight size={18} />
+                    </button>
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+// An <img> for a stored photo path, resolved to a URL through the repository.
+function StoredImage({ path, getPhotoUrl, alt, className }) {
+    const [url, setUrl] = useState(null);
+    const [isMissing, setIsMissing] = useState(false);
+
+    useEffect(() => {
+        let isCancelled = false;
+        setUrl(null);
+        setIsMissing(false);
+        getPhotoUrl(path)
+            .then(resolved => { if (!isCancelled) setUrl(resolved); })
+            .catch(e => {
+                console.warn("Photo unavailable:", e);
+                if (!isCancelled) setIsMissing(true);
+            });
+        return () => { isCancelled = true; };
+    }, [path, getPhotoUrl]);
+
+    if (isMissing) {
+        return (
+            <div className={`flex items-center justify-center text-gray-600 ${className}`} title="Photo unavailable">
+                <ImageOff size={18} />
+            </div>
+        );
+    }
+    if (!url) return <div className={`animate-pulse bg-gray-700 ${className}`} />;
+    return <img src={url} alt={alt} loading="lazy" className={className} />;
+}
@@ -0,0 +1,176 @@
+import React, { useState, useMemo } from 'react';
+import { Upload, Download, AlertTriangle } from 'lucide-react';
+import { Modal } from './ui';
+import {
+    IMPORT_FIELDS,
+    INVENTORY_COLUMNS,
+    DEPLOYMENT_COLUMNS,
+    parseImportFile,
+    buildImportPreview,
+    collectDeployments,
+    formatExport,
+    downloadFile
+} from './inventoryTransfer';
+
+const PREVIEW_STATUS_STYLES = {
+    ready: { label: 'Ready', className: 'text-green-400' },
+    duplicate: { label: 'Duplicate', className: 'text-yellow-400' },
+    invalid: { label: 'Invalid', className: 'text-red-400' }
+};
+
+export function ImportModal({ repository, cameras, onClose, onError }) {
+    const [fileName, setFileName] = useState('');
+    const [text, setText] = useState('');
+    const [progress, setProgress] = useState(null);
+
+    const parsed = useMemo(() => text.trim() ? parseImportFile(text, fileName) : null, [text, fileName]);
+    const preview = useMemo(() => parsed && !parsed.error ? buildImportPreview(parsed.records, cameras) : [], [parsed, cameras]);
+    const ready = preview.filter(row => row.status === 'ready');
+    const skipped = preview.length - ready.length;
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        setFileName(file.name);
+        setText(await file.text());
+    };
+
+    const handleImport = async () => {
+        if (ready.length === 0) return;
+        setProgress({ done: 0, total: ready.length });
+        try {
+            await repository.importCameras(ready.map(row => row.camera), (done, total) => setProgress({ done, total }));
+            onClose();
+        } catch (e) {
+            console.error("Error importing cameras: ", e);
+            onError("Import stopped part-way. Cameras written before the error were kept; re-import to add the rest.");
+            onClose();
+        }
+    };
+
+    return (
+        <Modal onClose={onClose} title="Import Cameras" maxWidth="max-w-3xl">
+            <div className="space-y-4">
+                <p className="text-sm text-gray-400">
+                    Upload a CSV with a header row or a JSON array. Recognised columns: {Object.values(IMPORT_FIELDS).map(f => f.label).join(', ')}.
+                </p>
+                <div className="flex flex-col sm:flex-row gap-2">
+                    <label className="flex items-center justify-center bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-md cursor-pointer transition-colors">
+                        <Upload size={18} className="mr-2" />
+                        Choose File
+                        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="hidden" />
+                    </label>
+                    <span className="self-center text-sm text-gray-400">{fileName || 'or paste below'}</span>
+                </div>
+                <textarea
+                    value={text}
+                    onChange={(e) => { setText(e.target.value); setFileName(''); }}
+                    rows={4}
+                    placeholder={'cameraNumber\nCAM-101\nCAM-102'}
+                    className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white font-mono text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+                {parsed?.error && (
+                    <p className="text-sm text-red-300 flex items-center">
+                        <AlertTriangle size={16} className="mr-2" />
+                        {parsed.error}
+                    </p>
+                )}
+                {preview.length > 0 && (
+                    <>
+                        <p className="text-sm text-gray-300">
+                            {ready.length} ready to import{skipped > 0 && `, ${skipped} will be skipped`}.
+                        </p>
+                        <div className="max-h-[40vh] overflow-y-auto border border-gray-700 rounded-md">
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-900 text-gray-400 sticky top-0">
+                                    <tr>
+                                        <th className="text-left px-3 py-2">Row</th>
+                                        <th className="text-left px-3 py-2">Camera Number</th>
+                                        <th className="text-left px-3 py-2">Status</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {preview.map(row => (
+                                        <tr key={row.row} className="border-t border-gray-700">
+                                            <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                                            <td className="px-3 py-2 text-white font-mono">{row.camera.cameraNumber}</td>
+                                            <td className={`px-3 py-2 ${PREVIEW_STATUS_STYLES[row.status].className}`}>
+                                                {PREVIEW_STATUS_STYLES[row.status].label}
+                                                {row.message && <span className="text-gray-400"> — {row.message}</span>}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+                <div className="flex justify-end items-center pt-2 space-x-4">
+                    {progress && <span className="text-sm text-gray-400">Imported {progress.done} of {progress.total}...</span>}
+                    <button
+                        onClick={handleImport}
+                        disabled={ready.length === 0 || !!progress}
+                        className="bg-cyan-500 hover:bg-cyan-600 disabled:opacity-50 text-white font-bold py-2 px-6 rounded-md transition-colors"
+                    >
+                        Import {ready.length > 0 && ready.length} Camera{ready.length === 1 ? '' : 's'}
+                    </button>
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
+export function ExportModal({ repository, cameras, users, isFiltered, onClose, onError }) {
+    const [format, setFormat] = useState('csv');
+    const [isExporting, setIsExporting] = useState(false);
+    const date = new Date().toISOString().slice(0, 10);
+
+    const exportInventory = () => {
+        const content = formatExport(cameras, INVENTORY_COLUMNS, format, users);
+        downloadFile(content, `camera-inventory-${date}.${format}`, format);
+    };
+
+    const exportHistory = async () => {
+        setIsExporting(true);
+        try {
+            const histories = await Promise.all(cameras.map(camera => repository.getHistory(camera.id)));
+            const historyByCamera = Object.fromEntries(cameras.map((camera, i) => [camera.id, histories[i]]));
+            const content = formatExport(collectDeployments(historyByCamera, cameras), DEPLOYMENT_COLUMNS, format, users);
+            downloadFile(content, `camera-deployments-${date}.${format}`, format);
+        } catch (e) {
+            console.error("Error exporting history: ", e);
+            onError("Could not export the deployment history.");
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <Modal onClose={onClose} title="Export">
+            <div className="space-y-4">
+                <p className="text-sm text-gray-400">
+                    {isFiltered ? `Exports the ${cameras.length} cameras matching the current filters.` : `Exports all ${cameras.length} cameras.`}
+                </p>
+                <div className="flex space-x-2">
+                    {['csv', 'json'].map(value => (
+                        <button
+                            key={value}
+                            onClick={() => setFormat(value)}
+                            className={`flex-1 py-2 rounded-md font-bold transition-colors ${format === value ? 'bg-cyan-500 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}
+                        >
+                            {value.toUpperCase()}
+                        </button>
+                    ))}
+                </div>
+                <button onClick={exportInventory} className="w-full flex items-center justify-center bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-md transition-colors">
+                    <Download size={18} className="mr-2" />
+                    Inventory
+                </button>
+                <button onClick={exportHistory} disabled={isExporting} className="w-full flex items-center justify-center bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-md transition-colors">
+                    <Download size={18} className="mr-2" />
+                    {isExporting ? 'Collecting history...' : 'Deployment History'}
+                </button>
+            </div>
+        </Modal>
+    );
+}
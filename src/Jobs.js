@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Briefcase, Plus, ArrowLeft, Pencil, Phone, Mail, MapPin, Camera, History, LogIn, User } from 'lucide-react';
+import { Modal, LoadingSpinner } from './ui';
+import { JOB_FIELDS, validateJob, matchJobs } from './jobModel';
+import { buildDeployments, formatDuration, isOverdue } from './cameraModel';
+import { statusLabel } from './cameraStatus';
+import { displayName, canCheckIn } from './roles';
+import { LocationPicker } from './LocationPicker';
+
+const inputClassName = "w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500";
+
+// --- Job Picker ---
+
+// Autocomplete over existing jobs. `onCreate(name)` is offered when nothing matches exactly;
+// leave it out for users who may not add jobs.
+export function JobPicker({ jobs, selectedJob, onSelect, onCreate }) {
+    const [query, setQuery] = useState('');
+    const [isOpen, setIsOpen] = useState(false);
+    const [isCreating, setIsCreating] = useState(false);
+    const matches = useMemo(() => matchJobs(jobs, query), [jobs, query]);
+    const exactMatch = jobs.some(job => job.name.trim().toLowerCase() === query.trim().toLowerCase());
+
+    const handleCreate = async () => {
+        setIsCreating(true);
+        try {
+            await onCreate(query.trim());
+            setQuery('');
+            setIsOpen(false);
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    if (selectedJob) {
+        return (
+            <div className="flex items-center justify-between bg-gray-900 border border-cyan-500/50 rounded-md px-3 py-2">
+                <div>
+                    <p className="text-white flex items-center"><Briefcase size={16} className="mr-2 text-cyan-400" />{selectedJob.name}</p>
+                    {selectedJob.address && <p className="text-xs text-gray-400 ml-6">{selectedJob.address}</p>}
+                </div>
+                <button type="button" onClick={() => onSelect(null)} className="text-sm text-gray-400 hover:text-white">Change</button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="relative">
+            <input
+                type="text"
+                value={query}
+                onChange={(e) => { setQuery(e.target.value); setIsOpen(true); }}
+                onFocus={() => setIsOpen(true)}
+                // Delay so a click on a suggestion lands before the list closes.
+                onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+                placeholder="Search jobs by name, address or contact"
+                aria-label="Job"
+                autoFocus
+                className={inputClassName}
+            />
+            {isOpen && query.trim() && (
+                <ul className="absolute z-10 mt-1 w-full bg-gray-900 border border-gray-600 rounded-md shadow-xl max-h-60 overflow-y-auto">
+                    {matches.map(job => (
+                        <li key={job.id}>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => { onSelect(job); setQuery(''); setIsOpen(false); }}
+                                className="w-full text-left px-3 py-2 hover:bg-gray-700"
+                            >
+                                <span className="text-white">{job.name}</span>
+                                {job.address && <span className="block text-xs text-gray-400">{job.address}</span>}
+                            </button>
+                        </li>
+                    ))}
+                    {onCreate && !exactMatch && (
+                        <li>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={handleCreate}
+                                disabled={isCreating}
+                                className="w-full text-left px-3 py-2 text-cyan-400 hover:bg-gray-700 flex items-center disabled:opacity-50"
+                            >
+                                <Plus size={14} className="mr-2" />
+                                {isCreating ? 'Creating...' : `Create job "${query.trim()}"`}
+                            </button>
+                        </li>
+                    )}
+                    {matches.length === 0 && !onCreate && <li className="px-3 py-2 text-sm text-gray-400">No matching jobs.</li>}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+// --- Job Form ---
+
+export function JobModal({ job, jobs, onClose, onSave }) {
+    const [values, setValues] = useState(() => ({
+        ...Object.fromEntries(Object.keys(JOB_FIELDS).map(key => [key, job?.[key] ?? ''])),
+        lat: job?.geolocation?.lat ?? '',
+        lng: job?.geolocation?.lng ?? ''
+    }));
+    const [errors, setErrors] = useState({});
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const candidate = { ...values, id: job?.id, geolocation: { lat: values.lat, lng: values.lng } };
+        const nextErrors = validateJob(candidate, jobs);
+        setErrors(nextErrors);
+        if (Object.keys(nextErrors).length === 0) onSave(candidate);
+    };
+
+    const update = (changes) => setValues({ ...values, ...changes });
+
+    return (
+        <Modal onClose={onClose} title={job ? `Edit Job: ${job.name}` : 'New Job'} maxWidth="max-w-xl">
+            <form onSubmit={handleSubmit} className="space-y-4 max-h-[75vh] overflow-y-auto">
+                <div className="grid grid-cols-2 gap-3">
+                    {Object.entries(JOB_FIELDS).map(([key, field]) => (
+                        <div key={key} className={key === 'name' || key === 'address' || field.type === 'textarea' ? 'col-span-2' : ''}>
+                            <label htmlFor={`job-${key}`} className="block text-sm font-medium text-gray-300 mb-1">{field.label}</label>
+                            {field.type === 'textarea' ? (
+                                <textarea id={`job-${key}`} value={values[key]} onChange={(e) => update({ [key]: e.target.value })} placeholder={field.placeholder} rows={3} className={inputClassName} />
+                            ) : (
+                                <input id={`job-${key}`} type={field.type} value={values[key]} onChange={(e) => update({ [key]: e.target.value })} placeholder={field.placeholder} className={inputClassName} />
+                            )}
+                            {errors[key] && <p className="text-xs text-red-300 mt-1">{errors[key]}</p>}
+                        </div>
+                    ))}
+                </div>
+                <div className="space-y-2">
+                    <label className="block text-sm font-medium text-gray-300">Site Coordinates (Optional)</label>
+                    <div className="flex space-x-2">
+                        <div className="w-1/2">
+                            <input type="text" inputMode="decimal" value={values.lat} onChange={(e) => update({ lat: e.target.value })} placeholder="Latitude" aria-label="Latitude" className={inputClassName} />
+                            {errors.lat && <p className="text-xs text-red-300 mt-1">{errors.lat}</p>}
+                        </div>
+                        <div className="w-1/2">
+                            <input type="text" inputMode="decimal" value={values.lng} onChange={(e) => update({ lng: e.target.value })} placeholder="Longitude" aria-label="Longitude" className={inputClassName} />
+                            {errors.lng && <p className="text-xs text-red-300 mt-1">{errors.lng}</p>}
+                        </div>
+                    </div>
+                    <LocationPicker lat={values.lat} lng={values.lng} onPick={(latLng) => update({ lat: latLng.lat.toFixed(6), lng: latLng.lng.toFixed(6) })} />
+                </div>
+                <div className="flex justify-end pt-2">
+                    <button type="submit" className="bg-cyan-500 hover:bg-cyan-600 text-white font-bold py-2 px-6 rounded-md transition-colors">
+                        {job ? 'Save Job' : 'Create Job'}
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
+
+// --- Jobs List ---
+
+export function JobsView({ jobs, cameras, canManage, onOpenJob, onAddJob }) {
+    const [query, setQuery] = useState('');
+    const deployedCounts = useMemo(() => {
+        const counts = {};
+        cameras.forEach(camera => {
+            if (camera.status === 'in_use' && camera.jobId) counts[camera.jobId] = (counts[camera.jobId] || 0) + 1;
+        });
+        return counts;
+    }, [cameras]);
+    const shown = useMemo(() => {
+        const list = query.trim() ? matchJobs(jobs, query, jobs.length) : [...jobs];
+        return list.sort((a, b) => (deployedCounts[b.id] || 0) - (deployedCounts[a.id] || 0) || a.name.localeCompare(b.name));
+    }, [jobs, query, deployedCounts]);
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-col sm:flex-row gap-2">
+                <input type="search" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search jobs" aria-label="Search jobs" className={`${inputClassName} sm:flex-grow`} />
+                {canManage && (
+                    <button onClick={onAddJob} className="flex items-center justify-center bg-cyan-500 hover:bg-cyan-600 text-white font-bold py-2 px-4 rounded-md transition-colors">
+                        <Plus size={18} className="mr-2" />
+                        New Job
+                    </button>
+                )}
+            </div>
+            {jobs.length === 0 ? (
+                <div className="text-center py-20 px-6 bg-gray-800 rounded-lg">
+                    <Briefcase size={48} className="mx-auto text-gray-500" />
+                    <h3 className="mt-4 text-xl font-semibold text-white">No Jobs Yet</h3>
+                    <p className="mt-2 text-gray-400">Create a job for each customer site, then pick it when checking cameras out.</p>
+                </div>
+            ) : (
+                <ul className="space-y-3">
+                    {shown.map(job => (
+                        <li key={job.id}>
+                            <button onClick={() => onOpenJob(job)} className="w-full text-left bg-gray-800 hover:bg-gray-700 rounded-lg border border-gray-700 p-4 flex items-center justify-between transition-colors">
+                                <div>
+                                    <p className="text-lg font-bold text-white flex items-center">
+                                        <Briefcase size={18} className="mr-3 text-cyan-400" />
+                                        {job.name}
+                                    </p>
+                                    {job.address && <p className="text-sm text-gray-400 ml-8">{job.address}</p>}
+                                </div>
+                                <span className={`text-sm font-semibold px-3 py-1 rounded-full ${deployedCounts[job.id] ? 'bg-yellow-500/20 text-yellow-400' : 'bg-gray-700 text-gray-400'}`}>
+                                    {deployedCounts[job.id] || 0} deployed
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                    {shown.length === 0 && <li className="text-center text-gray-400 py-8">No jobs match "{query}".</li>}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+// --- Job Detail ---
+
+export function JobDetail({ repository, job, cameras, users, currentUser, now, canManage, onBack, onEdit, onCheckInAll, onShowHistory }) {
+    const [pastDeployments, setPastDeployments] = useState(null);
+    const [historyError, setHistoryError] = useState(null);
+    const [isCheckingIn, setIsCheckingIn] = useState(false);
+
+    const current = useMemo(() => cameras.filter(c => c.status === 'in_use' && c.jobId === job.id), [cameras, job.id]);
+    const checkInable = current.filter(camera => canCheckIn(currentUser, camera));
+    // Only cameras that have ever been deployed here need their history read.
+    const visited = useMemo(() => cameras.filter(c => (c.deployedJobIds || []).includes(job.id)), [cameras, job.id]);
+
+    useEffect(() => {
+        let isCancelled = false;
+        Promise.all(visited.map(camera => repository.getHistory(camera.id)))
+            .then(histories => {
+                if (isCancelled) return;
+                const deployments = visited.flatMap((camera, i) => buildDeployments(histories[i])
+                    .filter(deployment => deployment.jobId === job.id && deployment.checkedInAt)
+                    .map(deployment => ({ ...deployment, camera })));
+                setPastDeployments(deployments.sort((a, b) => b.checkedInAt - a.checkedInAt));
+            })
+            .catch(e => {
+                console.error("Job History Error:", e);
+                if (!isCancelled) setHistoryError("Could not load the job's deployment history.");
+            });
+        return () => { isCancelled = true; };
+    }, [repository, visited, job.id]);
+
+    const handleCheckInAll = async () => {
+        setIsCheckingIn(true);
+        try {
+            await onCheckInAll(checkInable);
+        } finally {
+            setIsCheckingIn(false);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <button onClick={onBack} className="flex items-center text-sm text-gray-400 hover:text-white">
+                <ArrowLeft size={16} className="mr-1" />
+                All jobs
+            </button>
+            <div className="bg-gray-800 rounded-lg border border-gray-700 p-5 flex flex-col sm:flex-row justify-between gap-4">
+                <div className="space-y-1">
+                    <h2 className="text-2xl font-bold text-white flex items-center">
+                        <Briefcase className="mr-3 text-cyan-400" />
+                        {job.name}
+                    </h2>
+                    {job.address && <p className="text-gray-300 flex items-center"><MapPin size={16} className="mr-2 text-gray-500" />{job.address}</p>}
+                    {job.geolocation?.lat && job.geolocation?.lng && (
+                        <p className="text-xs text-gray-400 font-mono ml-6">{`Lat: ${job.geolocation.lat}, Lng: ${job.geolocation.lng}`}</p>
+                    )}
+                    {job.contactName && <p className="text-sm text-gray-300 flex items-center"><User size={14} className="mr-2 text-gray-500" />{job.contactName}</p>}
+                    {job.contactPhone && <a href={`tel:${job.contactPhone}`} className="text-sm text-cyan-400 hover:underline flex items-center"><Phone size={14} className="mr-2 text-gray-500" />{job.contactPhone}</a>}
+                    {job.contactEmail && <a href={`mailto:${job.contactEmail}`} className="text-sm text-cyan-400 hover:underline flex items-center"><Mail size={14} className="mr-2 text-gray-500" />{job.contactEmail}</a>}
+                    {job.notes && <p className="text-sm text-gray-400 italic whitespace-pre-line pt-2">{job.notes}</p>}
+                </div>
+                <div className="flex sm:flex-col gap-2 sm:items-end">
+                    {canManage && (
+                        <button onClick={onEdit} className="flex items-center bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-md transition-colors">
+                            <Pencil size={16} className="mr-2" />
+                            Edit Job
+                        </button>
+                    )}
+                    {checkInable.length > 0 && (
+                        <button onClick={handleCheckInAll} disabled={isCheckingIn} className="flex items-center bg-green-500 hover:bg-green-600 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-md transition-colors">
+                            <LogIn size={16} className="mr-2" />
+                            {isCheckingIn ? 'Checking in...' : `Check In All (${checkInable.length})`}
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <section>
+                <h3 className="text-lg font-semibold text-white mb-3">Deployed Now ({current.length})</h3>
+                {current.length === 0 ? (
+                    <p className="text-gray-400">No cameras are deployed at this job.</p>
+                ) : (
+                    <ul className="space-y-2">
+                        {current.map(camera => (
+                            <li key={camera.id} className="bg-gray-800 rounded-md border border-gray-700 p-3 flex items-center justify-between">
+                                <div>
+                                    <p className="text-white font-semibold flex items-center">
+                                        <Camera size={16} className="mr-2 text-cyan-400" />
+                                        {camera.cameraNumber}
+                                        {isOverdue(camera, now) && <span className="ml-2 text-xs font-semibold px-2 py-0.5 rounded-full bg-red-500/20 text-red-300">Overdue</span>}
+                                    </p>
+                                    <p className="text-xs text-gray-400 ml-6">
+                                        {camera.location}
+                                        {camera.checkedOutTimestamp && ` · since ${camera.checkedOutTimestamp.toLocaleDateString()}`}
+                                        {camera.checkedOutBy && ` · ${displayName(users, camera.checkedOutBy)}`}
+                                    </p>
+                                </div>
+                                <button onClick={() => onShowHistory(camera)} className="p-2 text-gray-500 hover:text-cyan-400 transition-colors" title="Deployment History">
+                                    <History size={18} />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </section>
+
+            <section>
+                <h3 className="text-lg font-semibold text-white mb-3">Previously Deployed</h3>
+                {historyError && <p className="text-red-300">{historyError}</p>}
+                {!historyError && !pastDeployments && <LoadingSpinner />}
+                {pastDeployments && pastDeployments.length === 0 && <p className="text-gray-400">No cameras have been returned from this job yet.</p>}
+                {pastDeployments && pastDeployments.length > 0 && (
+                    <ul className="space-y-2">
+                        {pastDeployments.map(deployment => (
+                            <li key={`${deployment.camera.id}-${deployment.id}`} className="bg-gray-800 rounded-md border border-gray-700 p-3">
+                                <div className="flex justify-between items-start">
+                                    <p className="text-white font-semibold">{deployment.camera.cameraNumber}</p>
+                                    <span className="text-xs text-gray-400">{formatDuration(deployment.checkedOutAt && deployment.checkedInAt - deployment.checkedOutAt)}</span>
+                                </div>
+                                <p className="text-xs text-gray-400">
+                                    {deployment.checkedOutAt?.toLocaleDateString()} – {deployment.checkedInAt.toLocaleDateString()}
+                                    {deployment.checkedOutBy && ` · ${displayName(users, deployment.checkedOutBy)}`}
+                                    {deployment.returnStatus && deployment.returnStatus !== 'available' && ` · returned as ${statusLabel(deployment.returnStatus)}`}
+                                </p>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </section>
+        </div>
+    );
+}
@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { validateGeolocation } from './cameraModel';
+import { CAMERA_STATUSES } from './cameraStatus';
+import { L, addBaseLayer, markerIcon, toLatLng } from './leaflet';
+
+// --- Location Picker ---
+// A small map for placing a camera: click to drop the pin, drag it to fine-tune. The pin also
+// follows coordinates typed into the form or taken from the device's GPS.
+
+const DEFAULT_CENTER = [39.8283, -98.5795]; // Centered on USA
+const PIN_ZOOM = 17;
+
+export function LocationPicker({ lat, lng, onPick }) {
+    const mapContainerRef = useRef(null);
+    const mapInstanceRef = useRef(null);
+    const markerRef = useRef(null);
+    const onPickRef = useRef(onPick);
+    const [isTileFallback, setIsTileFallback] = useState(false);
+
+    onPickRef.current = onPick;
+    const position = Object.keys(validateGeolocation(lat, lng)).length === 0 ? toLatLng({ lat, lng }) : null;
+
+    useEffect(() => {
+        if (!mapContainerRef.current) return;
+        const map = L.map(mapContainerRef.current).setView(DEFAULT_CENTER, 4);
+        addBaseLayer(map, setIsTileFallback);
+        map.on('click', (e) => onPickRef.current(e.latlng));
+        mapInstanceRef.current = map;
+
+        return () => {
+            map.remove();
+            mapInstanceRef.current = null;
+            markerRef.current = null;
+        };
+    }, []);
+
+    const positionLat = position?.lat;
+    const positionLng = position?.lng;
+    useEffect(() => {
+        const map = mapInstanceRef.current;
+        if (!map) return;
+        if (positionLat === undefined) {
+            if (markerRef.current) {
+                markerRef.current.remove();
+                markerRef.current = null;
+            }
+            return;
+        }
+        const latLng = [positionLat, positionLng];
+        if (!markerRef.current) {
+            const marker = L.marker(latLng, { icon: markerIcon(CAMERA_STATUSES.in_use.color), draggable: true }).addTo(map);
+            marker.on('dragend', () => onPickRef.current(marker.getLatLng()));
+            markerRef.current = marker;
+            map.setView(latLng, Math.max(map.getZoom(), PIN_ZOOM));
+        } else {
+            markerRef.current.setLatLng(latLng);
+            if (!map.getBounds().contains(latLng)) map.panTo(latLng);
+        }
+    }, [positionLat, positionLng]);
+
+    return (
+        <div>
+            <div ref={mapContainerRef} className="h-48 w-full rounded-md z-0" />
+            <p className="text-xs text-gray-500 mt-1">
+                Click the map to drop the pin, or drag it to adjust.
+                {isTileFallback && ' Map tiles are unavailable, so only the coordinate grid is shown.'}
+            </p>
+        </div>
+    );
+}
+
+// Turns a GeolocationPositionError into advice the user can act on.
+export function geolocationErrorMessage(error) {
+    switch (error?.code) {
+        case 1:
+            return 'Location access was denied. Allow it in your browser settings, or pick the spot on the map.';
+        case 2:
+            return 'Your position could not be determined. Try again outdoors, or pick the spot on the map.';
+        case 3:
+            return 'Getting your position took too long. Try again, or pick the spot on the map.';
+        default:
+            return 'Could not get your location. Pick the spot on the map or enter the coordinates.';
+    }
+}
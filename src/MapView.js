@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { MapPin, Move } from 'lucide-react';
+import { isOverdue } from './cameraModel';
+import { CAMERA_STATUSES, OVERDUE_COLOR, statusLabel } from './cameraStatus';
+import { displayName } from './roles';
+import { L, addBaseLayer, markerIcon, toLatLng } from './leaflet';
+
+// --- Map View ---
+// Markers are kept per layer and keyed by camera id (or job site), so a snapshot only moves,
+// recolours or removes the markers that actually changed.
+
+const JOB_SITE_COLOR = '#0891b2';
+
+const MAP_LAYERS = {
+    inUse: { label: 'In use', clustered: true },
+    lastKnown: { label: 'Last known location', clustered: true },
+    jobSites: { label: 'Job sites', clustered: false }
+};
+
+const DEFAULT_VISIBLE_LAYERS = { inUse: true, lastKnown: false, jobSites: false };
+
+// Popups can only show a few photos; the rest are on the camera card.
+const POPUP_PHOTOS = 3;
+
+// `canMoveCamera(camera)` decides whose pins can be dragged while "Move pins" is on;
+// `onMoveCamera(camera, {lat, lng})` resolves to false when the move was not saved.
+// `getPhotoUrl(path)` is the repository's, for the deployment photos in popups.
+export function MapView({ cameras, jobs = [], users, now, canMoveCamera, onMoveCamera, getPhotoUrl }) {
+    const mapContainerRef = useRef(null);
+    const mapInstanceRef = useRef(null);
+    const layerGroupsRef = useRef({});
+    const markersRef = useRef({});
+    const hasFittedRef = useRef(false);
+    const handleDragEndRef = useRef(null);
+    const getPhotoUrlRef = useRef(getPhotoUrl);
+    getPhotoUrlRef.current = getPhotoUrl;
+    const [isTileFallback, setIsTileFallback] = useState(false);
+    const [visibleLayers, setVisibleLayers] = useState(DEFAULT_VISIBLE_LAYERS);
+    const [isMovingPins, setIsMovingPins] = useState(false);
+
+    const layerItems = useMemo(
+        () => buildLayerItems(cameras, jobs, users, now, isMovingPins ? canMoveCamera : null),
+        [cameras, jobs, users, now, isMovingPins, canMoveCamera]
+    );
+    const visibleCount = Object.keys(MAP_LAYERS).reduce((total, key) => total + (visibleLayers[key] ? layerItems[key].length : 0), 0);
+    const canMoveAny = !!onMoveCamera && cameras.some(camera => camera.status === 'in_use' && canMoveCamera(camera));
+
+    // Read through a ref so markers created on earlier snapshots still see the current cameras.
+    handleDragEndRef.current = async (cameraId, marker, previous) => {
+        const camera = cameras.find(c => c.id === cameraId);
+        const { lat, lng } = marker.getLatLng();
+        const saved = camera && await onMoveCamera(camera, { lat: lat.toFixed(6), lng: lng.toFixed(6) });
+        if (!saved) marker.setLatLng(previous);
+    };
+
+    useEffect(() => {
+        if (!mapContainerRef.current) return;
+
+        const map = L.map(mapContainerRef.current).setView([39.8283, -98.5795], 4); // Centered on USA
+        addBaseLayer(map, setIsTileFallback);
+
+        mapInstanceRef.current = map;
+        layerGroupsRef.current = Object.fromEntries(Object.entries(MAP_LAYERS).map(([key, layer]) => [
+            key,
+            layer.clustered ? L.markerClusterGroup({ showCoverageOnHover: false, maxClusterRadius: 50 }) : L.layerGroup()
+        ]));
+        markersRef.current = Object.fromEntries(Object.keys(MAP_LAYERS).map(key => [key, new Map()]));
+        hasFittedRef.current = false;
+        // Popup HTML only names the photos; their URLs are looked up when a popup opens.
+        map.on('popupopen', (e) => fillPopupPhotos(e.popup.getElement(), getPhotoUrlRef.current));
+
+        return () => {
+            map.remove();
+            mapInstanceRef.current = null;
+        };
+    }, []);
+
+    useEffect(() => {
+        const map = mapInstanceRef.current;
+        if (!map) return;
+        Object.entries(layerGroupsRef.current).forEach(([key, group]) => {
+            if (visibleLayers[key]) group.addTo(map);
+            else map.removeLayer(group);
+        });
+    }, [visibleLayers]);
+
+    useEffect(() => {
+        const map = mapInstanceRef.current;
+        if (!map) return;
+
+        Object.keys(MAP_LAYERS).forEach(key => {
+            syncMarkers(layerGroupsRef.current[key], markersRef.current[key], layerItems[key], handleDragEndRef);
+        });
+
+        // Frame the markers once; later snapshots leave the user's pan and zoom alone.
+        if (!hasFittedRef.current) {
+            const bounds = Object.keys(MAP_LAYERS)
+                .filter(key => visibleLayers[key])
+                .flatMap(key => layerItems[key].map(item => [item.lat, item.lng]));
+            if (bounds.length > 0) {
+                map.fitBounds(bounds, { padding: [50, 50], maxZoom: 15 });
+                hasFittedRef.current = true;
+            }
+        }
+    }, [layerItems, visibleLayers]);
+
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+                {Object.entries(MAP_LAYERS).map(([key, layer]) => (
+                    <button
+                        key={key}
+                        onClick={() => setVisibleLayers({ ...visibleLayers, [key]: !visibleLayers[key] })}
+                        className={`text-sm py-1 px-3 rounded-full border transition-colors ${visibleLayers[key] ? 'bg-cyan-500/20 border-cyan-500 text-cyan-300' : 'bg-gray-800 border-gray-600 text-gray-400 hover:text-white'}`}
+                        aria-pressed={visibleLayers[key]}
+                    >
+                        {layer.label} ({layerItems[key].length})
+                    </button>
+                ))}
+                {canMoveAny && (
+                    <button
+                        onClick={() => setIsMovingPins(!isMovingPins)}
+                        className={`ml-auto flex items-center text-sm py-1 px-3 rounded-full border transition-colors ${isMovingPins ? 'bg-yellow-500/20 border-yellow-500 text-yellow-300' : 'bg-gray-800 border-gray-600 text-gray-400 hover:text-white'}`}
+                        aria-pressed={isMovingPins}
+                        title="Drag a deployed camera's pin to correct its location"
+                    >
+                        <Move size={14} className="mr-1" />
+                        {isMovingPins ? 'Done Moving' : 'Move Pins'}
+                    </button>
+                )}
+            </div>
+            {isTileFallback && (
+                <p className="text-xs text-gray-400">Map tiles are unavailable, so cameras are plotted on a plain coordinate grid.</p>
+            )}
+            {isMovingPins && <p className="text-xs text-yellow-300">Drag an in-use camera's pin to its real position. Each move is saved straight away.</p>}
+            <div className="relative">
+                <div ref={mapContainerRef} className="h-[65vh] w-full rounded-lg z-0" />
+                {visibleCount === 0 && (
+                    <div className="absolute inset-0 z-[1000] flex flex-col items-center justify-center bg-gray-900/80 rounded-lg text-center px-6">
+                        <MapPin size={48} className="text-gray-500" />
+                        <h3 className="mt-4 text-xl font-semibold text-white">No Cameras on the Map</h3>
+                        <p className="mt-2 text-gray-400">Check out a camera with a valid geo-location, or turn on another layer.</p>
+                    </div>
+                )}
+            </div>
+            <MapLegend />
+        </div>
+    );
+}
+
+function MapLegend() {
+    const entries = [
+        ...Object.values(CAMERA_STATUSES).map(({ label, color }) => [label, color]),
+        ['Overdue', OVERDUE_COLOR],
+        ['Job site', JOB_SITE_COLOR]
+    ];
+    return (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400">
+            {entries.map(([label, color]) => (
+                <span key={label} className="flex items-center">
+                    <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: color }} />
+                    {label}
+                </span>
+            ))}
+        </div>
+    );
+}
+
+// --- Helpers ---
+
+// Splits cameras into the items shown by each layer: deployed cameras at their deployment,
+// other cameras at the last place they were deployed, and one marker per job site. Cameras
+// checked out to a job share its marker, placed at the job's own coordinates when it has them;
+// the rest are grouped by the location they were checked out with.
+function buildLayerItems(cameras, jobs, users, now, canMoveCamera) {
+    const items = { inUse: [], lastKnown: [], jobSites: [] };
+    const sites = new Map();
+    const jobsById = new Map(jobs.map(job => [job.id, job]));
+
+    cameras.forEach(camera => {
+        if (camera.status === 'in_use') {
+            const position = toLatLng(camera.geolocation);
+            if (!position) return;
+            const overdue = isOverdue(camera, now);
+            items.inUse.push({
+                id: camera.id,
+                ...position,
+                color: overdue ? OVERDUE_COLOR : CAMERA_STATUSES.in_use.color,
+                popup: cameraPopup(camera, users, overdue),
+                draggable: !!canMoveCamera && canMoveCamera(camera)
+            });
+
+            const job = jobsById.get(camera.jobId);
+            const siteKey = job ? `job:${job.id}` : (camera.location || '').trim().toLowerCase();
+            if (!sites.has(siteKey)) {
+                sites.set(siteKey, { name: job?.name || camera.location || 'Unknown location', position: job && toLatLng(job.geolocation), cameras: [] });
+            }
+            sites.get(siteKey).cameras.push({ camera, ...position });
+        } else {
+            const position = toLatLng(camera.lastGeolocation);
+            if (!position) return;
+            items.lastKnown.push({
+                id: camera.id,
+                ...position,
+                color: (CAMERA_STATUSES[camera.status] || CAMERA_STATUSES.available).color,
+                popup: lastKnownPopup(camera)
+            });
+        }
+    });
+
+    sites.forEach((site, key) => {
+        const count = site.cameras.length;
+        items.jobSites.push({
+            id: key,
+            lat: site.position?.lat ?? site.cameras.reduce((sum, c) => sum + c.lat, 0) / count,
+            lng: site.position?.lng ?? site.cameras.reduce((sum, c) => sum + c.lng, 0) / count,
+            color: JOB_SITE_COLOR,
+            label: count,
+            popup: `<b>${escapeHtml(site.name)}</b><br>${count} camera${count === 1 ? '' : 's'}: `
+                + site.cameras.map(c => escapeHtml(c.camera.cameraNumber)).join(', ')
+        });
+    });
+
+    return items;
+}
+
+function cameraPopup(camera, users, overdue) {
+    return `<b>${escapeHtml(camera.cameraNumber)}</b><br>${escapeHtml(camera.location)}`
+        + (camera.checkedOutBy ? `<br>By: ${escapeHtml(displayName(users, camera.checkedOutBy))}` : '')
+        + (overdue ? `<br><span style="color: ${OVERDUE_COLOR};">Overdue since ${camera.expectedReturnDate.toLocaleDateString()}</span>` : '')
+        + popupPhotos(camera.photos);
+}
+
+// Thumbnails linking to the full-size photo; see fillPopupPhotos.
+function popupPhotos(photos = []) {
+    if (photos.length === 0) return '';
+    const shown = photos.slice(0, POPUP_PHOTOS).map(photo =>
+        `<a data-photo-path="${escapeHtml(photo.path)}" target="_blank" rel="noopener noreferrer">`
+        + `<img data-photo-path="${escapeHtml(photo.thumbPath)}" alt="" width="56" height="56" style="object-fit: cover; border-radius: 4px; background: #374151;" /></a>`
+    ).join(' ');
+    const more = photos.length > POPUP_PHOTOS ? ` +${photos.length - POPUP_PHOTOS}` : '';
+    return `<div style="margin-top: 6px; display: flex; gap: 4px; align-items: center;">${shown}${more}</div>`;
+}
+
+function fillPopupPhotos(element, getPhotoUrl) {
+    if (!element || !getPhotoUrl) return;
+    element.querySelectorAll('[data-photo-path]').forEach(node => {
+        getPhotoUrl(node.dataset.photoPath)
+            .then(url => {
+                if (node.tagName === 'IMG') node.src = url;
+                else node.href = url;
+            })
+            .catch(e => console.warn("Photo unavailable:", e));
+    });
+}
+
+function lastKnownPopup(camera) {
+    return `<b>${escapeHtml(camera.cameraNumber)}</b> · ${escapeHtml(statusLabel(camera.status))}`
+        + `<br>Last deployed at ${escapeHtml(camera.lastLocation || 'an unknown location')}`
+        + (camera.statusReason ? `<br><i>${escapeHtml(camera.statusReason)}</i>` : '');
+}
+
+// Adds, moves, recolours and removes markers so the group matches `items`, reusing the
+// existing marker for every id that is still present.
+function syncMarkers(group, markers, items, handleDragEndRef) {
+    const seen = new Set();
+    items.forEach(item => {
+        seen.add(item.id);
+        const iconKey = `${item.color}:${item.label ?? ''}`;
+        const draggable = !!item.draggable;
+        const existing = markers.get(item.id);
+        if (!existing) {
+            const marker = L.marker([item.lat, item.lng], { icon: markerIcon(item.color, item.label), draggable });
+            marker.bindPopup(item.popup);
+            let dragStart = null;
+            marker.on('dragstart', () => { dragStart = marker.getLatLng().clone(); });
+            marker.on('dragend', () => handleDragEndRef.current(item.id, marker, dragStart));
+            group.addLayer(marker);
+            markers.set(item.id, { marker, iconKey, lat: item.lat, lng: item.lng, popup: item.popup });
+            return;
+        }
+        const { marker } = existing;
+        if (existing.lat !== item.lat || existing.lng !== item.lng) {
+            // Clustered markers must leave and rejoin the group to be re-clustered at the new spot.
+            group.removeLayer(marker);
+            marker.setLatLng([item.lat, item.lng]);
+            group.addLayer(marker);
+        }
+        if (existing.iconKey !== iconKey) marker.setIcon(markerIcon(item.color, item.label));
+        if (existing.popup !== item.popup) marker.setPopupContent(item.popup);
+        // `dragging` only exists while the marker is on the map (not hidden in a cluster).
+        marker.options.draggable = draggable;
+        if (marker.dragging) {
+            if (draggable) marker.dragging.enable();
+            else marker.dragging.disable();
+        }
+        markers.set(item.id, { marker, iconKey, lat: item.lat, lng: item.lng, popup: item.popup });
+    });
+    markers.forEach(({ marker }, id) => {
+        if (seen.has(id)) return;
+        group.removeLayer(marker);
+        markers.delete(id);
+    });
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
@@ -0,0 +1,96 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MapView } from './MapView';
+import { L } from './leaflet';
+import { newCameraDoc, checkedOutFields, checkedInFields } from './cameraModel';
+import { CAMERA_STATUSES, OVERDUE_COLOR } from './cameraStatus';
+
+jest.mock('./leaflet', () => ({ ...jest.requireActual('./leaflet'), ...require('./testUtils').createFakeLeaflet() }));
+
+const USERS = { tina: { id: 'tina', displayName: 'Tina', role: 'technician' } };
+const NOW = new Date(2024, 5, 15, 12);
+
+function deployed(id, cameraNumber, locationData) {
+    return { id, ...newCameraDoc(cameraNumber), ...checkedOutFields(locationData, 'tina'), checkedOutTimestamp: new Date(2024, 5, 1) };
+}
+
+const ATTIC = deployed('attic', 'CAM-1', { location: 'Smith Residence, Attic', lat: '45.5', lng: '-122.6' });
+const BARN = deployed('barn', 'CAM-2', { location: 'Barn <north>', lat: '45.6', lng: '-122.7', expectedReturnDate: new Date(2024, 5, 10) });
+const NO_FIX = deployed('nofix', 'CAM-3', { location: 'Basement', lat: '', lng: '' });
+const RETURNED = { id: 'returned', ...newCameraDoc('CAM-4'), ...checkedInFields(deployed('returned', 'CAM-4', { location: 'Shed', lat: '45.4', lng: '-122.5' }), { status: 'maintenance', reason: 'Cracked lens' }, 'tina') };
+
+function renderMap(props) {
+    const canMoveCamera = () => true;
+    const utils = render(<MapView cameras={[]} users={USERS} now={NOW} canMoveCamera={canMoveCamera} {...props} />);
+    const rerender = (nextProps) => utils.rerender(<MapView cameras={[]} users={USERS} now={NOW} canMoveCamera={canMoveCamera} {...props} {...nextProps} />);
+    return { map: L.maps[L.maps.length - 1], rerender };
+}
+
+describe('MapView', () => {
+    it('puts a marker on every deployed camera with coordinates', () => {
+        const { map } = renderMap({ cameras: [ATTIC, BARN, NO_FIX] });
+
+        const markers = map.visibleMarkers();
+        expect(markers.map(marker => marker.latLng)).toEqual([{ lat: 45.5, lng: -122.6 }, { lat: 45.6, lng: -122.7 }]);
+        expect(markers[0].options.icon.color).toBe(CAMERA_STATUSES.in_use.color);
+        expect(markers[0].popup).toContain('<b>CAM-1</b><br>Smith Residence, Attic<br>By: Tina');
+        expect(map.fittedBounds).toEqual([[45.5, -122.6], [45.6, -122.7]]);
+        expect(screen.getByRole('button', { name: 'In use (2)' })).toHaveAttribute('aria-pressed', 'true');
+    });
+
+    it('colours overdue cameras and escapes what users typed', () => {
+        const { map } = renderMap({ cameras: [BARN] });
+
+        const [marker] = map.visibleMarkers();
+        expect(marker.options.icon.color).toBe(OVERDUE_COLOR);
+        expect(marker.popup).toContain('Barn &lt;north&gt;');
+        expect(marker.popup).toContain('Overdue since');
+    });
+
+    it('shows the last known location of returned cameras once that layer is on', () => {
+        const { map } = renderMap({ cameras: [ATTIC, RETURNED] });
+        expect(map.visibleMarkers()).toHaveLength(1);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Last known location (1)' }));
+
+        const returned = map.visibleMarkers().find(marker => marker.latLng.lat === 45.4);
+        expect(returned.options.icon.color).toBe(CAMERA_STATUSES.maintenance.color);
+        expect(returned.popup).toContain('Last deployed at Shed');
+        expect(returned.popup).toContain('Cracked lens');
+    });
+
+    it('moves and removes existing markers as cameras change', () => {
+        const { map, rerender } = renderMap({ cameras: [ATTIC, BARN] });
+        const [attic] = map.visibleMarkers();
+
+        rerender({ cameras: [{ ...ATTIC, geolocation: { lat: '45.55', lng: '-122.65' } }] });
+
+        expect(map.visibleMarkers()).toEqual([attic]);
+        expect(attic.latLng).toEqual({ lat: 45.55, lng: -122.65 });
+    });
+
+    it('says so when there is nothing to show', () => {
+        renderMap({ cameras: [NO_FIX] });
+        expect(screen.getByText('No Cameras on the Map')).toBeInTheDocument();
+    });
+
+    it('saves dragged pins, and puts them back when the move fails', async () => {
+        const moves = [];
+        let saved = true;
+        const onMoveCamera = async (camera, geolocation) => {
+            moves.push([camera.id, geolocation]);
+            return saved;
+        };
+        const { map } = renderMap({ cameras: [ATTIC], onMoveCamera });
+        fireEvent.click(screen.getByRole('button', { name: 'Move Pins' }));
+        const [marker] = map.visibleMarkers();
+        expect(marker.options.draggable).toBe(true);
+
+        marker.dragTo({ lat: 45.51, lng: -122.61 });
+        await waitFor(() => expect(moves).toEqual([['attic', { lat: '45.510000', lng: '-122.610000' }]]));
+
+        saved = false;
+        marker.dragTo({ lat: 46, lng: -123 });
+        await waitFor(() => expect(marker.latLng).toEqual({ lat: 45.51, lng: -122.61 }));
+    });
+});
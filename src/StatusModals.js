@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { AlertTriangle, LogIn, Wrench } from 'lucide-react';
+import { Modal } from './ui';
+import { PhotoInput } from './DeploymentPhotos';
+import { displayName } from './roles';
+import { CAMERA_STATUSES, CHECK_IN_OUTCOMES, manualTransitions, reasonRequired, statusLabel } from './cameraStatus';
+
+const textareaClassName = "w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500";
+
+// --- Stale Dialogs ---
+// Check-out and check-in dialogs keep the camera as it was when they opened (`opened`) and are
+// also given its live state (`current`, null once deleted). If a colleague checks it out or in
+// meanwhile, the dialog says so instead of letting the user act on what they can no longer see.
+
+function describeCameraChange(opened, current, users) {
+    if (!current) return `${opened.cameraNumber} was deleted.`;
+    if (current.archived) return `${opened.cameraNumber} was archived.`;
+    if (current.status === opened.status
+        && (current.checkedOutBy || '') === (opened.checkedOutBy || '')
+        && (current.location || '') === (opened.location || '')) return null;
+    if (current.status === 'in_use') {
+        return `${current.cameraNumber} was ${opened.status === 'in_use' ? 'redeployed' : 'checked out'} by ${displayName(users, current.checkedOutBy)} to "${current.location}".`;
+    }
+    if (opened.status === 'in_use') {
+        const outcome = current.status === 'available' ? '' : ` as ${statusLabel(current.status)}`;
+        return `${current.cameraNumber} was checked in${outcome} by ${displayName(users, current.statusChangedBy)}.`;
+    }
+    return `${current.cameraNumber} is now ${statusLabel(current.status)}.`;
+}
+
+// Renders nothing while the camera is unchanged; `children` are shown only once it has changed.
+export function CameraChangedNotice({ opened, current, users, children }) {
+    const message = describeCameraChange(opened, current, users);
+    if (!message) return null;
+    return (
+        <div className="flex items-start bg-yellow-500/10 border border-yellow-500/40 text-yellow-200 text-sm rounded-md p-3" role="alert">
+            <AlertTriangle size={18} className="mr-2 flex-shrink-0" />
+            <div>
+                <p>{message}</p>
+                {children}
+            </div>
+        </div>
+    );
+}
+
+export function hasCameraChanged(opened, current) {
+    return describeCameraChange(opened, current, []) !== null;
+}
+
+// `current` is the camera's live state; see CameraChangedNotice.
+export function CheckInModal({ camera, current, users, onClose, onCheckIn }) {
+    const [status, setStatus] = useState('available');
+    const [reason, setReason] = useState('');
+    const [reasonError, setReasonError] = useState('');
+    const [photos, setPhotos] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    // The user's own check-in changes the camera too; don't flag that while it is being saved.
+    const isStale = !isSaving && hasCameraChanged(camera, current);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (isStale) return;
+        if (reasonRequired(status) && !reason.trim()) {
+            setReasonError(status === 'lost' ? 'Say what is known about where it was lost.' : 'Describe the damage.');
+            return;
+        }
+        setIsSaving(true);
+        await onCheckIn({ status, reason: reason.trim(), photos });
+        setIsSaving(false);
+    };
+
+    return (
+        <Modal onClose={onClose} title={`Check In: ${camera.cameraNumber}`}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <p className="text-sm text-gray-400">
+                    Deployed at {camera.location || 'an unknown location'}
+                    {camera.checkedOutBy && ` by ${displayName(users, camera.checkedOutBy)}`}.
+                </p>
+                {!isSaving && (
+                    <CameraChangedNotice opened={camera} current={current} users={users}>
+                        <p className="mt-1 text-yellow-300/80">There is nothing left for you to check in.</p>
+                    </CameraChangedNotice>
+                )}
+                <div className="space-y-2">
+                    {Object.entries(CHECK_IN_OUTCOMES).map(([value, label]) => (
+                        <label key={value} className={`flex items-center p-3 rounded-md border cursor-pointer ${status === value ? 'border-cyan-500 bg-gray-900' : 'border-gray-700'}`}>
+                            <input
+                                type="radio"
+                                name="returnStatus"
+                                value={value}
+                                checked={status === value}
+                                onChange={() => { setStatus(value); setReasonError(''); }}
+                                className="mr-3"
+                            />
+                            <span className="text-white">{label}</span>
+                            {value !== 'available' && (
+                                <span className={`ml-auto px-2 py-0.5 text-xs font-semibold rounded-full ${CAMERA_STATUSES[value].className}`}>
+                                    {statusLabel(value)}
+                                </span>
+                            )}
+                        </label>
+                    ))}
+                </div>
+                <div>
+                    <label htmlFor="returnReason" className="block text-sm font-medium text-gray-300 mb-1">
+                        Notes{reasonRequired(status) ? '' : ' (Optional)'}
+                    </label>
+                    <textarea
+                        id="returnReason"
+                        value={reason}
+                        onChange={(e) => { setReason(e.target.value); setReasonError(''); }}
+                        rows={3}
+                        placeholder={status === 'maintenance' ? 'e.g., Cracked lens, water in battery bay' : ''}
+                        className={textareaClassName}
+                    />
+                    {reasonError && <p className="text-xs text-red-300 mt-1">{reasonError}</p>}
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Photos (Optional)</label>
+                    <PhotoInput photos={photos} onChange={setPhotos} />
+                </div>
+                <div className="flex justify-end pt-2">
+                    <button type="submit" disabled={isStale || isSaving} className="flex items-center bg-green-500 hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed text-white font-bold py-2 px-6 rounded-md transition-colors">
+                        <LogIn size={18} className="mr-2" />
+                        Check In
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
+
+export function ChangeStatusModal({ camera, onClose, onChangeStatus }) {
+    const options = manualTransitions(camera.status);
+    const [status, setStatus] = useState(options[0] || '');
+    const [reason, setReason] = useState('');
+    const [reasonError, setReasonError] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!status) return;
+        if (reasonRequired(status) && !reason.trim()) {
+            setReasonError(`Give a reason for marking the camera ${statusLabel(status).toLowerCase()}.`);
+            return;
+        }
+        onChangeStatus(status, reason.trim());
+    };
+
+    return (
+        <Modal onClose={onClose} title={`Change Status: ${camera.cameraNumber}`}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <p className="text-sm text-gray-400">
+                    Currently <span className="text-white">{statusLabel(camera.status)}</span>
+                    {camera.statusReason && <> — {camera.statusReason}</>}
+                </p>
+                <div>
+                    <label htmlFor="newStatus" className="block text-sm font-medium text-gray-300 mb-1">New Status</label>
+                    <select
+                        id="newStatus"
+                        value={status}
+                        onChange={(e) => { setStatus(e.target.value); setReasonError(''); }}
+                        className="w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                    >
+                        {options.map(value => <option key={value} value={value}>{statusLabel(value)}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="statusReason" className="block text-sm font-medium text-gray-300 mb-1">
+                        Reason / Notes{reasonRequired(status) ? '' : ' (Optional)'}
+                    </label>
+                    <textarea
+                        id="statusReason"
+                        value={reason}
+                        onChange={(e) => { setReason(e.target.value); setReasonError(''); }}
+                        rows={3}
+                        className={textareaClassName}
+                    />
+                    {reasonError && <p className="text-xs text-red-300 mt-1">{reasonError}</p>}
+                </div>
+                <div className="flex justify-end pt-2">
+                    <button type="submit" disabled={!status} className="flex items-center bg-cyan-500 hover:bg-cyan-600 disabled:opacity-50 text-white font-bold py-2 px-6 rounded-md transition-colors">
+                        <Wrench size={18} className="mr-2" />
+                        Update Status
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
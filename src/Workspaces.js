@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowRightLeft, Building2, Check, Mail, Plus, X } from 'lucide-react';
+import { Modal } from './ui';
+import { ROLES, DEFAULT_ROLE, can } from './roles';
+import { normalizeEmail } from './workspaceModel';
+
+const inputClassName = "w-full bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500";
+
+// Picked from the switcher to open the new workspace dialog instead of switching.
+const NEW_WORKSPACE = '__new';
+
+export function WorkspaceSwitcher({ workspaces, workspaceId, onSwitch, onCreate }) {
+    const handleChange = (e) => {
+        if (e.target.value === NEW_WORKSPACE) onCreate();
+        else onSwitch(e.target.value);
+    };
+
+    return (
+        <label className="flex items-center bg-gray-800 hover:bg-gray-700 px-2 py-1 rounded-md" title="Workspace">
+            <Building2 size={14} className="mr-2" />
+            <select value={workspaceId} onChange={handleChange} className="bg-transparent text-cyan-300 focus:outline-none" aria-label="Workspace">
+                {workspaces.map(workspace => <option key={workspace.id} value={workspace.id}>{workspace.name}</option>)}
+                <option value={NEW_WORKSPACE}>New workspace...</option>
+            </select>
+        </label>
+    );
+}
+
+export function NewWorkspaceModal({ onClose, onCreate }) {
+    const [name, setName] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        setIsSaving(true);
+        await onCreate(name.trim());
+        setIsSaving(false);
+    };
+
+    return (
+        <Modal onClose={onClose} title="New Workspace">
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <p className="text-sm text-gray-400">A workspace has its own cameras, jobs and team. You will be its admin and can invite others.</p>
+                <div>
+                    <label htmlFor="workspaceName" className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+                    <input id="workspaceName" type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g., Portland Office" maxLength={100} autoFocus className={inputClassName} />
+                </div>
+                <div className="flex justify-end pt-2">
+                    <button type="submit" disabled={isSaving || !name.trim()} className="flex items-center bg-cyan-500 hover:bg-cyan-600 disabled:opacity-50 text-white font-bold py-2 px-6 rounded-md transition-colors">
+                        <Plus size={18} className="mr-2" />
+                        Create Workspace
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
+
+// --- Invitations ---
+
+// Shown instead of invitations until the signed-in user has confirmed their address, so nobody
+// can sign up with someone else's address and take up what was meant for them.
+export function VerifyEmailBanner({ email, onResend, onCheck }) {
+    const [isSent, setIsSent] = useState(false);
+
+    const handleResend = async () => {
+        if (await onResend()) setIsSent(true);
+    };
+
+    return (
+        <div className="mt-4 flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-yellow-500/10 border border-yellow-500/40 text-yellow-100 rounded-lg px-4 py-3">
+            <p className="flex items-center">
+                <Mail size={18} className="mr-3 flex-shrink-0" />
+                Verify your email: open the link sent to {email} to see the workspaces you are invited to.
+            </p>
+            <div className="flex items-center space-x-2">
+                <button onClick={onCheck} className="bg-yellow-500 hover:bg-yellow-600 text-gray-900 font-bold py-1 px-3 rounded-md transition-colors">
+                    I have verified it
+                </button>
+                <button onClick={handleResend} disabled={isSent} className="text-gray-300 hover:text-white disabled:opacity-50 py-1 px-3">
+                    {isSent ? 'Link sent' : 'Send again'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+// Invitations addressed to the signed-in user, shown above the inventory until answered.
+export function InvitationBanner({ invitations, onAccept, onDecline }) {
+    if (invitations.length === 0) return null;
+    return (
+        <div className="mt-4 space-y-2">
+            {invitations.map(invitation => (
+                <div key={invitation.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-cyan-500/10 border border-cyan-500/40 text-cyan-100 rounded-lg px-4 py-3">
+                    <p className="flex items-center">
+                        <Mail size={18} className="mr-3 flex-shrink-0" />
+                        You are invited to join {invitation.workspaceName} as {ROLES[invitation.role]?.label || invitation.role}.
+                    </p>
+                    <div className="flex items-center space-x-2">
+                        <button onClick={() => onAccept(invitation)} className="flex items-center bg-cyan-500 hover:bg-cyan-600 text-white font-bold py-1 px-3 rounded-md transition-colors">
+                            <Check size={16} className="mr-1" />
+                            Join
+                        </button>
+                        <button onClick={() => onDecline(invitation)} className="text-gray-300 hover:text-white py-1 px-3">
+                            Decline
+                        </button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+// Inviting people into the current workspace and withdrawing open invitations; admins only.
+export function WorkspaceInvitations({ appRepository, workspace, currentUser, users, onError }) {
+    const [invitations, setInvitations] = useState([]);
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState(DEFAULT_ROLE);
+    const [inviteError, setInviteError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        const unsubscribe = appRepository.subscribeInvitations(workspace.id, (invitationsData) => {
+            invitationsData.sort((a, b) => a.email.localeCompare(b.email));
+            setInvitations(invitationsData);
+        }, (err) => {
+            console.error("Invitations Subscription Error:", err);
+            onError("Failed to fetch invitations.");
+        });
+        return () => unsubscribe();
+    }, [appRepository, workspace.id, onError]);
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        const address = normalizeEmail(email);
+        if (!/^[^\s@]+@[^\s@]+$/.test(address)) {
+            setInviteError('Enter an email address.');
+            return;
+        }
+        if (Object.values(users).some(user => user.email === address)) {
+            setInviteError(`${address} is already a member.`);
+            return;
+        }
+        setIsSaving(true);
+        setInviteError(null);
+        try {
+            await appRepository.inviteMember(workspace, address, role, currentUser.uid);
+            setEmail('');
+        } catch (err) {
+            console.error("Error inviting member: ", err);
+            setInviteError(err.code === 'conflict' ? err.message : 'Could not send the invitation.');
+        }
+        setIsSaving(false);
+    };
+
+    const handleWithdraw = async (invitation) => {
+        try {
+            await appRepository.deleteInvitation(invitation);
+        } catch (err) {
+            console.error("Error withdrawing invitation: ", err);
+            onError("Could not withdraw the invitation.");
+        }
+    };
+
+    return (
+        <div className="mt-6">
+            <h4 className="text-sm font-semibold text-gray-300 mb-2">Invite to {workspace.name}</h4>
+            <form onSubmit={handleInvite} className="flex items-center space-x-2">
+                <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="colleague@example.com"
+                    aria-label="Email"
+                    className="flex-grow bg-gray-900 border border-gray-600 rounded-md px-3 py-2 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+                <select value={role} onChange={(e) => setRole(e.target.value)} aria-label="Role" className="bg-gray-800 border border-gray-600 rounded-md px-2 py-2 text-sm text-white">
+                    {Object.entries(ROLES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <button type="submit" disabled={isSaving} className="bg-cyan-500 hover:bg-cyan-600 disabled:opacity-50 text-white font-bold py-2 px-4 rounded-md transition-colors">
+                    Invite
+                </button>
+            </form>
+            {inviteError && <p className="text-xs text-red-300 mt-1">{inviteError}</p>}
+            <p className="text-xs text-gray-500 mt-1">They will see it once signed in with this address, after creating an account if they have none.</p>
+            {invitations.length > 0 && (
+                <ul className="space-y-2 mt-3">
+                    {invitations.map(invitation => (
+                        <li key={invitation.id} className="flex justify-between items-center bg-gray-900 rounded-md px-3 py-2 border border-gray-700 border-dashed">
+                            <div>
+                                <p className="text-gray-300">{invitation.email}</p>
+                                <p className="text-xs text-gray-500">Invited as {ROLES[invitation.role]?.label || invitation.role}</p>
+                            </div>
+                            <button onClick={() => handleWithdraw(invitation)} className="text-gray-400 hover:text-red-400" title="Withdraw invitation">
+                                <X size={18} />
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+// --- Camera Transfers ---
+
+// Only workspaces where the user is an admin too are offered, as the move needs that role in both.
+export function TransferCameraModal({ appRepository, camera, workspaces, workspaceId, userId, onClose, onTransfer, onError }) {
+    // Null until the user's roles in the other workspaces are known.
+    const [targets, setTargets] = useState(null);
+    const [targetId, setTargetId] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        let isCurrent = true;
+        const others = workspaces.filter(workspace => workspace.id !== workspaceId);
+        Promise.all(others.map(workspace => appRepository.getRole(workspace.id, userId))).then((roles) => {
+            if (!isCurrent) return;
+            const allowed = others.filter((workspace, i) => can(roles[i], 'transferCamera'));
+            setTargets(allowed);
+            setTargetId(allowed[0]?.id || '');
+        }, (err) => {
+            console.error("Error reading workspace roles: ", err);
+            if (isCurrent) onError("Could not check which workspaces you can transfer to.");
+        });
+        return () => { isCurrent = false; };
+    }, [appRepository, workspaces, workspaceId, userId, onError]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const target = targets?.find(workspace => workspace.id === targetId);
+        if (!target) return;
+        setIsSaving(true);
+        await onTransfer(target);
+        setIsSaving(false);
+    };
+
+    return (
+        <Modal onClose={onClose} title={`Transfer: ${camera.cameraNumber}`}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <p className="text-sm text-gray-400">
+                    The camera and its full history move to the other workspace. Links to this workspace's jobs are dropped.
+                    Only workspaces you are an admin of are listed.
+                </p>
+                {!targets ? (
+                    <p className="text-sm text-gray-400">Checking your workspaces...</p>
+                ) : targets.length === 0 ? (
+                    <p className="text-sm text-gray-400">You are not an admin of any other workspace.</p>
+                ) : (
+                    <div>
+                        <label htmlFor="transferTarget" className="block text-sm font-medium text-gray-300 mb-1">Transfer to</label>
+                        <select id="transferTarget" value={targetId} onChange={(e) => setTargetId(e.target.value)} className={inputClassName}>
+                            {targets.map(workspace => <option key={workspace.id} value={workspace.id}>{workspace.name}</option>)}
+                        </select>
+                    </div>
+                )}
+                <div className="flex justify-end pt-2">
+                    <button type="submit" disabled={isSaving || !targetId} className="flex items-center bg-cyan-500 hover:bg-cyan-600 disabled:opacity-50 text-white font-bold py-2 px-6 rounded-md transition-colors">
+                        <ArrowRightLeft size={18} className="mr-2" />
+                        Transfer Camera
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
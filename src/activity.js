@@ -0,0 +1,166 @@
+import { useEffect, useRef } from 'react';
+import { appId } from './config';
+import { statusLabel } from './cameraStatus';
+
+// --- Team Activity ---
+// Every history event is also written to its workspace's activity feed, so the team can see
+// recent check-outs, check-ins and status changes across all cameras without reading each
+// camera's history. Entries are denormalized (camera number, location, who had the camera) so
+// the feed reads on its own, and they outlive cameras that are later purged.
+
+// The feed shows the latest entries only; the local adapter keeps no more than this.
+export const ACTIVITY_LIMIT = 50;
+
+/**
+ * @typedef {Object} ActivityEntry
+ * @property {string} id
+ * @property {'check_out'|'check_in'|'moved'|'status_change'|'archived'|'restored'|'transferred'} type
+ * @property {string} cameraId
+ * @property {string} cameraNumber
+ * @property {string} userId  Who acted.
+ * @property {string} location  The deployment the event concerns, if any.
+ * @property {string} jobId
+ * @property {string} checkedOutBy  Who had the camera out, for events on deployed cameras.
+ * @property {string} status  The camera's status afterwards, for check-ins and status changes.
+ * @property {string} reason
+ * @property {string} [fromWorkspaceName]  Transfers only.
+ * @property {string} [toWorkspaceName]  Transfers only.
+ * @property {Date} timestamp
+ *
+ * What the signed-in user wants to hear about as it happens, on this device. Their own actions
+ * never count.
+ *
+ * @typedef {Object} NotificationPreferences
+ * @property {boolean} myCameras  A camera they checked out is checked in, moved or changed by someone else.
+ * @property {string[]} jobIds  Anything happening at these jobs.
+ * @property {boolean} everything  Anything the team does.
+ * @property {boolean} toasts  Show matching events as pop-ups in the app.
+ * @property {boolean} browser  Show them as browser notifications too.
+ */
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+    myCameras: true,
+    jobIds: [],
+    everything: false,
+    toasts: true,
+    browser: false
+};
+
+// `camera` is the camera as it was before the event.
+export function activityEntry(camera, event) {
+    const entry = {
+        type: event.type,
+        cameraId: camera.id,
+        cameraNumber: camera.cameraNumber,
+        userId: event.userId,
+        location: event.location ?? camera.location ?? '',
+        jobId: event.jobId ?? camera.jobId ?? '',
+        checkedOutBy: (event.type === 'check_out' ? event.userId : event.checkedOutBy ?? camera.checkedOutBy) || '',
+        status: event.type === 'check_in' ? event.status : event.type === 'status_change' ? event.to : '',
+        reason: event.reason || ''
+    };
+    if (event.type === 'transferred') {
+        entry.fromWorkspaceName = event.fromWorkspaceName;
+        entry.toWorkspaceName = event.toWorkspaceName;
+    }
+    return entry;
+}
+
+// What happened, without who did it, e.g. "checked in CAM-017 from Smith Residence".
+export function describeActivity(entry, jobs = []) {
+    const job = entry.jobId && jobs.find(j => j.id === entry.jobId);
+    const where = entry.location || job?.name || 'an unknown location';
+    switch (entry.type) {
+        case 'check_out':
+            return `checked out ${entry.cameraNumber} to ${where}`;
+        case 'check_in':
+            return `checked in ${entry.cameraNumber} from ${where}`
+                + (entry.status && entry.status !== 'available' ? ` as ${statusLabel(entry.status)}` : '');
+        case 'moved':
+            return `moved the pin of ${entry.cameraNumber} at ${where}`;
+        case 'status_change':
+            return `marked ${entry.cameraNumber} ${statusLabel(entry.status)}`;
+        case 'archived':
+            return `archived ${entry.cameraNumber}`;
+        case 'restored':
+            return `restored ${entry.cameraNumber}`;
+        case 'transferred':
+            return `transferred ${entry.cameraNumber} from ${entry.fromWorkspaceName} to ${entry.toWorkspaceName}`;
+        default:
+            return `updated ${entry.cameraNumber}`;
+    }
+}
+
+// Whether `entry` is something the user asked to be told about.
+export function matchesNotificationPreferences(entry, userId, preferences) {
+    if (!entry.userId || entry.userId === userId) return false;
+    if (preferences.everything) return true;
+    if (preferences.myCameras && entry.checkedOutBy === userId) return true;
+    return !!entry.jobId && preferences.jobIds.includes(entry.jobId);
+}
+
+export function unreadCount(entries, userId, seenAt) {
+    return entries.filter(entry => entry.userId !== userId && (!seenAt || entry.timestamp > seenAt)).length;
+}
+
+// Calls `onNotify(entries)` with the entries that arrive while the app is open and match the
+// user's preferences. The first snapshot of each feed (`entries` going from null to a list) is
+// what happened before, not news.
+export function useActivityNotifications(entries, userId, preferences, onNotify) {
+    const knownIdsRef = useRef(null);
+    const onNotifyRef = useRef(onNotify);
+    onNotifyRef.current = onNotify;
+
+    useEffect(() => {
+        if (!entries) {
+            knownIdsRef.current = null;
+            return;
+        }
+        const known = knownIdsRef.current;
+        knownIdsRef.current = new Set(entries.map(entry => entry.id));
+        if (!known) return;
+        const matching = entries.filter(entry => !known.has(entry.id) && matchesNotificationPreferences(entry, userId, preferences));
+        if (matching.length > 0) onNotifyRef.current(matching);
+    }, [entries, userId, preferences]);
+}
+
+// --- Per-User Settings ---
+// Kept on the device, like overdue alerts: notifications are about this browser.
+
+function settingsKey(userId) {
+    return `camera-tracker:${appId}:${userId}:activity`;
+}
+
+function readSettings(userId) {
+    try {
+        return JSON.parse(window.localStorage.getItem(settingsKey(userId))) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function writeSettings(userId, changes) {
+    try {
+        window.localStorage.setItem(settingsKey(userId), JSON.stringify({ ...readSettings(userId), ...changes }));
+    } catch (e) {
+        // Settings fall back to their defaults after a reload; nothing else depends on them.
+    }
+}
+
+export function readNotificationPreferences(userId) {
+    return { ...DEFAULT_NOTIFICATION_PREFERENCES, ...readSettings(userId).preferences };
+}
+
+export function writeNotificationPreferences(userId, preferences) {
+    writeSettings(userId, { preferences });
+}
+
+// When the user last looked at the workspace's feed, or null if never.
+export function readActivitySeenAt(userId, workspaceId) {
+    const seenAt = readSettings(userId).seenAt?.[workspaceId];
+    return seenAt ? new Date(seenAt) : null;
+}
+
+export function rememberActivitySeen(userId, workspaceId, at) {
+    writeSettings(userId, { seenAt: { ...readSettings(userId).seenAt, [workspaceId]: at.toISOString() } });
+}
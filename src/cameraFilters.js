@@ -0,0 +1,94 @@
+import { isOverdue } from './cameraModel';
+
+// --- Camera Grid Filters ---
+// Filter state lives in the URL query string (?q=&status=&by=&sort=) so filtered views can be
+// bookmarked and shared. Defaults are left out of the URL to keep links short.
+
+export const DEFAULT_FILTERS = {
+    q: '',
+    status: 'all',
+    by: '',
+    sort: 'number'
+};
+
+export const STATUS_FILTERS = {
+    all: 'All statuses',
+    available: 'Available',
+    in_use: 'In use',
+    overdue: 'Overdue',
+    maintenance: 'Needs maintenance',
+    repair: 'In repair',
+    lost: 'Lost',
+    retired: 'Retired'
+};
+
+export const SORT_OPTIONS = {
+    number: 'Camera number',
+    checkout: 'Checkout date (newest)',
+    deployed: 'Days deployed (longest)'
+};
+
+export function parseFilters(search) {
+    const params = new URLSearchParams(search);
+    const filters = { ...DEFAULT_FILTERS };
+    Object.keys(DEFAULT_FILTERS).forEach(key => {
+        if (params.has(key)) filters[key] = params.get(key);
+    });
+    if (!STATUS_FILTERS[filters.status]) filters.status = DEFAULT_FILTERS.status;
+    if (!SORT_OPTIONS[filters.sort]) filters.sort = DEFAULT_FILTERS.sort;
+    return filters;
+}
+
+// Returns the query string (including the leading '?', or '' when everything is default).
+export function serializeFilters(filters) {
+    const params = new URLSearchParams();
+    Object.entries(DEFAULT_FILTERS).forEach(([key, defaultValue]) => {
+        if (filters[key] && filters[key] !== defaultValue) params.set(key, filters[key]);
+    });
+    const search = params.toString();
+    return search ? `?${search}` : '';
+}
+
+export function isFiltered(filters) {
+    return filters.q.trim() !== '' || filters.status !== DEFAULT_FILTERS.status || filters.by !== DEFAULT_FILTERS.by;
+}
+
+export function filterCameras(cameras, filters, now = new Date()) {
+    const term = filters.q.trim().toLowerCase();
+    const filtered = cameras.filter(camera => {
+        if (term && !`${camera.cameraNumber} ${camera.location || ''}`.toLowerCase().includes(term)) return false;
+        if (filters.status === 'overdue') {
+            if (!isOverdue(camera, now)) return false;
+        } else if (filters.status !== 'all' && camera.status !== filters.status) {
+            return false;
+        }
+        if (filters.by && camera.checkedOutBy !== filters.by) return false;
+        return true;
+    });
+    return filtered.sort(comparator(filters.sort));
+}
+
+export function daysDeployed(camera, now = new Date()) {
+    if (camera.status !== 'in_use' || !camera.checkedOutTimestamp) return null;
+    return Math.floor((now - camera.checkedOutTimestamp) / (1000 * 60 * 60 * 24));
+}
+
+// --- Helpers ---
+
+function byNumber(a, b) {
+    return a.cameraNumber.localeCompare(b.cameraNumber, undefined, { numeric: true });
+}
+
+// Cameras without a checkout time always sort last, then by number.
+function comparator(sort) {
+    if (sort === 'number') return byNumber;
+    const direction = sort === 'checkout' ? -1 : 1;
+    return (a, b) => {
+        const aTime = a.status === 'in_use' ? a.checkedOutTimestamp : null;
+        const bTime = b.status === 'in_use' ? b.checkedOutTimestamp : null;
+        if (aTime && bTime && aTime - bTime !== 0) return direction * (aTime - bTime);
+        if (aTime && !bTime) return -1;
+        if (!aTime && bTime) return 1;
+        return byNumber(a, b);
+    };
+}
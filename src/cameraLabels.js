@@ -0,0 +1,184 @@
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
+
+// --- Camera Labels ---
+// Each camera gets a QR label carrying its id and number. Scanning one (or typing the number
+// printed under it) finds the camera again, even if it has been renumbered since printing.
+
+const LABEL_PREFIX = 'camtrack:';
+const LABELS_PER_ROW = 3;
+
+// Label text is `camtrack:<id>/<cameraNumber>`; the number is only there for people reading it.
+export function labelCode(camera) {
+    return `${LABEL_PREFIX}${camera.id}/${camera.cameraNumber}`;
+}
+
+/**
+ * Finds the camera a scanned or typed code refers to: our own labels by id, then anything else
+ * by camera number or serial number (so existing manufacturer barcodes work too).
+ *
+ * @returns {Object|null}
+ */
+export function findCameraByCode(cameras, code) {
+    const text = String(code ?? '').trim();
+    if (!text) return null;
+    if (text.toLowerCase().startsWith(LABEL_PREFIX)) {
+        const [id, cameraNumber] = text.slice(LABEL_PREFIX.length).split('/');
+        return cameras.find(c => c.id === id) || findCameraByCode(cameras, cameraNumber);
+    }
+    const key = text.toLowerCase();
+    return cameras.find(c => c.cameraNumber.trim().toLowerCase() === key)
+        || cameras.find(c => c.serialNumber && c.serialNumber.trim().toLowerCase() === key)
+        || null;
+}
+
+// Resolves to a PNG data URL of the camera's QR code.
+export function labelImage(camera) {
+    return QRCode.toDataURL(labelCode(camera), { errorCorrectionLevel: 'M', margin: 1, width: 256 });
+}
+
+// --- Printing ---
+
+/**
+ * Prints a sheet of labels from a hidden frame, so there is no pop-up for the browser to block.
+ *
+ * @param {Array<{camera: Object, image: string}>} labels  Cameras with their `labelImage`.
+ */
+export function printLabels(labels) {
+    const frame = document.createElement('iframe');
+    frame.style.position = 'fixed';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    document.body.appendChild(frame);
+
+    const doc = frame.contentDocument;
+    doc.open();
+    doc.write(labelSheetHtml(labels));
+    doc.close();
+
+    const print = () => {
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        // Printing blocks until the dialog closes in most browsers; the delay covers the rest.
+        setTimeout(() => document.body.removeChild(frame), 1000);
+    };
+    const images = [...doc.images];
+    Promise.all(images.map(img => img.complete ? null : new Promise(resolve => { img.onload = img.onerror = resolve; })))
+        .then(print);
+}
+
+function labelSheetHtml(labels) {
+    const cells = labels.map(({ camera, image }) => {
+        const detail = [camera.make, camera.model].filter(Boolean).join(' ');
+        return `<div class="label">
+            <img src="${image}" alt="">
+            <div class="number">${escapeHtml(camera.cameraNumber)}</div>
+            ${detail ? `<div class="detail">${escapeHtml(detail)}</div>` : ''}
+            ${camera.serialNumber ? `<div class="detail">S/N ${escapeHtml(camera.serialNumber)}</div>` : ''}
+        </div>`;
+    }).join('');
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Camera Labels</title><style>
+        @page { margin: 10mm; }
+        body { margin: 0; font-family: sans-serif; }
+        .sheet { display: grid; grid-template-columns: repeat(${LABELS_PER_ROW}, 1fr); gap: 6mm; }
+        .label { border: 1px dashed #999; padding: 4mm; text-align: center; break-inside: avoid; }
+        .label img { width: 40mm; height: 40mm; }
+        .number { font-size: 14pt; font-weight: bold; margin-top: 2mm; }
+        .detail { font-size: 8pt; color: #444; }
+    </style></head><body><div class="sheet">${cells}</div></body></html>`;
+}
+
+// --- Scanning ---
+
+/**
+ * Streams the device's rear camera into `video` and calls `onCode(text)` for every code it reads.
+ * Uses the browser's BarcodeDetector where there is one and falls back to decoding frames with
+ * jsQR. Rejects when there is no camera or the user refuses access.
+ *
+ * @returns {Promise<() => void>} Stops scanning and releases the camera.
+ */
+export async function startScanner(video, onCode) {
+    if (!navigator.mediaDevices?.getUserMedia) {
+        throw Object.assign(new Error('This browser cannot use the camera.'), { name: 'NotSupportedError' });
+    }
+    const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+    let isStopped = false;
+    let timer = null;
+
+    const stop = () => {
+        isStopped = true;
+        clearTimeout(timer);
+        stream.getTracks().forEach(track => track.stop());
+        video.srcObject = null;
+    };
+
+    try {
+        video.srcObject = stream;
+        await video.play();
+    } catch (e) {
+        stop();
+        throw e;
+    }
+
+    const decode = await frameDecoder();
+    const scan = async () => {
+        if (isStopped) return;
+        if (video.readyState >= video.HAVE_CURRENT_DATA) {
+            try {
+                const text = await decode(video);
+                if (text && !isStopped) onCode(text);
+            } catch (e) {
+                console.warn("Scan frame error:", e);
+            }
+        }
+        if (!isStopped) timer = setTimeout(scan, 200);
+    };
+    scan();
+
+    return stop;
+}
+
+// A function reading the code in the video's current frame, or null when there is none.
+async function frameDecoder() {
+    if ('BarcodeDetector' in window) {
+        const formats = await window.BarcodeDetector.getSupportedFormats();
+        if (formats.includes('qr_code')) {
+            const detector = new window.BarcodeDetector({ formats });
+            return async (video) => (await detector.detect(video))[0]?.rawValue || null;
+        }
+    }
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    return async (video) => {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        context.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+        return jsQR(data, width, height, { inversionAttempts: 'dontInvert' })?.data || null;
+    };
+}
+
+// Turns a getUserMedia failure into advice the user can act on.
+export function scannerErrorMessage(error) {
+    switch (error?.name) {
+        case 'NotAllowedError':
+        case 'SecurityError':
+            return 'Camera access was denied. Allow it in your browser settings, or type the camera number below.';
+        case 'NotFoundError':
+        case 'OverconstrainedError':
+            return 'No camera was found on this device. Type the camera number below.';
+        case 'NotReadableError':
+            return 'The camera is in use by another app. Close it and try again, or type the camera number below.';
+        case 'NotSupportedError':
+            return 'This browser cannot scan codes. Type the camera number below.';
+        default:
+            return 'Could not start the camera. Type the camera number below.';
+    }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
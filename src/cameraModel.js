@@ -0,0 +1,311 @@
+// --- Camera Document Shapes ---
+// Shared by every repository adapter so documents look the same in each backend.
+
+// Descriptive fields an admin or technician can edit at any time.
+export const CAMERA_DETAIL_FIELDS = {
+    make: { label: 'Make', type: 'text', placeholder: 'e.g., Bushnell' },
+    model: { label: 'Model', type: 'text', placeholder: 'e.g., Core DS-4K' },
+    serialNumber: { label: 'Serial Number', type: 'text', placeholder: '' },
+    purchaseDate: { label: 'Purchase Date', type: 'date', placeholder: '' },
+    batteryLevel: { label: 'Battery (%)', type: 'number', placeholder: '0-100', min: 0, max: 100 },
+    sdCardId: { label: 'SD Card ID', type: 'text', placeholder: 'e.g., SD-042' },
+    sdCardCapacity: { label: 'SD Capacity (GB)', type: 'number', placeholder: 'e.g., 32', min: 0 },
+    notes: { label: 'Notes', type: 'textarea', placeholder: 'Mounting kit, quirks, repairs...' }
+};
+
+// Trims text, turns numbers into numbers (or null when blank) and drops unknown keys.
+export function normalizeCameraDetails(details = {}) {
+    return Object.fromEntries(Object.entries(CAMERA_DETAIL_FIELDS).map(([key, { type }]) => {
+        const value = details[key];
+        if (type === 'number') {
+            return [key, value === '' || value === null || value === undefined ? null : Number(value)];
+        }
+        return [key, value === null || value === undefined ? '' : String(value).trim()];
+    }));
+}
+
+// Returns a map of field key to error message; empty when the details are valid.
+export function validateCameraDetails(details) {
+    const errors = {};
+    Object.entries(CAMERA_DETAIL_FIELDS).forEach(([key, { label, type, min, max }]) => {
+        const value = details[key];
+        if (value === null || value === undefined || value === '') return;
+        if (type === 'number') {
+            const number = Number(value);
+            if (isNaN(number)) errors[key] = `${label} must be a number.`;
+            else if (max !== undefined && (number < min || number > max)) errors[key] = `${label} must be between ${min} and ${max}.`;
+            else if (number < min) errors[key] = `${label} must be at least ${min}.`;
+        } else if (type === 'date' && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value)))) {
+            errors[key] = `${label} must be a date (YYYY-MM-DD).`;
+        }
+    });
+    return errors;
+}
+
+// Both coordinates or neither; returns a map of 'lat'/'lng' to error message.
+export function validateGeolocation(lat, lng) {
+    const errors = {};
+    const hasLat = String(lat ?? '').trim() !== '';
+    const hasLng = String(lng ?? '').trim() !== '';
+    if (!hasLat && !hasLng) return errors;
+    if (!hasLat) errors.lat = 'Enter a latitude too, or clear the longitude.';
+    else if (!isCoordinate(lat, 90)) errors.lat = 'Latitude must be a number between -90 and 90.';
+    if (!hasLng) errors.lng = 'Enter a longitude too, or clear the latitude.';
+    else if (!isCoordinate(lng, 180)) errors.lng = 'Longitude must be a number between -180 and 180.';
+    return errors;
+}
+
+function isCoordinate(value, limit) {
+    const number = Number(String(value).trim());
+    return !isNaN(number) && number >= -limit && number <= limit;
+}
+
+export function newCameraDoc(cameraNumber, details = {}) {
+    return {
+        cameraNumber: cameraNumber,
+        ...normalizeCameraDetails(details),
+        status: 'available',
+        statusReason: '',
+        statusChangedAt: null,
+        statusChangedBy: '',
+        location: '',
+        geolocation: { lat: '', lng: '' },
+        checkedOutTimestamp: null,
+        checkedOutBy: '',
+        expectedReturnDate: null,
+        jobId: '',
+        // Every job the camera has been deployed to, so a job's history can be found cheaply.
+        deployedJobIds: [],
+        // Photos taken at check-out of the current deployment (see photos.js).
+        photos: [],
+        lastLocation: '',
+        lastGeolocation: { lat: '', lng: '' },
+        archived: false
+    };
+}
+
+// The subset of an edit that may be written: the camera number and the detail fields.
+export function editableFields(changes) {
+    const fields = {};
+    if (changes.cameraNumber !== undefined) fields.cameraNumber = changes.cameraNumber.trim();
+    const details = normalizeCameraDetails(changes);
+    Object.keys(CAMERA_DETAIL_FIELDS).forEach(key => {
+        if (changes[key] !== undefined) fields[key] = details[key];
+    });
+    return fields;
+}
+
+export function checkedOutFields(locationData, userId) {
+    return {
+        status: 'in_use',
+        statusReason: '',
+        location: locationData.location,
+        geolocation: deploymentGeolocation(locationData),
+        jobId: locationData.jobId || '',
+        checkedOutBy: userId,
+        expectedReturnDate: locationData.expectedReturnDate || null,
+        photos: locationData.photos || [],
+        ...deploymentState(locationData)
+    };
+}
+
+export function checkOutEvent(locationData, userId) {
+    return {
+        type: 'check_out',
+        location: locationData.location,
+        geolocation: deploymentGeolocation(locationData),
+        jobId: locationData.jobId || '',
+        expectedReturnDate: locationData.expectedReturnDate || null,
+        photos: locationData.photos || [],
+        ...deploymentState(locationData),
+        userId
+    };
+}
+
+// `accuracy` is the GPS fix's radius in metres, or null when the position was typed or picked.
+function deploymentGeolocation(locationData) {
+    return {
+        lat: locationData.lat,
+        lng: locationData.lng,
+        accuracy: locationData.accuracy ?? null
+    };
+}
+
+// Battery and SD card readings taken at deployment also become the camera's latest values.
+// Readings left blank keep the camera's current values.
+function deploymentState(locationData) {
+    const state = {};
+    if (locationData.batteryLevel !== undefined && locationData.batteryLevel !== '' && locationData.batteryLevel !== null) {
+        state.batteryLevel = Number(locationData.batteryLevel);
+    }
+    if (locationData.sdCardId) state.sdCardId = locationData.sdCardId.trim();
+    return state;
+}
+
+// `returnData.status` is one of CHECK_IN_OUTCOMES (see cameraStatus.js); a camera returned
+// damaged goes straight to maintenance with the reason attached. Where the camera was deployed
+// is kept as its last known location so it can still be shown on the map.
+export function checkedInFields(camera, returnData = {}, userId = '') {
+    return {
+        status: returnData.status || 'available',
+        statusReason: (returnData.reason || '').trim(),
+        statusChangedBy: userId,
+        lastLocation: camera.location || '',
+        lastGeolocation: camera.geolocation || { lat: '', lng: '' },
+        jobId: '',
+        location: '',
+        geolocation: { lat: '', lng: '' },
+        checkedOutTimestamp: null,
+        checkedOutBy: '',
+        expectedReturnDate: null,
+        photos: []
+    };
+}
+
+// Keeps where the camera was so the deployment survives the check-in reset.
+export function checkInEvent(camera, userId, returnData = {}) {
+    return {
+        type: 'check_in',
+        status: returnData.status || 'available',
+        reason: (returnData.reason || '').trim(),
+        location: camera.location || '',
+        jobId: camera.jobId || '',
+        geolocation: camera.geolocation || { lat: '', lng: '' },
+        checkedOutTimestamp: camera.checkedOutTimestamp || null,
+        checkedOutBy: camera.checkedOutBy || '',
+        expectedReturnDate: camera.expectedReturnDate || null,
+        photos: returnData.photos || [],
+        userId: userId || ''
+    };
+}
+
+// Corrects where a deployed camera actually is, e.g. after it was placed away from the tech.
+export function movedFields(geolocation) {
+    return {
+        geolocation: {
+            lat: geolocation.lat,
+            lng: geolocation.lng,
+            accuracy: geolocation.accuracy ?? null
+        }
+    };
+}
+
+export function movedEvent(camera, geolocation, userId) {
+    return {
+        type: 'moved',
+        from: camera.geolocation || { lat: '', lng: '' },
+        ...movedFields(geolocation),
+        userId
+    };
+}
+
+// Status changes outside check-out/check-in, e.g. sending a camera for repair.
+export function statusChangedFields(status, reason, userId) {
+    return {
+        status,
+        statusReason: (reason || '').trim(),
+        statusChangedBy: userId
+    };
+}
+
+export function statusChangeEvent(camera, status, reason, userId) {
+    return {
+        type: 'status_change',
+        from: camera.status,
+        to: status,
+        reason: (reason || '').trim(),
+        userId
+    };
+}
+
+// Archiving removes a camera from the inventory without losing its history.
+export function archivedFields(userId, at) {
+    return {
+        archived: true,
+        archivedAt: at,
+        archivedBy: userId
+    };
+}
+
+export function restoredFields() {
+    return {
+        archived: false,
+        archivedAt: null,
+        archivedBy: ''
+    };
+}
+
+// --- Return Deadlines ---
+
+export function isOverdue(camera, now = new Date()) {
+    return camera.status === 'in_use' && !!camera.expectedReturnDate && camera.expectedReturnDate < now;
+}
+
+// Whole days past the expected return date, or 0 when not overdue.
+export function daysOverdue(camera, now = new Date()) {
+    if (!isOverdue(camera, now)) return 0;
+    return Math.floor((now - camera.expectedReturnDate) / (1000 * 60 * 60 * 24));
+}
+
+// --- Deployment History ---
+
+// Pairs check-out and check-in events into deployments, newest first.
+export function buildDeployments(events) {
+    const deployments = [];
+    let open = null;
+    events.forEach(event => {
+        if (event.type === 'check_out') {
+            open = {
+                id: event.id,
+                location: event.location,
+                jobId: event.jobId || '',
+                geolocation: event.geolocation,
+                expectedReturnDate: event.expectedReturnDate || null,
+                batteryLevel: event.batteryLevel ?? null,
+                sdCardId: event.sdCardId || '',
+                checkedOutAt: event.timestamp || null,
+                checkedOutBy: event.userId || '',
+                photos: event.photos || [],
+                checkedInAt: null,
+                checkedInBy: '',
+                returnStatus: '',
+                returnReason: '',
+                returnPhotos: []
+            };
+            deployments.push(open);
+        } else if (event.type === 'moved' && open) {
+            // Deployments report where the camera ended up, not where it was first dropped.
+            open.geolocation = event.geolocation;
+        } else if (event.type === 'check_in') {
+            // A check-in without a matching check-out (e.g. a camera deployed before history
+            // was recorded) is rebuilt from the camera state copied onto the event.
+            const deployment = open || {
+                id: event.id,
+                location: event.location,
+                jobId: event.jobId || '',
+                geolocation: event.geolocation,
+                expectedReturnDate: event.expectedReturnDate || null,
+                checkedOutAt: event.checkedOutTimestamp || null,
+                checkedOutBy: event.checkedOutBy || '',
+                photos: []
+            };
+            deployment.checkedInAt = event.timestamp || null;
+            deployment.checkedInBy = event.userId || '';
+            deployment.returnStatus = event.status || 'available';
+            deployment.returnReason = event.reason || '';
+            deployment.returnPhotos = event.photos || [];
+            if (!open) deployments.push(deployment);
+            open = null;
+        }
+    });
+    return deployments.reverse();
+}
+
+export function formatDuration(ms) {
+    if (!ms || ms < 0) return '—';
+    const totalHours = Math.floor(ms / (1000 * 60 * 60));
+    const days = Math.floor(totalHours / 24);
+    const hours = totalHours % 24;
+    if (days === 0) return `${hours}h`;
+    return `${days} day${days === 1 ? '' : 's'} ${hours}h`;
+}
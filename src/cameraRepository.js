@@ -0,0 +1,149 @@
+import { appId, storeMode } from './config';
+import { createFirestoreRepository } from './firestoreRepository';
+import { createLocalRepository } from './localRepository';
+import { createSyncQueue } from './syncQueue';
+import { DEFAULT_WORKSPACE_ID } from './workspaceModel';
+
+/**
+ * Repository interface shared by every data-store adapter: accounts and workspaces, with a
+ * CameraRepository for the inventory of each workspace (see workspaceModel.js).
+ *
+ * Timestamps are always plain `Date` objects (or null), regardless of the backend.
+ *
+ * @typedef {Object} AppRepository
+ * @property {'firestore'|'local'} mode
+ * @property {() => void} [dispose]
+ *     Stops listening for outside changes (the local adapter watches other tabs); for an
+ *     adapter that is no longer used.
+ * @property {(onUser: (user: {uid: string, email: string, emailVerified: boolean}|null) => void, onError: (e: Error) => void) => () => void} onAuthChange
+ *     Reports the signed-in user, or null when signed out. Creates the user's profile in the
+ *     default workspace on first sign-in.
+ * @property {(email: string, password: string) => Promise<void>} signIn
+ * @property {(email: string, password: string, displayName: string) => Promise<void>} signUp
+ *     Also sends a link to confirm the address; invitations are only open to confirmed ones.
+ * @property {() => Promise<void>} sendVerificationEmail
+ *     Sends the signed-in user another link to confirm their address.
+ * @property {() => Promise<boolean>} checkEmailVerified
+ *     Whether the signed-in user has confirmed their address by now.
+ * @property {() => Promise<void>} signOut
+ * @property {(workspaceId: string) => CameraRepository} workspace
+ * @property {(userId: string, onChange: (workspaces: Workspace[]) => void, onError: (e: Error) => void) => () => void} subscribeWorkspaces
+ *     Streams the workspaces the user is a member of, the default one included.
+ * @property {(workspaceId: string, userId: string) => Promise<string|null>} getRole
+ *     Reads the user's role in a workspace, or null if they are not a member.
+ * @property {(name: string, userId: string) => Promise<string>} createWorkspace
+ *     Resolves to the new workspace's id. Its creator becomes its admin.
+ * @property {(workspaceId: string, onChange: (invitations: Invitation[]) => void, onError: (e: Error) => void) => () => void} subscribeInvitations
+ *     Streams the workspace's open invitations; admins only.
+ * @property {(email: string, onChange: (invitations: Invitation[]) => void, onError: (e: Error) => void) => () => void} subscribeMyInvitations
+ *     Streams the invitations addressed to the signed-in user.
+ * @property {(workspace: Workspace, email: string, role: string, userId: string) => Promise<void>} inviteMember
+ *     Rejects with `code` 'conflict' if the address already has an open invitation.
+ * @property {(invitation: Invitation) => Promise<void>} deleteInvitation
+ *     Withdraws (admins) or declines (the invitee) an invitation.
+ * @property {(invitation: Invitation, userId: string) => Promise<void>} acceptInvitation
+ *     Joins the workspace with the invited role and uses up the invitation.
+ * @property {(camera: Object, from: Workspace, to: Workspace, userId: string) => Promise<void>} transferCamera
+ *     Moves a camera that is neither deployed nor archived, with its history, to another
+ *     workspace, and records the move in its history. Needs the admin role in both. Photos stay
+ *     where they were uploaded.
+ *
+ * Camera repository: one workspace's inventory, jobs and members.
+ *
+ * @typedef {Object} CameraRepository
+ * @property {'firestore'|'local'} mode
+ * @property {string} workspaceId
+ * @property {(onChange: (users: Object[]) => void, onError: (e: Error) => void) => () => void} subscribeUsers
+ *     Streams the workspace's members ({id, displayName, email, role}).
+ * @property {(uid: string, changes: {displayName?: string, role?: string}) => Promise<void>} updateUser
+ * @property {(onChange: (jobs: Object[]) => void, onError: (e: Error) => void) => () => void} subscribeJobs
+ *     Streams every job ({id, name, address, geolocation, contact fields, notes}; see jobModel.js).
+ * @property {(job: Object, userId: string) => Promise<string>} addJob
+ *     Resolves to the new job's id.
+ * @property {(jobId: string, job: Object) => Promise<void>} updateJob
+ *     Replaces the job's editable fields.
+ * @property {(onChange: (cameras: Object[]) => void, onError: (e: Error) => void) => () => void} subscribeCameras
+ * @property {(cameraId: string, onChange: (events: Object[]) => void, onError: (e: Error) => void) => () => void} subscribeHistory
+ *     Streams the camera's history events, oldest first.
+ * @property {(onChange: (entries: ActivityEntry[]) => void, onError: (e: Error) => void) => () => void} subscribeActivity
+ *     Streams the workspace's latest activity entries (see activity.js), newest first. Every
+ *     history event adds one.
+ * @property {(cameraId: string) => Promise<Object|null>} getCamera
+ *     Reads the camera's current state from the backend, or null if it does not exist.
+ * @property {(cameraId: string) => Promise<Object[]>} getHistory
+ *     Reads the camera's history events once, oldest first.
+ * @property {(cameraNumber: string, details?: Object) => Promise<void>} addCamera
+ *     `details` holds the optional CAMERA_DETAIL_FIELDS (see cameraModel.js).
+ * @property {(camera: Object, changes: Object) => Promise<void>} updateCamera
+ *     Edits the camera number and/or detail fields.
+ * @property {(cameras: {cameraNumber: string}[], onProgress?: (done: number, total: number) => void) => Promise<void>} importCameras
+ *     Adds many cameras in batches, reporting progress after each batch.
+ * @property {(camera: Object, locationData: {location: string, lat: string, lng: string, accuracy?: number, jobId?: string, photos?: Photo[]}, userId: string, options?: WriteOptions) => Promise<void>} checkOut
+ *     Atomically re-reads the camera before writing; rejects with `code` 'conflict' (naming who
+ *     has it) if it is already checked out.
+ * @property {(camera: Object, userId: string, returnData?: ReturnData, options?: WriteOptions) => Promise<void>} checkIn
+ *     `camera` is the deployment being returned; rejects with `code` 'conflict' if it was checked
+ *     in or redeployed since.
+ * @property {(camera: Object, geolocation: {lat: string, lng: string}, userId: string, options?: WriteOptions) => Promise<void>} moveCamera
+ *     Corrects a deployed camera's coordinates and records the move in its history.
+ * @property {(camera: Object, status: string, reason: string, userId: string, options?: WriteOptions) => Promise<void>} changeStatus
+ *     Moves the camera between statuses outside check-out/check-in (see cameraStatus.js).
+ *     Check-out, check-in and status changes reject transitions the lifecycle does not allow
+ *     with an error whose `code` is 'invalid-transition'.
+ * @property {(camera: Object, userId: string) => Promise<void>} archiveCamera
+ *     Hides the camera from the inventory, keeping it and its history. Rejects cameras in use.
+ * @property {(camera: Object, userId: string) => Promise<void>} restoreCamera
+ * @property {(camera: Object) => Promise<void>} purgeCamera
+ *     Permanently removes the camera together with its history and photos.
+ * @property {(cameraId: string, photos: PreparedPhoto[]) => Promise<Photo[]>} savePhotos
+ *     Stores downscaled photos (see photos.js) ahead of the check-out or check-in they belong to.
+ * @property {(path: string) => Promise<string>} getPhotoUrl
+ *     Resolves a stored photo's `path` or `thumbPath` to a URL an <img> can show.
+ * @property {(cameraId: string, photos: Photo[]) => Promise<void>} deletePhotos
+ *     Removes saved photos whose check-out or check-in did not go through.
+ *
+ * @typedef {Object} ReturnData
+ * @property {'available'|'maintenance'|'lost'} [status]  Defaults to 'available'.
+ * @property {string} [reason]  E.g. what is damaged.
+ * @property {Photo[]} [photos]  Taken on return, from `savePhotos`.
+ *
+ * @typedef {Object} WriteOptions
+ * @property {Date} [at]  When the action happened; defaults to now (the server time, where there is one).
+ */
+
+// Each workspace's CameraRepository also exposes the sync queue API (see syncQueue.js). Queues
+// are kept per workspace, so actions queued in one still sync while another is open, until the
+// user signs out or `dispose()` is called on the AppRepository that is no longer used, which
+// disposes the adapter too.
+// `repository` is the adapter to wrap; by default the one `storeMode` selects.
+export function createCameraRepository(repository = storeMode === 'firestore' ? createFirestoreRepository() : createLocalRepository()) {
+    const workspaces = new Map();
+
+    // Later calls to workspace() start new queues, which pick up what is left in storage.
+    function disposeQueues() {
+        workspaces.forEach(queue => queue.dispose());
+        workspaces.clear();
+    }
+
+    return {
+        ...repository,
+        dispose() {
+            disposeQueues();
+            repository.dispose?.();
+        },
+        async signOut() {
+            await repository.signOut();
+            disposeQueues();
+        },
+        workspace(workspaceId) {
+            if (!workspaces.has(workspaceId)) {
+                // The default workspace keeps the queue it had before workspaces existed.
+                const storageKey = workspaceId === DEFAULT_WORKSPACE_ID
+                    ? `camera-tracker:${appId}:sync-queue`
+                    : `camera-tracker:${appId}:${workspaceId}:sync-queue`;
+                workspaces.set(workspaceId, createSyncQueue(repository.workspace(workspaceId), { storageKey }));
+            }
+            return workspaces.get(workspaceId);
+        }
+    };
+}
@@ -0,0 +1,88 @@
+// --- Camera Status Lifecycle ---
+
+// `color` is used for map markers and matches the badge colour.
+export const CAMERA_STATUSES = {
+    available: { label: 'Available', className: 'bg-green-500/20 text-green-400', borderClassName: 'border-green-500/50', color: '#16a34a' },
+    in_use: { label: 'In Use', className: 'bg-yellow-500/20 text-yellow-400', borderClassName: 'border-yellow-500/50', color: '#ca8a04' },
+    maintenance: { label: 'Needs Maintenance', className: 'bg-orange-500/20 text-orange-400', borderClassName: 'border-orange-500/50', color: '#ea580c' },
+    repair: { label: 'In Repair', className: 'bg-purple-500/20 text-purple-300', borderClassName: 'border-purple-500/50', color: '#9333ea' },
+    lost: { label: 'Lost', className: 'bg-rose-500/20 text-rose-400', borderClassName: 'border-rose-500/50', color: '#e11d48' },
+    retired: { label: 'Retired', className: 'bg-gray-600/40 text-gray-400', borderClassName: 'border-gray-600', color: '#6b7280' }
+};
+
+// Overdue deployments stand out from every status colour.
+export const OVERDUE_COLOR = '#dc2626';
+
+// Statuses each status may move to. Check-out and check-in are the only ways into and out of
+// 'in_use', so a camera that is in repair or lost can never be deployed directly.
+const STATUS_TRANSITIONS = {
+    available: ['in_use', 'maintenance', 'repair', 'lost', 'retired'],
+    in_use: ['available', 'maintenance', 'lost'],
+    maintenance: ['available', 'repair', 'lost', 'retired'],
+    repair: ['available', 'maintenance', 'lost', 'retired'],
+    lost: ['available', 'maintenance', 'retired'],
+    // A retired camera is inspected before it can go back into service.
+    retired: ['maintenance']
+};
+
+// Where a camera can end up when it is checked in.
+export const CHECK_IN_OUTCOMES = {
+    available: 'Returned OK',
+    maintenance: 'Returned damaged',
+    lost: 'Not recovered (lost)'
+};
+
+export function statusLabel(status) {
+    return CAMERA_STATUSES[status]?.label || status;
+}
+
+export function canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// Statuses offered by the "Change Status" action; deployed cameras change status by checking in.
+export function manualTransitions(from) {
+    if (from === 'in_use') return [];
+    return (STATUS_TRANSITIONS[from] || []).filter(status => status !== 'in_use');
+}
+
+// Taking a camera out of service needs a reason so the next person knows what is wrong with it.
+export function reasonRequired(to) {
+    return to !== 'available' && to !== 'in_use';
+}
+
+export function assertTransition(camera, to) {
+    if (canTransition(camera.status, to)) return;
+    throw Object.assign(
+        new Error(`${camera.cameraNumber} is ${statusLabel(camera.status)} and cannot be changed to ${statusLabel(to)}.`),
+        { code: 'invalid-transition' }
+    );
+}
+
+// --- Concurrent Changes ---
+// Check-out and check-in re-read the stored camera in the same transaction as their write, since
+// the copy a dialog was opened with may be stale by the time it is submitted. `nameOf(uid)`
+// (which may be async) names the colleague who got there first.
+
+export async function assertCanCheckOut(current, nameOf) {
+    if (current.status === 'in_use') {
+        throw conflictError(`${current.cameraNumber} is already checked out by ${await nameOf(current.checkedOutBy)} to "${current.location}".`);
+    }
+    assertTransition(current, 'in_use');
+}
+
+// `seen` is the deployment the user is returning; a camera redeployed since then is not theirs to check in.
+export async function assertCanCheckIn(seen, current, status, nameOf) {
+    if (current.status !== 'in_use') {
+        const outcome = current.status === 'available' ? '' : ` as ${statusLabel(current.status)}`;
+        throw conflictError(`${current.cameraNumber} was already checked in${outcome} by ${await nameOf(current.statusChangedBy)}.`);
+    }
+    if (current.checkedOutBy !== (seen.checkedOutBy || '') || current.location !== (seen.location || '')) {
+        throw conflictError(`${current.cameraNumber} is now checked out by ${await nameOf(current.checkedOutBy)} to "${current.location}".`);
+    }
+    assertTransition(current, status);
+}
+
+function conflictError(message) {
+    return Object.assign(new Error(message), { code: 'conflict' });
+}
@@ -0,0 +1,34 @@
+// --- Build-time Configuration ---
+// The hosting environment may inject these globals; everything falls back to a
+// local, Firebase-free setup when they are missing.
+
+export const firebaseConfig = typeof __firebase_config !== 'undefined'
+    ? JSON.parse(__firebase_config)
+    : null;
+
+export const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-camera-tracker';
+
+export const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+// 'firestore' or 'local'. Defaults to Firestore only when a real config was provided.
+export const storeMode = typeof __camera_store !== 'undefined'
+    ? __camera_store
+    : (firebaseConfig ? 'firestore' : 'local');
+
+// Map tile sources, tried in order until one serves tiles. `__map_tiles` is either a URL
+// template or JSON for one source or an array of sources ({url, attribution?, minZoom?, maxZoom?}).
+// List a local tile server or a pre-downloaded tile directory (e.g. public/tiles/{z}/{x}/{y}.png
+// for the service area) before the online default so the map works in the field. MBTiles
+// files need a small tile server in front of them, such as mbtileserver or tileserver-gl.
+const DEFAULT_TILE_SOURCE = {
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 19
+};
+
+const mapTiles = typeof __map_tiles !== 'undefined' ? __map_tiles : null;
+
+export const tileSources = mapTiles
+    ? [].concat(/^\s*[[{"]/.test(mapTiles) ? JSON.parse(mapTiles) : mapTiles)
+        .map(source => typeof source === 'string' ? { url: source } : source)
+    : [DEFAULT_TILE_SOURCE];
@@ -0,0 +1,61 @@
+// --- CSV ---
+// Minimal RFC 4180 reader/writer: comma-separated, double-quoted fields, "" escapes a quote,
+// quoted fields may contain commas and line breaks.
+
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+export function isBlankRow(row) {
+    return row.every(field => field.trim() === '');
+}
+
+export function toCsv(rows) {
+    return rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- Helpers ---
+
+function formatField(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Spreadsheets would evaluate these as formulas; negative numbers are left alone.
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
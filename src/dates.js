@@ -0,0 +1,20 @@
+// --- Date Input Helpers ---
+// <input type="date"> values are local calendar days ("YYYY-MM-DD"), not UTC instants.
+
+export function toDateInputValue(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function startOfDay(dateInputValue) {
+    if (!dateInputValue) return null;
+    const [year, month, day] = dateInputValue.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// A camera due back on a given day is not overdue until that day is over.
+export function endOfDay(dateInputValue) {
+    if (!dateInputValue) return null;
+    const [year, month, day] = dateInputValue.split('-').map(Number);
+    return new Date(year, month - 1, day, 23, 59, 59, 999);
+}
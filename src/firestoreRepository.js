@@ -0,0 +1,520 @@
+import { initializeApp } from 'firebase/app';
+import {
+    getAuth,
+    onAuthStateChanged,
+    signInWithCustomToken,
+    signInWithEmailAndPassword,
+    createUserWithEmailAndPassword,
+    sendEmailVerification,
+    signOut as firebaseSignOut
+} from 'firebase/auth';
+import {
+    initializeFirestore,
+    persistentLocalCache,
+    persistentMultipleTabManager,
+    collection,
+    doc,
+    addDoc,
+    getDoc,
+    getDocs,
+    deleteDoc,
+    onSnapshot,
+    query,
+    where,
+    orderBy,
+    limit,
+    runTransaction,
+    updateDoc,
+    writeBatch,
+    serverTimestamp,
+    arrayUnion
+} from 'firebase/firestore';
+import { getStorage, ref as storageRef, uploadBytes, getDownloadURL, deleteObject, listAll } from 'firebase/storage';
+import { firebaseConfig, appId, initialAuthToken } from './config';
+import { DEFAULT_ROLE, FIRST_USER_ROLE } from './roles';
+import {
+    newCameraDoc,
+    editableFields,
+    checkedOutFields,
+    checkOutEvent,
+    checkedInFields,
+    checkInEvent,
+    statusChangedFields,
+    statusChangeEvent,
+    movedFields,
+    movedEvent,
+    archivedFields,
+    restoredFields
+} from './cameraModel';
+import { assertTransition, assertCanCheckOut, assertCanCheckIn } from './cameraStatus';
+import { newJobDoc, normalizeJob } from './jobModel';
+import { ACTIVITY_LIMIT, activityEntry } from './activity';
+import { photoFolder, storedPhoto } from './photos';
+import {
+    DEFAULT_WORKSPACE_ID,
+    DEFAULT_WORKSPACE,
+    workspacePath,
+    normalizeEmail,
+    invitationId,
+    newWorkspaceDoc,
+    newInvitationDoc,
+    newMemberDoc,
+    assertCanTransfer,
+    transferredFields,
+    departureDoc,
+    transferEvent
+} from './workspaceModel';
+
+// Firestore allows 500 writes per batch; stay comfortably below it.
+const BATCH_SIZE = 400;
+// A transfer writes every history event twice (copy and delete) in one transaction, which
+// Firestore caps at 500 writes.
+const TRANSFER_MAX_EVENTS = 240;
+// Storage retries uploads for ten minutes by default; give up sooner so a tech without
+// signal hears about it while still on site.
+const PHOTO_UPLOAD_RETRY_MS = 30000;
+
+// --- Firestore Adapter ---
+// Implements the AppRepository interface (see cameraRepository.js) on Cloud Firestore.
+
+export function createFirestoreRepository() {
+    const app = initializeApp(firebaseConfig);
+    // Persist the cache in IndexedDB so the inventory is readable with no signal.
+    const db = initializeFirestore(app, {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+    });
+    const auth = getAuth(app);
+    const storage = getStorage(app);
+    storage.maxUploadRetryTime = PHOTO_UPLOAD_RETRY_MS;
+    // Download URLs don't change, so each is fetched once per session.
+    const photoUrls = new Map();
+
+    const memberRef = (workspaceId, uid) => doc(db, `${workspacePath(workspaceId)}/users`, uid);
+    const workspaceCameraRef = (workspaceId, cameraId) => doc(db, `${workspacePath(workspaceId)}/cameras`, cameraId);
+    const workspaceHistoryRef = (workspaceId, cameraId) => collection(workspaceCameraRef(workspaceId, cameraId), 'history');
+    const workspaceActivityRef = (workspaceId) => collection(db, `${workspacePath(workspaceId)}/activity`);
+    // Claimed by the first member; the security rules only let that write grant the admin role.
+    const bootstrapRef = (workspaceId) => doc(db, `${workspacePath(workspaceId)}/settings`, 'bootstrap');
+    const invitationsCollectionPath = `artifacts/${appId}/invitations`;
+    // Which workspaces each user belongs to, besides the default one everybody is in.
+    const accountRef = (uid) => doc(db, `artifacts/${appId}/accounts`, uid);
+
+    // Creates the user's default-workspace profile on first sign-in; later calls only fill in a
+    // missing name. Whoever finds no bootstrap marker is the first user and becomes admin; until
+    // they have a profile, the rules only let them read their own profile and the marker.
+    async function ensureProfile(user, name) {
+        const profileRef = memberRef(DEFAULT_WORKSPACE_ID, user.uid);
+        await runTransaction(db, async (transaction) => {
+            const profile = await transaction.get(profileRef);
+            if (profile.exists()) {
+                if (name && !profile.data().displayName) transaction.update(profileRef, { displayName: name });
+                return;
+            }
+            const bootstrap = await transaction.get(bootstrapRef(DEFAULT_WORKSPACE_ID));
+            const isFirstUser = !bootstrap.exists();
+            transaction.set(profileRef, {
+                displayName: name || user.displayName || user.email?.split('@')[0] || 'Unnamed user',
+                email: user.email || '',
+                role: isFirstUser ? FIRST_USER_ROLE : DEFAULT_ROLE,
+                createdAt: serverTimestamp()
+            });
+            if (isFirstUser) transaction.set(bootstrapRef(DEFAULT_WORKSPACE_ID), { adminUid: user.uid });
+        });
+    }
+
+    async function defaultProfile(uid) {
+        const profile = await getDoc(memberRef(DEFAULT_WORKSPACE_ID, uid));
+        return profile.data() || null;
+    }
+
+    // The CameraRepository for one workspace.
+    function createWorkspaceRepository(workspaceId) {
+        const camerasCollectionPath = `${workspacePath(workspaceId)}/cameras`;
+        const cameraRef = (cameraId) => workspaceCameraRef(workspaceId, cameraId);
+        const historyRef = (cameraId) => workspaceHistoryRef(workspaceId, cameraId);
+        const usersCollectionPath = `${workspacePath(workspaceId)}/users`;
+        const jobsCollectionPath = `${workspacePath(workspaceId)}/jobs`;
+
+        // Writes a history event and its activity entry with the same timestamp, in the caller's
+        // batch or transaction. `camera` is the camera as it was before the event.
+        function addEvent(writer, camera, event, at) {
+            const timestamp = at || serverTimestamp();
+            writer.set(doc(historyRef(camera.id)), { ...event, timestamp });
+            writer.set(doc(workspaceActivityRef(workspaceId)), { ...activityEntry(camera, event), timestamp });
+        }
+
+        // Names a colleague inside a transaction, for conflict messages.
+        async function nameInTransaction(transaction, uid) {
+            if (!uid) return 'a colleague';
+            const profile = await transaction.get(doc(db, usersCollectionPath, uid));
+            return profile.data()?.displayName || 'a colleague';
+        }
+
+        // Reads the camera as stored right now, inside the transaction that will write it.
+        async function currentCamera(transaction, camera) {
+            const cameraSnapshot = await transaction.get(cameraRef(camera.id));
+            if (!cameraSnapshot.exists()) {
+                throw Object.assign(new Error(`${camera.cameraNumber} was deleted.`), { code: 'conflict' });
+            }
+            return fromSnapshot(cameraSnapshot);
+        }
+
+        return {
+            mode: 'firestore',
+            workspaceId,
+
+            subscribeUsers(onChange, onError) {
+                return onSnapshot(collection(db, usersCollectionPath), (querySnapshot) => {
+                    onChange(querySnapshot.docs.map(fromSnapshot));
+                }, onError);
+            },
+
+            async updateUser(uid, changes) {
+                await updateDoc(doc(db, usersCollectionPath, uid), changes);
+            },
+
+            subscribeJobs(onChange, onError) {
+                return onSnapshot(collection(db, jobsCollectionPath), (querySnapshot) => {
+                    onChange(querySnapshot.docs.map(fromSnapshot));
+                }, onError);
+            },
+
+            async addJob(job, userId) {
+                const jobRef = await addDoc(collection(db, jobsCollectionPath), { ...newJobDoc(job, userId), createdAt: serverTimestamp() });
+                return jobRef.id;
+            },
+
+            async updateJob(jobId, job) {
+                await updateDoc(doc(db, jobsCollectionPath, jobId), normalizeJob(job));
+            },
+
+            subscribeCameras(onChange, onError) {
+                return onSnapshot(collection(db, camerasCollectionPath), (querySnapshot) => {
+                    onChange(querySnapshot.docs.map(fromSnapshot));
+                }, onError);
+            },
+
+            subscribeHistory(cameraId, onChange, onError) {
+                const q = query(historyRef(cameraId), orderBy('timestamp', 'asc'));
+                return onSnapshot(q, (querySnapshot) => {
+                    onChange(querySnapshot.docs.map(fromSnapshot));
+                }, onError);
+            },
+
+            subscribeActivity(onChange, onError) {
+                const q = query(workspaceActivityRef(workspaceId), orderBy('timestamp', 'desc'), limit(ACTIVITY_LIMIT));
+                return onSnapshot(q, (querySnapshot) => {
+                    onChange(querySnapshot.docs.map(fromSnapshot));
+                }, onError);
+            },
+
+            async getCamera(cameraId) {
+                const cameraSnapshot = await getDoc(cameraRef(cameraId));
+                return cameraSnapshot.exists() ? fromSnapshot(cameraSnapshot) : null;
+            },
+
+            async getHistory(cameraId) {
+                const historySnapshot = await getDocs(query(historyRef(cameraId), orderBy('timestamp', 'asc')));
+                return historySnapshot.docs.map(fromSnapshot);
+            },
+
+            async addCamera(cameraNumber, details) {
+                await addDoc(collection(db, camerasCollectionPath), newCameraDoc(cameraNumber, details));
+            },
+
+            async updateCamera(camera, changes) {
+                await updateDoc(cameraRef(camera.id), editableFields(changes));
+            },
+
+            async importCameras(cameras, onProgress = () => {}) {
+                for (let start = 0; start < cameras.length; start += BATCH_SIZE) {
+                    const batch = writeBatch(db);
+                    cameras.slice(start, start + BATCH_SIZE).forEach(camera => {
+                        batch.set(doc(collection(db, camerasCollectionPath)), newCameraDoc(camera.cameraNumber, camera));
+                    });
+                    await batch.commit();
+                    onProgress(Math.min(start + BATCH_SIZE, cameras.length), cameras.length);
+                }
+            },
+
+            // Check-out and check-in run as transactions: the camera is re-read and checked before the
+            // camera and its history event are written, so two people acting on the same camera at
+            // once cannot both succeed.
+            async checkOut(camera, locationData, userId, { at } = {}) {
+                await runTransaction(db, async (transaction) => {
+                    const current = await currentCamera(transaction, camera);
+                    await assertCanCheckOut(current, uid => nameInTransaction(transaction, uid));
+                    transaction.update(cameraRef(camera.id), {
+                        ...checkedOutFields(locationData, userId),
+                        ...(locationData.jobId ? { deployedJobIds: arrayUnion(locationData.jobId) } : {}),
+                        checkedOutTimestamp: at || serverTimestamp()
+                    });
+                    addEvent(transaction, current, checkOutEvent(locationData, userId), at);
+                });
+            },
+
+            async checkIn(camera, userId, returnData = {}, { at } = {}) {
+                await runTransaction(db, async (transaction) => {
+                    const current = await currentCamera(transaction, camera);
+                    await assertCanCheckIn(camera, current, returnData.status || 'available', uid => nameInTransaction(transaction, uid));
+                    transaction.update(cameraRef(camera.id), {
+                        ...checkedInFields(current, returnData, userId),
+                        statusChangedAt: at || serverTimestamp()
+                    });
+                    addEvent(transaction, current, checkInEvent(current, userId, returnData), at);
+                });
+            },
+
+            async moveCamera(camera, geolocation, userId, { at } = {}) {
+                if (camera.status !== 'in_use') throw new Error('Only deployed cameras can be moved.');
+                const batch = writeBatch(db);
+                batch.update(cameraRef(camera.id), movedFields(geolocation));
+                addEvent(batch, camera, movedEvent(camera, geolocation, userId), at);
+                await batch.commit();
+            },
+
+            async changeStatus(camera, status, reason, userId, { at } = {}) {
+                assertTransition(camera, status);
+                const batch = writeBatch(db);
+                batch.update(cameraRef(camera.id), {
+                    ...statusChangedFields(status, reason, userId),
+                    statusChangedAt: at || serverTimestamp()
+                });
+                addEvent(batch, camera, statusChangeEvent(camera, status, reason, userId), at);
+                await batch.commit();
+            },
+
+            async archiveCamera(camera, userId) {
+                if (camera.status === 'in_use') throw new Error('Cannot archive a camera that is currently in use.');
+                const batch = writeBatch(db);
+                batch.update(cameraRef(camera.id), archivedFields(userId, serverTimestamp()));
+                addEvent(batch, camera, { type: 'archived', userId });
+                await batch.commit();
+            },
+
+            async restoreCamera(camera, userId) {
+                const batch = writeBatch(db);
+                batch.update(cameraRef(camera.id), restoredFields());
+                addEvent(batch, camera, { type: 'restored', userId });
+                await batch.commit();
+            },
+
+            async purgeCamera(camera) {
+                // Subcollections outlive their parent document, so history is removed explicitly,
+                // in batches, and the camera last: a purge cut short can simply be run again.
+                const { docs } = await getDocs(historyRef(camera.id));
+                for (let start = 0; start < docs.length; start += BATCH_SIZE) {
+                    const batch = writeBatch(db);
+                    docs.slice(start, start + BATCH_SIZE).forEach(eventDoc => batch.delete(eventDoc.ref));
+                    await batch.commit();
+                }
+                await deleteDoc(cameraRef(camera.id));
+                const photos = await listAll(storageRef(storage, photoFolder(workspaceId, camera.id)));
+                await Promise.all(photos.items.map(item => deleteObject(item)));
+            },
+
+            async savePhotos(cameraId, photos) {
+                // The storage rules only let the uploader (or an admin) remove a photo again.
+                const metadata = { contentType: 'image/jpeg', customMetadata: { uploadedBy: auth.currentUser?.uid || '' } };
+                return Promise.all(photos.map(async (photo) => {
+                    const stored = storedPhoto(workspaceId, cameraId, photo);
+                    await uploadBytes(storageRef(storage, stored.path), photo.full, metadata);
+                    await uploadBytes(storageRef(storage, stored.thumbPath), photo.thumb, metadata);
+                    return stored;
+                }));
+            },
+
+            async getPhotoUrl(path) {
+                if (!photoUrls.has(path)) photoUrls.set(path, await getDownloadURL(storageRef(storage, path)));
+                return photoUrls.get(path);
+            },
+
+            async deletePhotos(cameraId, photos) {
+                const paths = photos.flatMap(photo => [photo.path, photo.thumbPath]);
+                await Promise.all(paths.map(path => deleteObject(storageRef(storage, path)).catch(e => {
+                    if (e.code !== 'storage/object-not-found') throw e;
+                })));
+            }
+
+        };
+    }
+
+    return {
+        mode: 'firestore',
+
+        onAuthChange(onUser, onError) {
+            let hasTriedToken = false;
+            return onAuthStateChanged(auth, async (user) => {
+                if (user) {
+                    try {
+                        await ensureProfile(user);
+                        onUser({ uid: user.uid, email: user.email || '', emailVerified: user.emailVerified });
+                    } catch (profileError) {
+                        onError(profileError);
+                    }
+                    return;
+                }
+                // A token injected by the hosting environment signs the user in automatically.
+                if (initialAuthToken && !hasTriedToken) {
+                    hasTriedToken = true;
+                    try {
+                        await signInWithCustomToken(auth, initialAuthToken);
+                        return;
+                    } catch (authError) {
+                        onError(authError);
+                    }
+                }
+                onUser(null);
+            });
+        },
+
+        async signIn(email, password) {
+            await signInWithEmailAndPassword(auth, email, password);
+        },
+
+        async signUp(email, password, name) {
+            const credential = await createUserWithEmailAndPassword(auth, email, password);
+            await ensureProfile(credential.user, name);
+            await sendEmailVerification(credential.user);
+        },
+
+        async sendVerificationEmail() {
+            await sendEmailVerification(auth.currentUser);
+        },
+
+        // The ID token carries the verified flag the rules check, so it is refreshed too.
+        async checkEmailVerified() {
+            await auth.currentUser.reload();
+            await auth.currentUser.getIdToken(true);
+            return auth.currentUser.emailVerified;
+        },
+
+        async signOut() {
+            await firebaseSignOut(auth);
+        },
+
+        workspace: createWorkspaceRepository,
+
+        subscribeWorkspaces(userId, onChange, onError) {
+            return onSnapshot(accountRef(userId), (accountSnapshot) => {
+                onChange([DEFAULT_WORKSPACE, ...(accountSnapshot.data()?.workspaces || [])]);
+            }, onError);
+        },
+
+        async getRole(workspaceId, userId) {
+            const profile = await getDoc(memberRef(workspaceId, userId));
+            return profile.data()?.role || null;
+        },
+
+        // The workspace, its bootstrap marker, the creator's admin profile and their account
+        // entry are written together, which is what the security rules check for.
+        async createWorkspace(name, userId) {
+            const workspaceRef = doc(collection(db, `artifacts/${appId}/workspaces`));
+            const workspaceDoc = newWorkspaceDoc(name, userId);
+            const profile = await defaultProfile(userId);
+            const batch = writeBatch(db);
+            batch.set(workspaceRef, { ...workspaceDoc, createdAt: serverTimestamp() });
+            batch.set(bootstrapRef(workspaceRef.id), { adminUid: userId });
+            batch.set(memberRef(workspaceRef.id, userId), {
+                ...newMemberDoc(profile, auth.currentUser?.email || '', FIRST_USER_ROLE),
+                createdAt: serverTimestamp()
+            });
+            batch.set(accountRef(userId), { workspaces: arrayUnion({ id: workspaceRef.id, name: workspaceDoc.name }) }, { merge: true });
+            await batch.commit();
+            return workspaceRef.id;
+        },
+
+        subscribeInvitations(workspaceId, onChange, onError) {
+            const q = query(collection(db, invitationsCollectionPath), where('workspaceId', '==', workspaceId));
+            return onSnapshot(q, (querySnapshot) => {
+                onChange(querySnapshot.docs.map(fromSnapshot));
+            }, onError);
+        },
+
+        subscribeMyInvitations(email, onChange, onError) {
+            const q = query(collection(db, invitationsCollectionPath), where('email', '==', normalizeEmail(email || '')));
+            return onSnapshot(q, (querySnapshot) => {
+                onChange(querySnapshot.docs.map(fromSnapshot));
+            }, onError);
+        },
+
+        async inviteMember(workspace, email, role, userId) {
+            const invitationRef = doc(db, invitationsCollectionPath, invitationId(workspace.id, email));
+            await runTransaction(db, async (transaction) => {
+                if ((await transaction.get(invitationRef)).exists()) {
+                    throw Object.assign(new Error(`${normalizeEmail(email)} has already been invited.`), { code: 'conflict' });
+                }
+                transaction.set(invitationRef, { ...newInvitationDoc(workspace, email, role, userId), createdAt: serverTimestamp() });
+            });
+        },
+
+        async deleteInvitation(invitation) {
+            await deleteDoc(doc(db, invitationsCollectionPath, invitation.id));
+        },
+
+        // Joining and using up the invitation happen in one write, so the rules can check the
+        // invitation while it still exists. The profile keeps the address as signed in with,
+        // which the rules compare it to; the invitation's is lower-cased.
+        async acceptInvitation(invitation, userId) {
+            const invitationRef = doc(db, invitationsCollectionPath, invitation.id);
+            const profile = await defaultProfile(userId);
+            await runTransaction(db, async (transaction) => {
+                const current = await transaction.get(invitationRef);
+                if (!current.exists()) throw Object.assign(new Error('This invitation was withdrawn.'), { code: 'conflict' });
+                const { workspaceId, workspaceName, role } = current.data();
+                transaction.set(memberRef(workspaceId, userId), {
+                    ...newMemberDoc(profile, auth.currentUser?.email || '', role),
+                    createdAt: serverTimestamp()
+                });
+                transaction.delete(invitationRef);
+                transaction.set(accountRef(userId), { workspaces: arrayUnion({ id: workspaceId, name: workspaceName }) }, { merge: true });
+            });
+        },
+
+        // Moves the camera and its whole history in one transaction, keeping the camera's id so
+        // printed labels still find it. The history is re-read on every attempt, as the
+        // transaction only watches the camera document itself.
+        async transferCamera(camera, from, to, userId) {
+            await runTransaction(db, async (transaction) => {
+                const history = await getDocs(workspaceHistoryRef(from.id, camera.id));
+                const cameraSnapshot = await transaction.get(workspaceCameraRef(from.id, camera.id));
+                if (!cameraSnapshot.exists()) {
+                    throw Object.assign(new Error(`${camera.cameraNumber} was deleted.`), { code: 'conflict' });
+                }
+                assertCanTransfer(cameraSnapshot.data());
+                if (history.size > TRANSFER_MAX_EVENTS) {
+                    throw new Error(`${camera.cameraNumber} has too much history to transfer (over ${TRANSFER_MAX_EVENTS} events).`);
+                }
+                transaction.set(workspaceCameraRef(to.id, camera.id), transferredFields(cameraSnapshot.data()));
+                history.forEach((eventDoc) => {
+                    transaction.set(doc(workspaceHistoryRef(to.id, camera.id), eventDoc.id), eventDoc.data());
+                    transaction.delete(eventDoc.ref);
+                });
+                const event = transferEvent(from, to, userId);
+                transaction.set(doc(workspaceHistoryRef(to.id, camera.id)), { ...event, timestamp: serverTimestamp() });
+                // Both teams see the camera leave or arrive.
+                const entry = { ...activityEntry({ id: camera.id, ...cameraSnapshot.data() }, event), timestamp: serverTimestamp() };
+                transaction.set(doc(workspaceActivityRef(from.id)), entry);
+                transaction.set(doc(workspaceActivityRef(to.id)), entry);
+                transaction.set(doc(db, `${workspacePath(from.id)}/departures`, camera.id), departureDoc(to));
+                transaction.delete(cameraSnapshot.ref);
+            });
+        }
+    };
+}
+
+// --- Helpers ---
+
+// Pending server timestamps are estimated so fresh writes sort and display immediately.
+function fromSnapshot(docSnapshot) {
+    return { id: docSnapshot.id, ...toDates(docSnapshot.data({ serverTimestamps: 'estimate' })) };
+}
+
+function toDates(value) {
+    if (value && typeof value.toDate === 'function') return value.toDate();
+    if (Array.isArray(value)) return value.map(toDates);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toDates(v)]));
+    }
+    return value;
+}
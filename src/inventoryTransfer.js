@@ -0,0 +1,199 @@
+import { parseCsv, toCsv, isBlankRow } from './csv';
+import { CAMERA_DETAIL_FIELDS, normalizeCameraDetails, validateCameraDetails, buildDeployments, isOverdue } from './cameraModel';
+import { displayName } from './roles';
+
+// --- Inventory Import / Export ---
+
+// Importable camera fields, each with the header spellings accepted for it (compared
+// case-insensitively, ignoring spaces and punctuation).
+export const IMPORT_FIELDS = {
+    cameraNumber: { label: 'Camera Number', aliases: ['cameranumber', 'camera', 'cameraid', 'number', 'id'], required: true },
+    make: { label: 'Make', aliases: ['make', 'manufacturer', 'brand'] },
+    model: { label: 'Model', aliases: ['model'] },
+    serialNumber: { label: 'Serial Number', aliases: ['serialnumber', 'serial', 'sn'] },
+    purchaseDate: { label: 'Purchase Date', aliases: ['purchasedate', 'purchased'] },
+    batteryLevel: { label: 'Battery', aliases: ['batterylevel', 'battery'] },
+    sdCardId: { label: 'SD Card ID', aliases: ['sdcardid', 'sdcard', 'sd'] },
+    sdCardCapacity: { label: 'SD Capacity', aliases: ['sdcardcapacity', 'sdcapacity', 'capacity', 'capacitygb'] },
+    notes: { label: 'Notes', aliases: ['notes', 'note', 'comments'] }
+};
+
+const MAX_CAMERA_NUMBER_LENGTH = 64;
+
+/**
+ * Reads a CSV (with a header row) or JSON (an array of objects, or `{ cameras: [...] }`) file
+ * into records keyed by import field. Unknown columns are ignored.
+ *
+ * @returns {{records: {row: number, values: Object}[], error: string|null}}
+ */
+export function parseImportFile(text, fileName = '') {
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    try {
+        return isJson ? parseJsonImport(text) : parseCsvImport(text);
+    } catch (e) {
+        return { records: [], error: `Could not read the file: ${e.message}` };
+    }
+}
+
+/**
+ * Validates records and flags duplicates, both against the existing inventory and within the
+ * file itself. Only rows with status 'ready' are imported.
+ *
+ * @returns {{row: number, camera: Object, status: 'ready'|'duplicate'|'invalid', message: string}[]}
+ */
+export function buildImportPreview(records, existingCameras) {
+    const existing = new Map(existingCameras.map(c => [normalizeNumber(c.cameraNumber), c]));
+    const seen = new Map();
+
+    return records.map(({ row, values }) => {
+        const camera = { cameraNumber: String(values.cameraNumber ?? '').trim(), ...normalizeCameraDetails(values) };
+        const key = normalizeNumber(camera.cameraNumber);
+        const detailErrors = Object.values(validateCameraDetails(values));
+
+        if (!camera.cameraNumber) {
+            return { row, camera, status: 'invalid', message: 'Camera number is missing.' };
+        }
+        if (camera.cameraNumber.length > MAX_CAMERA_NUMBER_LENGTH) {
+            return { row, camera, status: 'invalid', message: `Camera number is longer than ${MAX_CAMERA_NUMBER_LENGTH} characters.` };
+        }
+        if (detailErrors.length > 0) {
+            return { row, camera, status: 'invalid', message: detailErrors.join(' ') };
+        }
+        if (existing.has(key)) {
+            const match = existing.get(key);
+            return { row, camera, status: 'duplicate', message: `Already in inventory${match.archived ? ' (archived)' : ''}.` };
+        }
+        if (seen.has(key)) {
+            return { row, camera, status: 'duplicate', message: `Repeats row ${seen.get(key)}.` };
+        }
+        seen.set(key, row);
+        return { row, camera, status: 'ready', message: '' };
+    });
+}
+
+// --- Export ---
+
+const DETAIL_COLUMNS = Object.keys(CAMERA_DETAIL_FIELDS).map(key => [key, c => c[key]]);
+
+export const INVENTORY_COLUMNS = [
+    ['cameraNumber', c => c.cameraNumber],
+    ...DETAIL_COLUMNS,
+    ['status', c => c.status],
+    ['statusReason', c => c.statusReason],
+    ['location', c => c.location],
+    ['latitude', c => c.geolocation?.lat],
+    ['longitude', c => c.geolocation?.lng],
+    ['checkedOutBy', (c, users) => displayName(users, c.checkedOutBy)],
+    ['checkedOutAt', c => c.checkedOutTimestamp],
+    ['expectedReturnDate', c => c.expectedReturnDate],
+    ['overdue', (c, users, now) => isOverdue(c, now) ? 'yes' : 'no']
+];
+
+export const DEPLOYMENT_COLUMNS = [
+    ['cameraNumber', d => d.cameraNumber],
+    ['location', d => d.location],
+    ['latitude', d => d.geolocation?.lat],
+    ['longitude', d => d.geolocation?.lng],
+    ['checkedOutAt', d => d.checkedOutAt],
+    ['checkedOutBy', (d, users) => displayName(users, d.checkedOutBy)],
+    ['expectedReturnDate', d => d.expectedReturnDate],
+    ['batteryAtDeployment', d => d.batteryLevel],
+    ['sdCardId', d => d.sdCardId],
+    ['checkedInAt', d => d.checkedInAt],
+    ['checkedInBy', (d, users) => displayName(users, d.checkedInBy)],
+    ['returnedAs', d => d.returnStatus],
+    ['returnNotes', d => d.returnReason],
+    ['daysDeployed', (d, users, now) => d.checkedOutAt
+        ? (((d.checkedInAt || now) - d.checkedOutAt) / (1000 * 60 * 60 * 24)).toFixed(1)
+        : '']
+];
+
+// Flattens every camera's history into one deployment per row, oldest first.
+export function collectDeployments(historyByCamera, cameras) {
+    return cameras.flatMap(camera => buildDeployments(historyByCamera[camera.id] || [])
+        .reverse()
+        .map(deployment => ({ cameraNumber: camera.cameraNumber, ...deployment })));
+}
+
+export function formatExport(items, columns, format, users, now = new Date()) {
+    const records = items.map(item => columns.map(([, value]) => value(item, users, now) ?? ''));
+    if (format === 'json') {
+        const objects = records.map(values => Object.fromEntries(columns.map(([key], i) => [key, values[i]])));
+        return JSON.stringify(objects, null, 2);
+    }
+    return toCsv([columns.map(([key]) => key), ...records]);
+}
+
+export function downloadFile(content, fileName, format) {
+    const type = format === 'json' ? 'application/json' : 'text/csv;charset=utf-8';
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// --- Helpers ---
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function normalizeNumber(cameraNumber) {
+    return String(cameraNumber).trim().toLowerCase();
+}
+
+function fieldForHeader(header) {
+    const normalized = normalizeHeader(header);
+    return Object.keys(IMPORT_FIELDS).find(field => IMPORT_FIELDS[field].aliases.includes(normalized)) || null;
+}
+
+function missingRequiredFields(fields) {
+    return Object.entries(IMPORT_FIELDS)
+        .filter(([field, { required }]) => required && !fields.includes(field))
+        .map(([, { label }]) => label);
+}
+
+function parseCsvImport(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    const fields = header.map(fieldForHeader);
+    const missing = missingRequiredFields(fields);
+    if (missing.length > 0) {
+        return { records: [], error: `The header row needs a ${missing.join(', ')} column.` };
+    }
+    const records = [];
+    rows.forEach((cells, i) => {
+        if (isBlankRow(cells)) return;
+        const values = {};
+        fields.forEach((field, column) => {
+            if (field) values[field] = cells[column] ?? '';
+        });
+        // Row numbers are 1-based and count the header row, as in a spreadsheet.
+        records.push({ row: i + 2, values });
+    });
+    return { records, error: null };
+}
+
+function parseJsonImport(text) {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : data?.cameras;
+    if (!Array.isArray(items)) {
+        return { records: [], error: 'Expected an array of cameras or an object with a "cameras" array.' };
+    }
+    const records = items.map((item, i) => {
+        const values = {};
+        if (item && typeof item === 'object') {
+            Object.entries(item).forEach(([key, value]) => {
+                const field = fieldForHeader(key);
+                if (field) values[field] = value;
+            });
+        } else {
+            values.cameraNumber = item;
+        }
+        return { row: i + 1, values };
+    });
+    return { records, error: null };
+}
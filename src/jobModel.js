@@ -0,0 +1,62 @@
+import { validateGeolocation } from './cameraModel';
+
+// --- Job Document Shapes ---
+// A job is the customer site cameras are deployed to. Check-outs link to it by id so the same
+// customer is not typed a dozen different ways.
+
+export const JOB_FIELDS = {
+    name: { label: 'Job / Customer', type: 'text', placeholder: 'e.g., Smith Residence' },
+    address: { label: 'Address', type: 'text', placeholder: 'e.g., 123 Main St, Springfield' },
+    contactName: { label: 'Contact Name', type: 'text', placeholder: '' },
+    contactPhone: { label: 'Contact Phone', type: 'tel', placeholder: '' },
+    contactEmail: { label: 'Contact Email', type: 'email', placeholder: '' },
+    notes: { label: 'Notes', type: 'textarea', placeholder: 'Gate code, parking, where the cameras go...' }
+};
+
+// Trims text fields and keeps coordinates as strings, matching camera geolocations.
+export function normalizeJob(job = {}) {
+    const fields = Object.fromEntries(Object.keys(JOB_FIELDS).map(key => [key, String(job[key] ?? '').trim()]));
+    return {
+        ...fields,
+        geolocation: {
+            lat: String(job.geolocation?.lat ?? job.lat ?? '').trim(),
+            lng: String(job.geolocation?.lng ?? job.lng ?? '').trim()
+        }
+    };
+}
+
+// Returns a map of field key ('name', 'contactEmail', 'lat', 'lng') to error message.
+export function validateJob(job, existingJobs = []) {
+    const errors = {};
+    const name = String(job.name ?? '').trim();
+    if (!name) {
+        errors.name = 'A job needs a name.';
+    } else if (existingJobs.some(other => other.id !== job.id && other.name.trim().toLowerCase() === name.toLowerCase())) {
+        errors.name = `A job called "${name}" already exists.`;
+    }
+    if (job.contactEmail && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(String(job.contactEmail).trim())) {
+        errors.contactEmail = 'Enter a valid email address.';
+    }
+    return { ...errors, ...validateGeolocation(job.geolocation?.lat ?? job.lat, job.geolocation?.lng ?? job.lng) };
+}
+
+export function newJobDoc(job, userId) {
+    return {
+        ...normalizeJob(job),
+        createdBy: userId || ''
+    };
+}
+
+// Jobs whose name, address or contact matches every word of the query, best matches first.
+export function matchJobs(jobs, query, max = 8) {
+    const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+    return jobs
+        .filter(job => {
+            const haystack = `${job.name} ${job.address} ${job.contactName}`.toLowerCase();
+            return words.every(word => haystack.includes(word));
+        })
+        .sort((a, b) => Number(!a.name.toLowerCase().startsWith(words[0])) - Number(!b.name.toLowerCase().startsWith(words[0]))
+            || a.name.localeCompare(b.name))
+        .slice(0, max);
+}
@@ -0,0 +1,115 @@
+import L from 'leaflet';
+import 'leaflet.markercluster';
+import 'leaflet/dist/leaflet.css';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import 'leaflet.markercluster/dist/MarkerCluster.Default.css';
+import { tileSources } from './config';
+
+// --- Leaflet Setup ---
+// Leaflet and its marker-cluster plugin are bundled with the app so maps work without a
+// connection. Only the tiles come from outside, and those are configurable (see config.js).
+
+// A source counts as unreachable once this many tiles have failed without a single success.
+const FAILED_TILES_BEFORE_NEXT_SOURCE = 4;
+
+export { L };
+
+/**
+ * Adds the first tile source that serves tiles. When none does (offline, with no local tiles
+ * for the area), a coordinate grid is drawn instead so markers still have a frame of reference;
+ * the sources are retried when the browser comes back online.
+ *
+ * @param {Object} map  Leaflet map.
+ * @param {(isFallback: boolean) => void} [onFallbackChange]
+ */
+export function addBaseLayer(map, onFallbackChange = () => {}) {
+    let current = null;
+    let isFallback = false;
+
+    const setFallback = (value) => {
+        if (value === isFallback) return;
+        isFallback = value;
+        onFallbackChange(value);
+    };
+
+    const showSource = (index) => {
+        if (current) map.removeLayer(current);
+        if (index >= tileSources.length) {
+            current = coordinateGrid().addTo(map);
+            setFallback(true);
+            return;
+        }
+        const { url, ...options } = tileSources[index];
+        let loaded = 0;
+        let failed = 0;
+        const layer = L.tileLayer(url, options);
+        layer.on('tileload', () => {
+            loaded += 1;
+            setFallback(false);
+        });
+        layer.on('tileerror', () => {
+            failed += 1;
+            if (loaded === 0 && failed === FAILED_TILES_BEFORE_NEXT_SOURCE && current === layer) showSource(index + 1);
+        });
+        current = layer.addTo(map);
+    };
+
+    const handleOnline = () => {
+        if (isFallback) showSource(0);
+    };
+    window.addEventListener('online', handleOnline);
+    map.on('unload', () => window.removeEventListener('online', handleOnline));
+
+    showSource(0);
+}
+
+// Tiles outlined with their south-west corner's coordinates: a plain plot of positions.
+function coordinateGrid() {
+    const GridLayer = L.GridLayer.extend({
+        createTile(coords) {
+            const size = this.getTileSize();
+            const tile = document.createElement('canvas');
+            tile.width = size.x;
+            tile.height = size.y;
+            const context = tile.getContext('2d');
+            context.fillStyle = '#1f2937';
+            context.fillRect(0, 0, size.x, size.y);
+            context.strokeStyle = '#374151';
+            context.strokeRect(0, 0, size.x, size.y);
+
+            const corner = this._map.unproject([coords.x * size.x, (coords.y + 1) * size.y], coords.z);
+            context.fillStyle = '#6b7280';
+            context.font = '11px monospace';
+            context.fillText(`${corner.lat.toFixed(3)}, ${corner.lng.toFixed(3)}`, 4, size.y - 6);
+            return tile;
+        }
+    });
+    return new GridLayer({ attribution: 'Map tiles unavailable' });
+}
+
+const iconCache = new Map();
+
+// Leaflet marker showing the camera glyph (or a job site's camera count) on a coloured disc.
+export function markerIcon(color, label) {
+    const key = `${color}:${label ?? ''}`;
+    if (!iconCache.has(key)) {
+        const content = label !== undefined
+            ? `<div style="background-color: ${color}; border-radius: 50%; width: 32px; height: 32px; display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; box-shadow: 0 0 8px ${color};">${Number(label)}</div>`
+            : `<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="lucide lucide-camera" style="background-color: ${color}; border-radius: 50%; padding: 4px; box-shadow: 0 0 8px ${color};"><path d="M14.5 4h-5L7 7H4a2 2 0 0 0-2 2v9a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2V9a2 2 0 0 0-2-2h-3l-2.5-3z"></path><circle cx="12" cy="13" r="3"></circle></svg>`;
+        iconCache.set(key, L.divIcon({
+            html: content,
+            className: '',
+            iconSize: [32, 32],
+            iconAnchor: [16, 32],
+            popupAnchor: [0, -28]
+        }));
+    }
+    return iconCache.get(key);
+}
+
+// Parses a stored {lat, lng} pair (kept as strings) into numbers, or null when either is missing.
+export function toLatLng(geolocation) {
+    const lat = parseFloat(geolocation?.lat);
+    const lng = parseFloat(geolocation?.lng);
+    return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+}
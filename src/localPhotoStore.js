@@ -0,0 +1,59 @@
+// --- Local Photo Store ---
+// Keeps photo blobs in IndexedDB for the local adapter (localStorage is far too small for
+// images). Falls back to memory where IndexedDB is unavailable, e.g. in some private modes.
+
+const STORE_NAME = 'photos';
+
+export function createLocalPhotoStore({ dbName } = {}) {
+    const dbPromise = openDatabase(dbName);
+    const memory = new Map();
+
+    // `operation` gets the object store, or null when running from memory; either way its
+    // return value's `result` is what resolves.
+    async function run(mode, operation) {
+        const db = await dbPromise;
+        if (!db) return operation(null)?.result;
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    return {
+        async put(path, blob) {
+            await run('readwrite', store => store ? store.put(blob, path) : memory.set(path, blob));
+        },
+
+        // Resolves to the blob, or null if there is none under `path`.
+        async get(path) {
+            const blob = await run('readonly', store => store ? store.get(path) : { result: memory.get(path) });
+            return blob || null;
+        },
+
+        // Removes every blob whose path starts with `prefix`.
+        async removeAll(prefix) {
+            const range = typeof IDBKeyRange !== 'undefined' ? IDBKeyRange.bound(prefix, `${prefix}\uffff`) : null;
+            await run('readwrite', store => {
+                if (store) return store.delete(range);
+                [...memory.keys()].filter(path => path.startsWith(prefix)).forEach(path => memory.delete(path));
+                return null;
+            });
+        }
+    };
+}
+
+function openDatabase(dbName) {
+    if (!dbName || typeof indexedDB === 'undefined') return Promise.resolve(null);
+    return new Promise(resolve => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.error("Photo store is unavailable, keeping photos in memory:", request.error);
+            resolve(null);
+        };
+    });
+}
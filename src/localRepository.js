@@ -0,0 +1,517 @@
+import { appId } from './config';
+import { DEFAULT_ROLE, FIRST_USER_ROLE, can } from './roles';
+import {
+    newCameraDoc,
+    editableFields,
+    checkedOutFields,
+    checkOutEvent,
+    checkedInFields,
+    checkInEvent,
+    statusChangedFields,
+    statusChangeEvent,
+    movedFields,
+    movedEvent,
+    archivedFields,
+    restoredFields
+} from './cameraModel';
+import { assertTransition, assertCanCheckOut, assertCanCheckIn } from './cameraStatus';
+import { newJobDoc, normalizeJob } from './jobModel';
+import { photoFolder, storedPhoto } from './photos';
+import { createLocalPhotoStore } from './localPhotoStore';
+import { ACTIVITY_LIMIT, activityEntry } from './activity';
+import {
+    DEFAULT_WORKSPACE_ID,
+    DEFAULT_WORKSPACE_NAME,
+    normalizeEmail,
+    invitationId,
+    newWorkspaceDoc,
+    newInvitationDoc,
+    newMemberDoc,
+    assertCanTransfer,
+    transferredFields,
+    transferEvent
+} from './workspaceModel';
+
+// --- Local Adapter ---
+// Implements the AppRepository interface (see cameraRepository.js) in memory, persisted to
+// localStorage when available. Used offline, on demo machines and wherever no Firebase
+// project is configured.
+//
+// Accounts are stored on this device only. Passwords are salted and hashed, but anyone with
+// access to the browser profile can read or change the data, so this is not a security boundary.
+
+export function createLocalRepository({
+    storage = getLocalStorage(),
+    storageKey = `camera-tracker:${appId}`,
+    photoStore = createLocalPhotoStore({ dbName: storage ? `${storageKey}:photos` : null })
+} = {}) {
+    let state = load();
+    // Object URLs live as long as the page, so each photo gets one at most.
+    const photoUrls = new Map();
+    const sessionKey = `${storageKey}:session`;
+    // Every subscription, re-run after each change.
+    const listeners = new Set();
+    const authListeners = new Set();
+    let sessionUid = storage && storage.getItem(sessionKey);
+
+    // Keep other tabs on the same machine in sync, like a live snapshot would.
+    const watchesOtherTabs = !!storage && typeof window !== 'undefined';
+    function handleStorage(e) {
+        if (e.key === sessionKey) {
+            sessionUid = e.newValue;
+            notifyAuth();
+        } else if (e.key === storageKey) {
+            state = load();
+            notify();
+        }
+    }
+    if (watchesOtherTabs) window.addEventListener('storage', handleStorage);
+
+    function load() {
+        const empty = { workspaces: {}, credentials: {}, invitations: {} };
+        let loaded = empty;
+        if (storage) {
+            try {
+                const raw = storage.getItem(storageKey);
+                if (raw) loaded = { ...empty, ...JSON.parse(raw, reviveDates) };
+            } catch (e) {
+                console.error("Local store is unreadable, starting empty:", e);
+            }
+        }
+        // Stores from before workspaces kept the inventory at the top level; it becomes the
+        // default workspace's.
+        const { cameras, history, users, jobs, ...rest } = loaded;
+        const legacy = Object.fromEntries(Object.entries({ cameras, history, users, jobs }).filter(([, value]) => value));
+        const defaultWorkspace = rest.workspaces[DEFAULT_WORKSPACE_ID]
+            || { ...emptyWorkspace({ name: DEFAULT_WORKSPACE_NAME, createdBy: '' }), ...legacy };
+        return { ...rest, workspaces: { ...rest.workspaces, [DEFAULT_WORKSPACE_ID]: defaultWorkspace } };
+    }
+
+    function save() {
+        if (storage) storage.setItem(storageKey, JSON.stringify(state));
+        notify();
+    }
+
+    // Listeners are called asynchronously, matching Firestore's snapshot delivery.
+    function notify() {
+        listeners.forEach(listener => listener());
+    }
+
+    function subscribe(read, onChange, onError = () => {}) {
+        const listener = () => {
+            try {
+                const value = read();
+                setTimeout(() => onChange(value), 0);
+            } catch (e) {
+                setTimeout(() => onError(e), 0);
+            }
+        };
+        listeners.add(listener);
+        listener();
+        return () => listeners.delete(listener);
+    }
+
+    function requireWorkspace(workspaceId) {
+        const workspace = state.workspaces[workspaceId];
+        if (!workspace) throw new Error(`Workspace ${workspaceId} does not exist.`);
+        return workspace;
+    }
+
+    function currentUser() {
+        const user = sessionUid && state.workspaces[DEFAULT_WORKSPACE_ID].users[sessionUid];
+        // There is no mail to confirm the address with; local accounts count as verified.
+        return user ? { uid: sessionUid, email: user.email, emailVerified: true } : null;
+    }
+
+    function notifyAuth() {
+        const user = currentUser();
+        authListeners.forEach(listener => setTimeout(() => listener(user), 0));
+    }
+
+    function setSession(uid) {
+        sessionUid = uid;
+        if (storage) {
+            if (uid) storage.setItem(sessionKey, uid);
+            else storage.removeItem(sessionKey);
+        }
+        notifyAuth();
+    }
+
+    function requireInvitation(invitation) {
+        const current = state.invitations[invitation.id];
+        if (!current) throw Object.assign(new Error('This invitation was withdrawn.'), { code: 'conflict' });
+        return current;
+    }
+
+    // The CameraRepository for one workspace. Its state is looked up on every call, since a
+    // change in another tab replaces the whole state.
+    function createWorkspaceRepository(workspaceId) {
+        const ws = () => requireWorkspace(workspaceId);
+
+        function requireCamera(cameraId) {
+            const camera = ws().cameras[cameraId];
+            if (!camera) throw new Error(`Camera ${cameraId} does not exist.`);
+            return camera;
+        }
+
+        function nameOf(uid) {
+            return ws().users[uid]?.displayName || 'a colleague';
+        }
+
+        // `camera` is the camera as it was before the event, which the activity entry describes.
+        function appendHistory(camera, event, at) {
+            const { history } = ws();
+            const events = [...(history[camera.id] || []), { id: newId(), ...event, timestamp: at }];
+            history[camera.id] = events.sort((a, b) => a.timestamp - b.timestamp);
+            addActivity(ws(), camera, event, at);
+        }
+
+        return {
+            mode: 'local',
+            workspaceId,
+
+            subscribeUsers(onChange, onError) {
+                return subscribe(() => Object.values(ws().users).map(clone), onChange, onError);
+            },
+
+            async updateUser(uid, changes) {
+                const { users } = ws();
+                if (!users[uid]) throw new Error(`User ${uid} does not exist.`);
+                users[uid] = { ...users[uid], ...changes };
+                save();
+            },
+
+            subscribeJobs(onChange, onError) {
+                return subscribe(() => Object.values(ws().jobs).map(clone), onChange, onError);
+            },
+
+            async addJob(job, userId) {
+                const id = newId();
+                ws().jobs[id] = { id, ...newJobDoc(job, userId), createdAt: new Date() };
+                save();
+                return id;
+            },
+
+            async updateJob(jobId, job) {
+                const { jobs } = ws();
+                if (!jobs[jobId]) throw new Error(`Job ${jobId} does not exist.`);
+                jobs[jobId] = { ...jobs[jobId], ...normalizeJob(job) };
+                save();
+            },
+
+            subscribeCameras(onChange, onError) {
+                return subscribe(() => Object.values(ws().cameras).map(clone), onChange, onError);
+            },
+
+            subscribeHistory(cameraId, onChange, onError) {
+                return subscribe(() => (ws().history[cameraId] || []).map(clone), onChange, onError);
+            },
+
+            subscribeActivity(onChange, onError) {
+                return subscribe(() => (ws().activity || []).map(clone), onChange, onError);
+            },
+
+            async getCamera(cameraId) {
+                const camera = ws().cameras[cameraId];
+                return camera ? clone(camera) : null;
+            },
+
+            async getHistory(cameraId) {
+                return (ws().history[cameraId] || []).map(clone);
+            },
+
+            async addCamera(cameraNumber, details) {
+                const id = newId();
+                ws().cameras[id] = { id, ...newCameraDoc(cameraNumber, details) };
+                save();
+            },
+
+            async updateCamera(camera, changes) {
+                const current = requireCamera(camera.id);
+                ws().cameras[camera.id] = { ...current, ...editableFields(changes) };
+                save();
+            },
+
+            async importCameras(cameras, onProgress = () => {}) {
+                cameras.forEach(camera => {
+                    const id = newId();
+                    ws().cameras[id] = { id, ...newCameraDoc(camera.cameraNumber, camera) };
+                });
+                save();
+                onProgress(cameras.length, cameras.length);
+            },
+
+            async checkOut(camera, locationData, userId, { at = new Date() } = {}) {
+                const current = requireCamera(camera.id);
+                await assertCanCheckOut(current, nameOf);
+                ws().cameras[camera.id] = {
+                    ...current,
+                    ...checkedOutFields(locationData, userId),
+                    deployedJobIds: addJobId(current.deployedJobIds, locationData.jobId),
+                    checkedOutTimestamp: at
+                };
+                appendHistory(current, checkOutEvent(locationData, userId), at);
+                save();
+            },
+
+            async checkIn(camera, userId, returnData = {}, { at = new Date() } = {}) {
+                const current = requireCamera(camera.id);
+                await assertCanCheckIn(camera, current, returnData.status || 'available', nameOf);
+                ws().cameras[camera.id] = { ...current, ...checkedInFields(current, returnData, userId), statusChangedAt: at };
+                appendHistory(current, checkInEvent(current, userId, returnData), at);
+                save();
+            },
+
+            async moveCamera(camera, geolocation, userId, { at = new Date() } = {}) {
+                const current = requireCamera(camera.id);
+                if (current.status !== 'in_use') throw new Error('Only deployed cameras can be moved.');
+                ws().cameras[camera.id] = { ...current, ...movedFields(geolocation) };
+                appendHistory(current, movedEvent(current, geolocation, userId), at);
+                save();
+            },
+
+            async changeStatus(camera, status, reason, userId, { at = new Date() } = {}) {
+                const current = requireCamera(camera.id);
+                assertTransition(current, status);
+                ws().cameras[camera.id] = { ...current, ...statusChangedFields(status, reason, userId), statusChangedAt: at };
+                appendHistory(current, statusChangeEvent(current, status, reason, userId), at);
+                save();
+            },
+
+            async archiveCamera(camera, userId) {
+                const current = requireCamera(camera.id);
+                if (current.status === 'in_use') throw new Error('Cannot archive a camera that is currently in use.');
+                const at = new Date();
+                ws().cameras[camera.id] = { ...current, ...archivedFields(userId, at) };
+                appendHistory(current, { type: 'archived', userId }, at);
+                save();
+            },
+
+            async restoreCamera(camera, userId) {
+                const current = requireCamera(camera.id);
+                ws().cameras[camera.id] = { ...current, ...restoredFields() };
+                appendHistory(current, { type: 'restored', userId }, new Date());
+                save();
+            },
+
+            async purgeCamera(camera) {
+                requireCamera(camera.id);
+                delete ws().cameras[camera.id];
+                delete ws().history[camera.id];
+                save();
+                await photoStore.removeAll(`${photoFolder(workspaceId, camera.id)}/`);
+            },
+
+            async savePhotos(cameraId, photos) {
+                const saved = [];
+                for (const photo of photos) {
+                    const stored = storedPhoto(workspaceId, cameraId, photo);
+                    await photoStore.put(stored.path, photo.full);
+                    await photoStore.put(stored.thumbPath, photo.thumb);
+                    saved.push(stored);
+                }
+                return saved;
+            },
+
+            async getPhotoUrl(path) {
+                if (!photoUrls.has(path)) {
+                    const blob = await photoStore.get(path);
+                    if (!blob) throw new Error('This photo is not stored on this device.');
+                    photoUrls.set(path, URL.createObjectURL(blob));
+                }
+                return photoUrls.get(path);
+            },
+
+            async deletePhotos(cameraId, photos) {
+                for (const photo of photos) {
+                    await photoStore.removeAll(`${photoFolder(workspaceId, cameraId)}/${photo.id}`);
+                }
+            }
+        };
+    }
+
+    return {
+        mode: 'local',
+
+        dispose() {
+            if (watchesOtherTabs) window.removeEventListener('storage', handleStorage);
+        },
+
+        onAuthChange(onUser) {
+            authListeners.add(onUser);
+            const timer = setTimeout(() => onUser(currentUser()), 0);
+            return () => {
+                clearTimeout(timer);
+                authListeners.delete(onUser);
+            };
+        },
+
+        async signIn(email, password) {
+            const credential = state.credentials[normalizeEmail(email)];
+            if (!credential || credential.hash !== await hashPassword(password, credential.salt)) {
+                throw new Error('Incorrect email or password.');
+            }
+            setSession(credential.uid);
+        },
+
+        async signUp(email, password, name) {
+            const key = normalizeEmail(email);
+            if (state.credentials[key]) throw new Error('An account with this email already exists.');
+            const uid = `local-${newId()}`;
+            const salt = newId();
+            const { users } = state.workspaces[DEFAULT_WORKSPACE_ID];
+            state.credentials[key] = { uid, salt, hash: await hashPassword(password, salt) };
+            users[uid] = {
+                id: uid,
+                displayName: name || key.split('@')[0],
+                email: key,
+                role: Object.keys(users).length === 0 ? FIRST_USER_ROLE : DEFAULT_ROLE,
+                createdAt: new Date()
+            };
+            save();
+            setSession(uid);
+        },
+
+        async signOut() {
+            setSession(null);
+        },
+
+        async sendVerificationEmail() {},
+
+        async checkEmailVerified() {
+            return true;
+        },
+
+        workspace: createWorkspaceRepository,
+
+        subscribeWorkspaces(userId, onChange, onError) {
+            return subscribe(() => Object.entries(state.workspaces)
+                .filter(([, workspace]) => workspace.users[userId])
+                .map(([id, workspace]) => ({ id, name: workspace.name })), onChange, onError);
+        },
+
+        async getRole(workspaceId, userId) {
+            return state.workspaces[workspaceId]?.users[userId]?.role || null;
+        },
+
+        async createWorkspace(name, userId) {
+            const id = newId();
+            const profile = state.workspaces[DEFAULT_WORKSPACE_ID].users[userId];
+            state.workspaces[id] = emptyWorkspace(newWorkspaceDoc(name, userId));
+            state.workspaces[id].users[userId] = {
+                id: userId,
+                ...newMemberDoc(profile, profile?.email || '', FIRST_USER_ROLE),
+                createdAt: new Date()
+            };
+            save();
+            return id;
+        },
+
+        subscribeInvitations(workspaceId, onChange, onError) {
+            return subscribe(() => Object.values(state.invitations)
+                .filter(invitation => invitation.workspaceId === workspaceId)
+                .map(clone), onChange, onError);
+        },
+
+        subscribeMyInvitations(email, onChange, onError) {
+            return subscribe(() => Object.values(state.invitations)
+                .filter(invitation => invitation.email === normalizeEmail(email || ''))
+                .map(clone), onChange, onError);
+        },
+
+        async inviteMember(workspace, email, role, userId) {
+            const id = invitationId(workspace.id, email);
+            if (state.invitations[id]) {
+                throw Object.assign(new Error(`${normalizeEmail(email)} has already been invited.`), { code: 'conflict' });
+            }
+            state.invitations[id] = { id, ...newInvitationDoc(workspace, email, role, userId), createdAt: new Date() };
+            save();
+        },
+
+        async deleteInvitation(invitation) {
+            delete state.invitations[invitation.id];
+            save();
+        },
+
+        async acceptInvitation(invitation, userId) {
+            const current = requireInvitation(invitation);
+            const profile = state.workspaces[DEFAULT_WORKSPACE_ID].users[userId];
+            requireWorkspace(current.workspaceId).users[userId] = {
+                id: userId,
+                ...newMemberDoc(profile, current.email, current.role),
+                createdAt: new Date()
+            };
+            delete state.invitations[current.id];
+            save();
+        },
+
+        async transferCamera(camera, from, to, userId) {
+            const source = requireWorkspace(from.id);
+            const target = requireWorkspace(to.id);
+            // As the security rules do in Firestore.
+            if (!can(source.users[userId]?.role, 'transferCamera') || !can(target.users[userId]?.role, 'transferCamera')) {
+                throw Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' });
+            }
+            const current = source.cameras[camera.id];
+            if (!current) throw Object.assign(new Error(`${camera.cameraNumber} was deleted.`), { code: 'conflict' });
+            assertCanTransfer(current);
+            if (target.cameras[camera.id]) throw new Error(`${camera.cameraNumber} is already in ${to.name}.`);
+            target.cameras[camera.id] = { id: camera.id, ...transferredFields(current) };
+            const event = transferEvent(from, to, userId);
+            const at = new Date();
+            target.history[camera.id] = [...(source.history[camera.id] || []), { id: newId(), ...event, timestamp: at }];
+            // Both teams see the camera leave or arrive.
+            addActivity(source, current, event, at);
+            addActivity(target, current, event, at);
+            delete source.cameras[camera.id];
+            delete source.history[camera.id];
+            save();
+        }
+    };
+}
+
+// --- Helpers ---
+
+function getLocalStorage() {
+    try {
+        return typeof window !== 'undefined' ? window.localStorage : null;
+    } catch (e) {
+        // Access throws in some privacy modes; fall back to memory only.
+        return null;
+    }
+}
+
+function emptyWorkspace(workspaceDoc) {
+    return { ...workspaceDoc, createdAt: new Date(), cameras: {}, history: {}, activity: [], users: {}, jobs: {} };
+}
+
+// Keeps the newest ACTIVITY_LIMIT entries. Stores from before the feed have no `activity`.
+function addActivity(workspace, camera, event, at) {
+    const entries = [{ id: newId(), ...activityEntry(camera, event), timestamp: at }, ...(workspace.activity || [])];
+    workspace.activity = entries.sort((a, b) => b.timestamp - a.timestamp).slice(0, ACTIVITY_LIMIT);
+}
+
+function addJobId(jobIds = [], jobId) {
+    return jobId && !jobIds.includes(jobId) ? [...jobIds, jobId] : jobIds;
+}
+
+async function hashPassword(password, salt) {
+    const bytes = new TextEncoder().encode(`${salt}:${password}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function newId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+function reviveDates(key, value) {
+    return typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value;
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value), reviveDates);
+}
@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import { appId } from './config';
+import { isOverdue } from './cameraModel';
+
+// --- Overdue Alerts ---
+
+// Only cameras that went overdue this recently trigger a notification, so opening the app
+// after a long break does not replay every old deadline.
+const RECENTLY_OVERDUE_MS = 24 * 60 * 60 * 1000;
+const NOTIFIED_KEY = `camera-tracker:${appId}:overdue-notified`;
+
+// Current time, refreshed periodically so deadlines pass without a data change.
+export function useNow(intervalMs = 60000) {
+    const [now, setNow] = useState(() => new Date());
+    useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), intervalMs);
+        return () => clearInterval(timer);
+    }, [intervalMs]);
+    return now;
+}
+
+export function notificationPermission() {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+export async function requestNotificationPermission() {
+    if (typeof Notification === 'undefined') return 'unsupported';
+    return Notification.requestPermission();
+}
+
+// Android Chrome only shows notifications through the service worker; its Notification
+// constructor throws. The constructor is for other browsers and for builds without a worker.
+export async function showNotification(title, options) {
+    try {
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, options);
+            return;
+        }
+    } catch (e) {
+        // Fall back to the constructor.
+    }
+    try {
+        new Notification(title, options);
+    } catch (e) {
+        console.error("Notification Error:", e);
+    }
+}
+
+// Shows a browser notification for each camera that has just gone overdue. Each deployment
+// is only announced once, across reloads and tabs.
+export function useOverdueNotifications(cameras, now, enabled) {
+    useEffect(() => {
+        if (!enabled || notificationPermission() !== 'granted') return;
+
+        const notified = readNotified();
+        const justOverdue = cameras.filter(camera =>
+            isOverdue(camera, now)
+            && now - camera.expectedReturnDate < RECENTLY_OVERDUE_MS
+            && !notified.has(notificationKey(camera))
+        );
+        if (justOverdue.length === 0) return;
+
+        justOverdue.forEach(camera => {
+            notified.add(notificationKey(camera));
+            showNotification(`${camera.cameraNumber} is overdue`, {
+                body: `Expected back ${camera.expectedReturnDate.toLocaleDateString()} from ${camera.location}.`,
+                tag: notificationKey(camera)
+            });
+        });
+        writeNotified(notified, cameras);
+    }, [cameras, now, enabled]);
+}
+
+// --- Helpers ---
+
+function notificationKey(camera) {
+    return `${camera.id}:${camera.expectedReturnDate.getTime()}`;
+}
+
+function readNotified() {
+    try {
+        return new Set(JSON.parse(window.localStorage.getItem(NOTIFIED_KEY)) || []);
+    } catch (e) {
+        return new Set();
+    }
+}
+
+// Forgets deployments that are no longer current so the list does not grow forever.
+function writeNotified(notified, cameras) {
+    const current = new Set(cameras.filter(c => c.expectedReturnDate).map(notificationKey));
+    try {
+        window.localStorage.setItem(NOTIFIED_KEY, JSON.stringify([...notified].filter(key => current.has(key))));
+    } catch (e) {
+        // Notifications may repeat after a reload; nothing else depends on this.
+    }
+}
@@ -0,0 +1,235 @@
+import { appId } from './config';
+import { DEFAULT_WORKSPACE_ID } from './workspaceModel';
+
+// --- Deployment Photos ---
+// Photos are downscaled in the browser before upload: a full-size copy for viewing and a small
+// thumbnail for cards, popups and history. GPS and capture time are read from the original
+// file's EXIF block first, since re-encoding through a canvas drops it.
+
+export const MAX_PHOTOS = 10;
+const FULL_SIZE_PX = 1600;
+const THUMB_SIZE_PX = 320;
+const JPEG_QUALITY = 0.82;
+// The EXIF block sits right after the JPEG header and is at most 64 KB.
+const EXIF_SCAN_BYTES = 128 * 1024;
+
+/**
+ * A photo ready to upload, as produced by `preparePhoto`.
+ *
+ * @typedef {Object} PreparedPhoto
+ * @property {string} id
+ * @property {Blob} full
+ * @property {Blob} thumb
+ * @property {number} width  Of the full-size copy.
+ * @property {number} height
+ * @property {Date|null} takenAt  From EXIF, when the camera recorded it.
+ * @property {string} lat  From EXIF GPS, or '' when the photo has none.
+ * @property {string} lng
+ *
+ * A stored photo, as kept on check-out/check-in events and the deployed camera. The paths are
+ * resolved to URLs with the repository's `getPhotoUrl`.
+ *
+ * @typedef {Object} Photo
+ * @property {string} id
+ * @property {string} path
+ * @property {string} thumbPath
+ * @property {number} width
+ * @property {number} height
+ * @property {Date|null} takenAt
+ * @property {string} lat
+ * @property {string} lng
+ */
+
+export async function preparePhoto(file) {
+    if (!file.type.startsWith('image/')) {
+        throw Object.assign(new Error(`${file.name} is not an image.`), { code: 'not-image' });
+    }
+    const exif = readExif(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+    const image = await decodeImage(file);
+    try {
+        const full = await scaleToJpeg(image, FULL_SIZE_PX);
+        const thumb = await scaleToJpeg(image, THUMB_SIZE_PX);
+        return { id: newPhotoId(), full: full.blob, thumb: thumb.blob, width: full.width, height: full.height, ...exif };
+    } finally {
+        if (image.close) image.close();
+    }
+}
+
+// Every photo of a camera lives under one folder, so purging the camera can remove them all.
+// A camera transferred to another workspace keeps pointing at the folder it was photographed in.
+export function photoFolder(workspaceId, cameraId) {
+    return workspaceId === DEFAULT_WORKSPACE_ID
+        ? `artifacts/${appId}/cameras/${cameraId}/photos`
+        : `artifacts/${appId}/workspaces/${workspaceId}/cameras/${cameraId}/photos`;
+}
+
+// The metadata kept in documents; adapters store `prepared.full` and `prepared.thumb` under its
+// `path` and `thumbPath`.
+export function storedPhoto(workspaceId, cameraId, prepared) {
+    const base = `${photoFolder(workspaceId, cameraId)}/${prepared.id}`;
+    return {
+        id: prepared.id,
+        path: `${base}.jpg`,
+        thumbPath: `${base}-thumb.jpg`,
+        width: prepared.width,
+        height: prepared.height,
+        takenAt: prepared.takenAt || null,
+        lat: prepared.lat || '',
+        lng: prepared.lng || ''
+    };
+}
+
+export function photoErrorMessage(e) {
+    if (e.code === 'not-image') return e.message;
+    return 'That photo could not be read. Try another, or take it again.';
+}
+
+// --- EXIF ---
+
+/**
+ * Reads GPS position and capture time from a JPEG's EXIF block. Anything missing or malformed
+ * is simply left out.
+ *
+ * @param {ArrayBuffer} buffer  The start of the file.
+ * @returns {{lat: string, lng: string, takenAt: Date|null}}
+ */
+export function readExif(buffer) {
+    const none = { lat: '', lng: '', takenAt: null };
+    try {
+        const view = new DataView(buffer);
+        if (view.getUint16(0) !== 0xFFD8) return none;
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            // 'Exif' in an APP1 segment.
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) return { ...none, ...readTiff(view, offset + 10) };
+            // Stop at the image data or at anything that isn't a segment.
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return none;
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    } catch (e) {
+        // A truncated block reads past the end of the buffer; treat it as no EXIF.
+        if (!(e instanceof RangeError)) throw e;
+    }
+    return none;
+}
+
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const GPS_LAT_REF = 1;
+const GPS_LAT = 2;
+const GPS_LNG_REF = 3;
+const GPS_LNG = 4;
+
+function readTiff(view, start) {
+    const littleEndian = view.getUint16(start) === 0x4949;
+    const ifd0 = readIfd(view, start, view.getUint32(start + 4, littleEndian), littleEndian);
+    const exifIfd = ifd0[TAG_EXIF_IFD] ? readIfd(view, start, ifd0[TAG_EXIF_IFD][0], littleEndian) : {};
+    const gpsIfd = ifd0[TAG_GPS_IFD] ? readIfd(view, start, ifd0[TAG_GPS_IFD][0], littleEndian) : {};
+
+    const result = {};
+    const lat = toDegrees(gpsIfd[GPS_LAT], gpsIfd[GPS_LAT_REF], 'S');
+    const lng = toDegrees(gpsIfd[GPS_LNG], gpsIfd[GPS_LNG_REF], 'W');
+    if (lat !== null && lng !== null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && (lat !== 0 || lng !== 0)) {
+        result.lat = lat.toFixed(6);
+        result.lng = lng.toFixed(6);
+    }
+    const takenAt = parseExifDate(exifIfd[TAG_DATE_TIME_ORIGINAL]);
+    if (takenAt) result.takenAt = takenAt;
+    return result;
+}
+
+// Reads an IFD into a map of tag to value: a string for ASCII, otherwise an array of numbers.
+function readIfd(view, tiffStart, ifdOffset, littleEndian) {
+    const entries = {};
+    const base = tiffStart + ifdOffset;
+    const count = view.getUint16(base, littleEndian);
+    for (let i = 0; i < count; i++) {
+        const entry = base + 2 + i * 12;
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const valueCount = view.getUint32(entry + 4, littleEndian);
+        const size = { 2: 1, 3: 2, 4: 4, 5: 8 }[type];
+        if (!size) continue;
+        // Values of four bytes or less are stored in the entry itself.
+        const at = size * valueCount <= 4 ? entry + 8 : tiffStart + view.getUint32(entry + 8, littleEndian);
+        if (type === 2) {
+            let text = '';
+            for (let j = 0; j < valueCount; j++) {
+                const code = view.getUint8(at + j);
+                if (code === 0) break;
+                text += String.fromCharCode(code);
+            }
+            entries[tag] = text;
+        } else {
+            entries[tag] = Array.from({ length: valueCount }, (_, j) => {
+                if (type === 3) return view.getUint16(at + j * 2, littleEndian);
+                if (type === 4) return view.getUint32(at + j * 4, littleEndian);
+                const denominator = view.getUint32(at + j * 8 + 4, littleEndian);
+                return denominator ? view.getUint32(at + j * 8, littleEndian) / denominator : 0;
+            });
+        }
+    }
+    return entries;
+}
+
+// Degrees, minutes and seconds to signed decimal degrees.
+function toDegrees(dms, ref, negativeRef) {
+    if (!Array.isArray(dms) || dms.length < 3 || typeof ref !== 'string') return null;
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref.trim().toUpperCase() === negativeRef ? -degrees : degrees;
+}
+
+// 'YYYY:MM:DD HH:MM:SS' in the camera's local time, which is taken to be the device's.
+function parseExifDate(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    return isNaN(date) || year < 1990 ? null : date;
+}
+
+// --- Downscaling ---
+
+// Decoded with the EXIF orientation applied, so portrait shots stay upright once re-encoded.
+async function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (e) {
+            // Older Safari rejects the options argument; the <img> path below handles it.
+        }
+    }
+    const url = URL.createObjectURL(file);
+    try {
+        return await new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Could not decode ${file.name}.`));
+            image.src = url;
+        });
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+function scaleToJpeg(image, maxSize) {
+    const sourceWidth = image.naturalWidth || image.width;
+    const sourceHeight = image.naturalHeight || image.height;
+    const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(sourceWidth * scale);
+    canvas.height = Math.round(sourceHeight * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob
+            ? resolve({ blob, width: canvas.width, height: canvas.height })
+            : reject(new Error('Could not encode the photo.')), 'image/jpeg', JPEG_QUALITY);
+    });
+}
+
+function newPhotoId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
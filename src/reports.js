@@ -0,0 +1,147 @@
+import { buildDeployments, isOverdue } from './cameraModel';
+
+// --- Utilization Reports ---
+// Everything here is computed from the camera snapshots plus each camera's history, over a
+// date range. A deployment still in the field counts up to `now`.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const OUT_OF_SERVICE = ['maintenance', 'repair', 'lost'];
+// Cameras that can't go out are not "idle", however long they have sat.
+const NOT_DEPLOYABLE = ['in_use', 'lost', 'retired'];
+
+export function summarizeFleet(cameras, now = new Date()) {
+    return {
+        total: cameras.length,
+        available: cameras.filter(c => c.status === 'available').length,
+        inUse: cameras.filter(c => c.status === 'in_use').length,
+        overdue: cameras.filter(c => isOverdue(c, now)).length,
+        outOfService: cameras.filter(c => OUT_OF_SERVICE.includes(c.status)).length
+    };
+}
+
+/**
+ * Builds every report for the range [start, end].
+ *
+ * @param {Object[]} cameras           Active (unarchived) cameras.
+ * @param {Object} historyByCamera     Camera id to its history events, oldest first.
+ * @param {Object[]} jobs
+ * @param {{start: Date, end: Date, idleDays: number, now?: Date}} options
+ */
+export function buildReports(cameras, historyByCamera, jobs, { start, end, idleDays, now = new Date() }) {
+    const deploymentsByCamera = Object.fromEntries(cameras.map(camera => [camera.id, buildDeployments(historyByCamera[camera.id] || [])]));
+    const rangeEnd = end < now ? end : now;
+
+    const utilization = cameras.map(camera => {
+        // A camera added part-way through the range is only measured from when it existed.
+        const from = camera.createdAt && camera.createdAt > start ? camera.createdAt : start;
+        const availableMs = Math.max(0, rangeEnd - from);
+        const deployedMs = deploymentsByCamera[camera.id].reduce((sum, d) => sum + overlapMs(d, start, rangeEnd, now), 0);
+        return {
+            cameraNumber: camera.cameraNumber,
+            deployedDays: deployedMs / DAY_MS,
+            percent: availableMs > 0 ? Math.min(100, (deployedMs / availableMs) * 100) : 0
+        };
+    }).sort((a, b) => b.percent - a.percent || a.cameraNumber.localeCompare(b.cameraNumber, undefined, { numeric: true }));
+
+    const completed = Object.values(deploymentsByCamera).flat()
+        .filter(d => d.checkedOutAt && d.checkedInAt && d.checkedInAt >= start && d.checkedInAt <= end);
+    const averageDeploymentMs = completed.length > 0
+        ? completed.reduce((sum, d) => sum + (d.checkedInAt - d.checkedOutAt), 0) / completed.length
+        : null;
+
+    return {
+        summary: summarizeFleet(cameras, now),
+        averageDeploymentMs,
+        completedDeployments: completed.length,
+        averageUtilization: utilization.length > 0 ? utilization.reduce((sum, u) => sum + u.percent, 0) / utilization.length : 0,
+        utilization,
+        topJobs: topJobs(deploymentsByCamera, jobs, start, rangeEnd, now),
+        idle: idleCameras(cameras, deploymentsByCamera, idleDays, now)
+    };
+}
+
+// Camera-days per job in the range. Deployments without a job are grouped by their location text.
+function topJobs(deploymentsByCamera, jobs, start, end, now) {
+    const jobsById = new Map(jobs.map(job => [job.id, job]));
+    const totals = new Map();
+    Object.values(deploymentsByCamera).flat().forEach(deployment => {
+        const ms = overlapMs(deployment, start, end, now);
+        if (ms <= 0) return;
+        const job = jobsById.get(deployment.jobId);
+        const key = job ? `job:${job.id}` : (deployment.location || '').trim().toLowerCase();
+        if (!totals.has(key)) totals.set(key, { name: job?.name || deployment.location || 'Unknown location', cameraDays: 0, deployments: 0 });
+        const total = totals.get(key);
+        total.cameraDays += ms / DAY_MS;
+        total.deployments += 1;
+    });
+    return [...totals.values()].sort((a, b) => b.cameraDays - a.cameraDays);
+}
+
+function idleCameras(cameras, deploymentsByCamera, idleDays, now) {
+    return cameras
+        .filter(camera => !NOT_DEPLOYABLE.includes(camera.status))
+        .map(camera => {
+            const lastReturn = deploymentsByCamera[camera.id].find(d => d.checkedInAt)?.checkedInAt || null;
+            const since = lastReturn || camera.createdAt || null;
+            return {
+                cameraNumber: camera.cameraNumber,
+                status: camera.status,
+                lastDeployedAt: lastReturn,
+                idleDays: since ? Math.floor((now - since) / DAY_MS) : null
+            };
+        })
+        // Cameras with no dates at all predate history and are listed as idle.
+        .filter(item => item.idleDays === null || item.idleDays >= idleDays)
+        .sort((a, b) => (b.idleDays ?? Infinity) - (a.idleDays ?? Infinity));
+}
+
+function overlapMs(deployment, start, end, now) {
+    if (!deployment.checkedOutAt) return 0;
+    const from = Math.max(deployment.checkedOutAt, start);
+    const to = Math.min(deployment.checkedInAt || now, end);
+    return Math.max(0, to - from);
+}
+
+// --- Report Export Columns ---
+// Same shape as the inventory columns, so reports go through `formatExport`.
+
+export const UTILIZATION_COLUMNS = [
+    ['cameraNumber', u => u.cameraNumber],
+    ['deployedDays', u => u.deployedDays.toFixed(1)],
+    ['utilizationPercent', u => u.percent.toFixed(1)]
+];
+
+export const JOB_COLUMNS = [
+    ['job', j => j.name],
+    ['cameraDays', j => j.cameraDays.toFixed(1)],
+    ['deployments', j => j.deployments]
+];
+
+export const IDLE_COLUMNS = [
+    ['cameraNumber', i => i.cameraNumber],
+    ['status', i => i.status],
+    ['lastDeployedAt', i => i.lastDeployedAt],
+    ['idleDays', i => i.idleDays]
+];
+
+export const SUMMARY_COLUMNS = [
+    ['metric', row => row.metric],
+    ['value', row => row.value]
+];
+
+// The headline numbers as rows for SUMMARY_COLUMNS.
+export function summaryRows(reports, start, end) {
+    const { summary } = reports;
+    return [
+        { metric: 'rangeStart', value: start },
+        { metric: 'rangeEnd', value: end },
+        { metric: 'totalCameras', value: summary.total },
+        { metric: 'available', value: summary.available },
+        { metric: 'inUse', value: summary.inUse },
+        { metric: 'overdue', value: summary.overdue },
+        { metric: 'outOfService', value: summary.outOfService },
+        { metric: 'completedDeployments', value: reports.completedDeployments },
+        { metric: 'averageDeploymentDays', value: reports.averageDeploymentMs === null ? '' : (reports.averageDeploymentMs / DAY_MS).toFixed(1) },
+        { metric: 'averageUtilizationPercent', value: reports.averageUtilization.toFixed(1) }
+    ];
+}
@@ -0,0 +1,48 @@
+// --- Roles and Permissions ---
+
+export const ROLES = {
+    admin: { label: 'Admin', className: 'bg-cyan-500/20 text-cyan-400' },
+    technician: { label: 'Technician', className: 'bg-green-500/20 text-green-400' },
+    viewer: { label: 'Viewer', className: 'bg-gray-600/40 text-gray-300' }
+};
+
+// New accounts can look but not touch until an admin promotes them. The very first account
+// in a store, and whoever creates a workspace, becomes its admin so there is always someone who can.
+export const DEFAULT_ROLE = 'viewer';
+export const FIRST_USER_ROLE = 'admin';
+
+const PERMISSIONS = {
+    addCamera: ['admin'],
+    editCamera: ['admin', 'technician'],
+    archiveCamera: ['admin'],
+    manageArchive: ['admin'],
+    checkOut: ['admin', 'technician'],
+    checkIn: ['admin', 'technician'],
+    checkInForOthers: ['admin'],
+    changeStatus: ['admin', 'technician'],
+    manageJobs: ['admin', 'technician'],
+    manageUsers: ['admin'],
+    transferCamera: ['admin']
+};
+
+export function can(role, permission) {
+    return (PERMISSIONS[permission] || []).includes(role);
+}
+
+// Whether the user may check in this particular camera.
+export function canCheckIn(user, camera) {
+    if (!user || !can(user.role, 'checkIn')) return false;
+    return camera.checkedOutBy === user.uid || can(user.role, 'checkInForOthers');
+}
+
+// Correcting a deployed camera's position follows the same rule as checking it in.
+export function canMoveCamera(user, camera) {
+    return camera.status === 'in_use' && canCheckIn(user, camera);
+}
+
+// Resolves a user id to a display name, falling back to a shortened id for unknown users
+// (e.g. anonymous accounts from before sign-in was required).
+export function displayName(users, uid) {
+    if (!uid) return '';
+    return users[uid]?.displayName || `${uid.substring(0, 12)}...`;
+}
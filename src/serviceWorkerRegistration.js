@@ -0,0 +1,15 @@
+// --- Service Worker ---
+// Registers public/service-worker.js, which caches the app shell so the installed app opens with
+// no signal. Development builds skip it: a cached shell would hide code changes.
+
+export function register() {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+    // After load, so installing the worker does not compete with the first render.
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch((e) => {
+            // The app still works online; it just will not open offline.
+            console.error("Service worker registration failed:", e);
+        });
+    });
+}
@@ -0,0 +1,25 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes.
+// allows you to do things like:
+// expect(element).toHaveTextContent(/react/i)
+// learn more: https://github.com/testing-library/jest-dom
+import '@testing-library/jest-dom';
+import { TextEncoder } from 'util';
+import { webcrypto } from 'crypto';
+
+// jsdom lacks the Web Crypto and encoding APIs the local adapter hashes passwords with.
+if (typeof global.TextEncoder === 'undefined') global.TextEncoder = TextEncoder;
+if (!global.crypto?.subtle) Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+
+// Tests run against the local adapter (see testUtils.js) and never reach Firebase, whose SDK
+// would not load under jsdom anyway.
+jest.mock('./firestoreRepository', () => ({
+    createFirestoreRepository: () => {
+        throw new Error('Tests use the local store; see createTestStore in testUtils.js.');
+    }
+}));
+
+// The sync queue, the last used workspace, overdue alerts and activity settings remember things
+// in localStorage; each test starts without them.
+afterEach(() => {
+    window.localStorage.clear();
+});
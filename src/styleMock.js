@@ -0,0 +1,3 @@
+// Stands in for stylesheets in tests (see "moduleNameMapper" in package.json): jsdom does no
+// layout, so the app and Leaflet CSS only need to import without error.
+module.exports = {};
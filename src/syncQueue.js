@@ -0,0 +1,369 @@
+import { appId } from './config';
+import { checkedOutFields, checkedInFields, statusChangedFields, movedFields } from './cameraModel';
+import { statusLabel } from './cameraStatus';
+
+// --- Offline Sync Queue ---
+// Wraps a CameraRepository so check-outs, check-ins, moves and status changes made without a connection are kept in
+// a persistent queue, shown optimistically in the camera list, and replayed once the device is
+// back online. Before replaying, each queued action is compared with the camera's current state;
+// if a colleague changed the same camera in the meantime the action is parked as a conflict for
+// the user to resolve instead of overwriting their change.
+
+// How long a write may hang (e.g. a connection that is "online" but has no signal) before it is
+// treated as offline and left in the queue.
+const WRITE_TIMEOUT_MS = 15000;
+const RETRY_INTERVAL_MS = 30000;
+
+// Fields restored to Date objects when the queue is read back from storage.
+const DATE_KEYS = ['queuedAt', 'expectedReturnDate', 'takenAt'];
+
+/**
+ * @typedef {Object} QueuedAction
+ * @property {string} id
+ * @property {'check_out'|'check_in'|'move'|'status_change'} type
+ * @property {string} cameraId
+ * @property {string} cameraNumber
+ * @property {Object} [locationData]  Check-outs only.
+ * @property {Object} [returnData]  Check-ins only.
+ * @property {{lat: string, lng: string}} [geolocation]  Moves only.
+ * @property {string} [status]  Status changes only.
+ * @property {string} [reason]  Status changes only.
+ * @property {string} userId
+ * @property {{status: string, location: string, checkedOutBy: string}} base
+ *     The camera as the user saw it when acting, used to detect conflicting changes.
+ * @property {Date} queuedAt
+ * @property {'pending'|'conflict'} state
+ * @property {string} [conflict]  Human-readable description of the conflicting change, or of why
+ *     the backend refused the action.
+ */
+
+export function createSyncQueue(repository, {
+    storage = getLocalStorage(),
+    storageKey = `camera-tracker:${appId}:sync-queue`,
+    requiresNetwork = repository.mode !== 'local'
+} = {}) {
+    let actions = load();
+    let isSyncing = false;
+    let remoteCameras = [];
+    const cameraListeners = new Set();
+    const stateListeners = new Set();
+
+    function load() {
+        if (!storage) return [];
+        try {
+            const raw = storage.getItem(storageKey);
+            return raw ? JSON.parse(raw, (key, value) => DATE_KEYS.includes(key) && value ? new Date(value) : value) : [];
+        } catch (e) {
+            console.error("Sync queue is unreadable, starting empty:", e);
+            return [];
+        }
+    }
+
+    function save() {
+        if (storage) storage.setItem(storageKey, JSON.stringify(actions));
+        emitCameras();
+        emitState();
+    }
+
+    function isOnline() {
+        return !requiresNetwork || typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    function getState() {
+        let status = 'synced';
+        if (actions.some(a => a.state === 'conflict')) status = 'conflict';
+        else if (isSyncing) status = 'syncing';
+        else if (!isOnline()) status = 'offline';
+        else if (actions.length > 0) status = 'pending';
+        return { status, actions: [...actions] };
+    }
+
+    function emitState() {
+        const state = getState();
+        stateListeners.forEach(listener => listener(state));
+    }
+
+    function emitCameras() {
+        const merged = applyPending(remoteCameras, actions);
+        cameraListeners.forEach(listener => listener(merged));
+    }
+
+    function remove(actionId) {
+        actions = actions.filter(a => a.id !== actionId);
+    }
+
+    function update(actionId, changes) {
+        actions = actions.map(a => a.id === actionId ? { ...a, ...changes } : a);
+    }
+
+    // Queued actions keep the time the user actually acted, not the time they synced.
+    async function apply(action, current, options = { at: action.queuedAt }) {
+        if (action.type === 'check_out') {
+            await withTimeout(repository.checkOut(current, action.locationData, action.userId, options));
+        } else if (action.type === 'move') {
+            await withTimeout(repository.moveCamera(current, action.geolocation, action.userId, options));
+        } else if (action.type === 'status_change') {
+            await withTimeout(repository.changeStatus(current, action.status, action.reason, action.userId, options));
+        } else {
+            await withTimeout(repository.checkIn(current, action.userId, action.returnData || {}, options));
+        }
+    }
+
+    async function replay(action) {
+        const current = await withTimeout(repository.getCamera(action.cameraId));
+        const outcome = compare(action, current);
+        if (outcome === 'applied') {
+            remove(action.id);
+        } else if (outcome === 'apply') {
+            await apply(action, current);
+            remove(action.id);
+        } else {
+            update(action.id, { state: 'conflict', conflict: outcome });
+        }
+        save();
+    }
+
+    async function flush() {
+        if (isSyncing || !isOnline()) {
+            emitState();
+            return;
+        }
+        const pending = actions.filter(a => a.state === 'pending');
+        if (pending.length === 0) return;
+
+        isSyncing = true;
+        emitState();
+        // Later actions on a camera with an unresolved conflict wait for the user's decision.
+        const blocked = new Set(actions.filter(a => a.state === 'conflict').map(a => a.cameraId));
+        try {
+            for (const action of pending) {
+                if (blocked.has(action.cameraId)) continue;
+                try {
+                    await replay(action);
+                } catch (e) {
+                    console.error("Sync Error:", e);
+                    // Offline again: the rest would fail the same way, so they wait for the next try.
+                    if (isNetworkError(e)) break;
+                    // Refused outright (e.g. by the security rules after a role change): parked like a
+                    // conflict so the other cameras' actions still sync.
+                    update(action.id, { state: 'conflict', conflict: `Could not sync: ${e.message || 'the change was refused.'}` });
+                    save();
+                }
+                if (actions.some(a => a.id === action.id)) blocked.add(action.cameraId);
+            }
+        } finally {
+            isSyncing = false;
+            emitState();
+        }
+    }
+
+    // Runs the action straight away when possible, falling back to the queue when offline or
+    // when earlier actions on the same camera are still waiting, so they replay in order.
+    // Check-outs and check-ins are handed the camera as the user saw it: the repository re-reads
+    // it in the same transaction as the write and rejects the action if it has changed since.
+    async function perform(action) {
+        const isBlocked = actions.some(a => a.cameraId === action.cameraId);
+        if (isOnline() && !isBlocked) {
+            try {
+                if (action.type === 'check_out' || action.type === 'check_in') {
+                    await apply(action, { id: action.cameraId, cameraNumber: action.cameraNumber, ...action.base }, {});
+                    return;
+                }
+                const current = await withTimeout(repository.getCamera(action.cameraId));
+                const outcome = compare(action, current);
+                if (outcome === 'apply') {
+                    await apply(action, current, {});
+                    return;
+                }
+                if (outcome === 'applied') return;
+                throw Object.assign(new Error(outcome), { code: 'conflict' });
+            } catch (e) {
+                if (!requiresNetwork || !isNetworkError(e)) throw e;
+            }
+        }
+        actions = [...actions, action];
+        save();
+    }
+
+    let retryTimer = null;
+    if (typeof window !== 'undefined') {
+        window.addEventListener('online', flush);
+        window.addEventListener('offline', emitState);
+        retryTimer = setInterval(flush, RETRY_INTERVAL_MS);
+    }
+
+    return {
+        ...repository,
+
+        subscribeCameras(onChange, onError) {
+            cameraListeners.add(onChange);
+            const unsubscribe = repository.subscribeCameras((cameras) => {
+                remoteCameras = cameras;
+                emitCameras();
+            }, onError);
+            return () => {
+                cameraListeners.delete(onChange);
+                unsubscribe();
+            };
+        },
+
+        checkOut(camera, locationData, userId) {
+            return perform(newAction('check_out', camera, userId, { locationData }));
+        },
+
+        checkIn(camera, userId, returnData = {}) {
+            return perform(newAction('check_in', camera, userId, { returnData }));
+        },
+
+        moveCamera(camera, geolocation, userId) {
+            return perform(newAction('move', camera, userId, { geolocation }));
+        },
+
+        changeStatus(camera, status, reason, userId) {
+            return perform(newAction('status_change', camera, userId, { status, reason }));
+        },
+
+        subscribeSyncState(listener) {
+            stateListeners.add(listener);
+            listener(getState());
+            flush();
+            return () => stateListeners.delete(listener);
+        },
+
+        syncNow: flush,
+
+        // Stops watching the connection and retrying; for a queue that is no longer used. Queued
+        // actions stay in storage for the next queue on the same key.
+        dispose() {
+            if (typeof window === 'undefined') return;
+            window.removeEventListener('online', flush);
+            window.removeEventListener('offline', emitState);
+            clearInterval(retryTimer);
+        },
+
+        // Drops a queued action, keeping the colleague's change.
+        discardAction(actionId) {
+            remove(actionId);
+            save();
+            flush();
+        },
+
+        // Applies a conflicting action on top of the current camera state.
+        async forceAction(actionId) {
+            const action = actions.find(a => a.id === actionId);
+            if (!action) return;
+            const current = await repository.getCamera(action.cameraId);
+            if (!current) {
+                remove(actionId);
+                save();
+                throw new Error(`Camera ${action.cameraNumber} no longer exists.`);
+            }
+            await apply(action, current);
+            remove(actionId);
+            save();
+            flush();
+        }
+    };
+}
+
+// --- Helpers ---
+
+function newAction(type, camera, userId, extra = {}) {
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+        type,
+        cameraId: camera.id,
+        cameraNumber: camera.cameraNumber,
+        userId,
+        base: {
+            status: camera.status,
+            location: camera.location || '',
+            checkedOutBy: camera.checkedOutBy || ''
+        },
+        queuedAt: new Date(),
+        state: 'pending',
+        ...extra
+    };
+}
+
+// Decides what to do with a queued action given the camera's current state: 'apply' it,
+// treat it as already 'applied', or return a description of the conflicting change.
+function compare(action, current) {
+    if (!current) return `Camera ${action.cameraNumber} was deleted.`;
+
+    if (action.type === 'check_out') {
+        if (current.status === 'available') return 'apply';
+        if (current.status !== 'in_use') return `${action.cameraNumber} is now ${statusLabel(current.status)} and cannot be checked out.`;
+        if (current.checkedOutBy === action.userId && current.location === action.locationData.location) return 'applied';
+        return `${action.cameraNumber} was already checked out to "${current.location}".`;
+    }
+
+    if (action.type === 'move') {
+        if (current.status !== 'in_use' || current.checkedOutBy !== action.base.checkedOutBy || current.location !== action.base.location) {
+            return `${action.cameraNumber} was checked in or redeployed since you moved it.`;
+        }
+        if (current.geolocation?.lat === action.geolocation.lat && current.geolocation?.lng === action.geolocation.lng) return 'applied';
+        return 'apply';
+    }
+
+    if (action.type === 'status_change') {
+        if (current.status === action.status) return 'applied';
+        if (current.status === action.base.status) return 'apply';
+        return `${action.cameraNumber} was changed to ${statusLabel(current.status)} since you marked it ${statusLabel(action.status)}.`;
+    }
+
+    const returnStatus = action.returnData?.status || 'available';
+    if (current.status !== 'in_use') {
+        // Someone else already checked it in; only a plain return can be treated as done.
+        if (current.status === returnStatus || returnStatus === 'available') return 'applied';
+        return `${action.cameraNumber} was already checked in as ${statusLabel(current.status)}.`;
+    }
+    if (current.checkedOutBy === action.base.checkedOutBy && current.location === action.base.location) return 'apply';
+    return `${action.cameraNumber} was checked out again to "${current.location}" since you checked it in.`;
+}
+
+// Overlays queued actions on the remote camera list so the UI reflects what the user did.
+function applyPending(cameras, actions) {
+    if (actions.length === 0) return cameras;
+    return cameras.map(camera => actions
+        .filter(a => a.cameraId === camera.id && a.state === 'pending')
+        .reduce((merged, action) => ({
+            ...merged,
+            ...pendingFields(action, merged),
+            pendingSync: true
+        }), camera));
+}
+
+function pendingFields(action, camera) {
+    if (action.type === 'check_out') {
+        return { ...checkedOutFields(action.locationData, action.userId), checkedOutTimestamp: action.queuedAt };
+    }
+    if (action.type === 'move') {
+        return movedFields(action.geolocation);
+    }
+    if (action.type === 'status_change') {
+        return { ...statusChangedFields(action.status, action.reason, action.userId), statusChangedAt: action.queuedAt };
+    }
+    return { ...checkedInFields(camera, action.returnData, action.userId), statusChangedAt: action.queuedAt };
+}
+
+function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error('Write timed out.'), { code: 'unavailable' })), WRITE_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function isNetworkError(e) {
+    return e?.code === 'unavailable' || e?.code === 'deadline-exceeded' || e?.name === 'NetworkError'
+        || (typeof navigator !== 'undefined' && navigator.onLine === false);
+}
+
+function getLocalStorage() {
+    try {
+        return typeof window !== 'undefined' ? window.localStorage : null;
+    } catch (e) {
+        return null;
+    }
+}
@@ -0,0 +1,48 @@
+import { createSyncQueue } from './syncQueue';
+
+const SITE = { status: 'in_use', location: 'Smith Residence', checkedOutBy: 'tina' };
+
+// A check-in Tina made offline, as the queue stores it.
+function queuedCheckIn(cameraId, cameraNumber) {
+    return { id: `check-in-${cameraId}`, type: 'check_in', cameraId, cameraNumber, returnData: {}, userId: 'tina', base: SITE, queuedAt: new Date(), state: 'pending' };
+}
+
+function storageHolding(key, actions) {
+    const items = { [key]: JSON.stringify(actions) };
+    return {
+        getItem: (name) => items[name] ?? null,
+        setItem: (name, value) => { items[name] = value; }
+    };
+}
+
+function readSyncState(queue) {
+    let state;
+    queue.subscribeSyncState(current => { state = current; })();
+    return state;
+}
+
+describe('the sync queue', () => {
+    it('parks an action the backend refuses and syncs the ones after it', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const repository = {
+            mode: 'firestore',
+            getCamera: async (cameraId) => ({ id: cameraId, ...SITE }),
+            checkIn: jest.fn(async (camera) => {
+                if (camera.id === 'cam-1') throw Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' });
+            })
+        };
+        const queue = createSyncQueue(repository, {
+            storage: storageHolding('queue', [queuedCheckIn('cam-1', 'CAM-1'), queuedCheckIn('cam-2', 'CAM-2')]),
+            storageKey: 'queue'
+        });
+
+        await queue.syncNow();
+
+        expect(repository.checkIn).toHaveBeenCalledTimes(2);
+        expect(readSyncState(queue)).toMatchObject({
+            status: 'conflict',
+            actions: [{ cameraId: 'cam-1', state: 'conflict', conflict: 'Could not sync: Missing or insufficient permissions.' }]
+        });
+        queue.dispose();
+    });
+});
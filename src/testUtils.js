@@ -0,0 +1,234 @@
+import { createCameraRepository } from './cameraRepository';
+import { createLocalRepository } from './localRepository';
+import { DEFAULT_WORKSPACE_ID } from './workspaceModel';
+
+// --- Test Helpers ---
+// Shared by the component tests (src/*.test.js, run headless by `npm test`). Nothing
+// here touches the network: the store is the local adapter held in memory, and maps go through
+// a stand-in for Leaflet. The security rules tests in rules-tests/ are separate and need the
+// Firebase emulators.
+
+// An AppRepository over an in-memory local store, with one account signed up and signed in.
+// The first account is the default workspace's admin; pass `role` for another.
+export async function createTestStore({ displayName = 'Alice', email = 'alice@example.com', role } = {}) {
+    const appRepository = createCameraRepository(createLocalRepository({ storage: null }));
+    await appRepository.signUp(email, 'password', displayName);
+    const user = await signedInUser(appRepository);
+    const repository = appRepository.workspace(DEFAULT_WORKSPACE_ID);
+    if (role) await repository.updateUser(user.uid, { role });
+    return { appRepository, repository, user };
+}
+
+// Another account in the store's default workspace, a technician unless `role` says otherwise.
+// Signing up signs the colleague in, so the store's own user is signed back in afterwards;
+// call it before rendering the app.
+export async function addColleague(store, { displayName, email, role = 'technician' }) {
+    await store.appRepository.signUp(email, 'password', displayName);
+    const colleague = await signedInUser(store.appRepository);
+    await store.repository.updateUser(colleague.uid, { role });
+    await store.appRepository.signIn(store.user.email, 'password');
+    return colleague;
+}
+
+function signedInUser(appRepository) {
+    return new Promise(resolve => {
+        const unsubscribe = appRepository.onAuthChange((user) => {
+            unsubscribe();
+            resolve(user);
+        });
+    });
+}
+
+// The workspace's cameras as the next snapshot delivers them.
+export function readCameras(repository) {
+    return new Promise((resolve, reject) => {
+        const unsubscribe = repository.subscribeCameras((cameras) => {
+            unsubscribe();
+            resolve(cameras);
+        }, reject);
+    });
+}
+
+// --- Fake Leaflet ---
+// jsdom has no layout engine, so Leaflet cannot draw there. Replaces the `L` and
+// `addBaseLayer` exports of leaflet.js with objects that only record what the app does with
+// them: the maps made, the layers added to each, and every marker's position, icon and popup.
+//
+//     jest.mock('./leaflet', () => ({ ...jest.requireActual('./leaflet'), ...require('./testUtils').createFakeLeaflet() }));
+//
+// `markerIcon(color, label)` is replaced too, returning `{color, label}` so tests can read a
+// marker's colour off `marker.options.icon`.
+
+class FakeEvented {
+    constructor() {
+        this.handlers = {};
+    }
+
+    on(type, handler) {
+        this.handlers[type] = [...(this.handlers[type] || []), handler];
+        return this;
+    }
+
+    fire(type, event = {}) {
+        (this.handlers[type] || []).forEach(handler => handler(event));
+        return this;
+    }
+}
+
+class FakeMap extends FakeEvented {
+    constructor(container) {
+        super();
+        this.container = container;
+        this.layers = new Set();
+        this.center = null;
+        this.zoom = null;
+        this.fittedBounds = null;
+        this.isRemoved = false;
+    }
+
+    setView(center, zoom) {
+        this.center = toPoint(center);
+        this.zoom = zoom;
+        return this;
+    }
+
+    getZoom() {
+        return this.zoom;
+    }
+
+    // Every position counts as in view.
+    getBounds() {
+        return { contains: () => true };
+    }
+
+    panTo(center) {
+        this.center = toPoint(center);
+        return this;
+    }
+
+    fitBounds(bounds) {
+        this.fittedBounds = bounds;
+        return this;
+    }
+
+    addLayer(layer) {
+        this.layers.add(layer);
+        return this;
+    }
+
+    removeLayer(layer) {
+        this.layers.delete(layer);
+        return this;
+    }
+
+    remove() {
+        this.isRemoved = true;
+        this.fire('unload');
+        return this;
+    }
+
+    // The markers a user would see: those added directly and those in groups on the map.
+    visibleMarkers() {
+        return [...this.layers].flatMap(layer => layer instanceof FakeMarker ? [layer] : [...layer.layers]);
+    }
+}
+
+class FakeLayerGroup {
+    constructor(options = {}) {
+        this.options = options;
+        this.layers = new Set();
+    }
+
+    addTo(map) {
+        map.addLayer(this);
+        return this;
+    }
+
+    addLayer(layer) {
+        this.layers.add(layer);
+        return this;
+    }
+
+    removeLayer(layer) {
+        this.layers.delete(layer);
+        return this;
+    }
+}
+
+class FakeMarker extends FakeEvented {
+    constructor(latLng, options = {}) {
+        super();
+        this.latLng = toPoint(latLng);
+        this.options = options;
+        this.popup = null;
+        this.map = null;
+    }
+
+    addTo(map) {
+        this.map = map;
+        map.addLayer(this);
+        return this;
+    }
+
+    remove() {
+        if (this.map) this.map.removeLayer(this);
+        this.map = null;
+        return this;
+    }
+
+    getLatLng() {
+        const { lat, lng } = this.latLng;
+        return { lat, lng, clone: () => ({ lat, lng }) };
+    }
+
+    setLatLng(latLng) {
+        this.latLng = toPoint(latLng);
+        return this;
+    }
+
+    setIcon(icon) {
+        this.options = { ...this.options, icon };
+        return this;
+    }
+
+    bindPopup(content) {
+        this.popup = content;
+        return this;
+    }
+
+    setPopupContent(content) {
+        this.popup = content;
+        return this;
+    }
+
+    // What a user dragging the pin to `latLng` would cause.
+    dragTo(latLng) {
+        this.fire('dragstart');
+        this.setLatLng(latLng);
+        this.fire('dragend');
+    }
+}
+
+export function createFakeLeaflet() {
+    const maps = [];
+    const L = {
+        maps,
+        map(container) {
+            const map = new FakeMap(container);
+            maps.push(map);
+            return map;
+        },
+        marker: (latLng, options) => new FakeMarker(latLng, options),
+        layerGroup: () => new FakeLayerGroup(),
+        markerClusterGroup: (options) => new FakeLayerGroup(options)
+    };
+    return {
+        L,
+        addBaseLayer: () => {},
+        markerIcon: (color, label) => ({ color, label })
+    };
+}
+
+function toPoint(latLng) {
+    return Array.isArray(latLng) ? { lat: latLng[0], lng: latLng[1] } : { lat: latLng.lat, lng: latLng.lng };
+}
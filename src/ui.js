@@ -0,0 +1,52 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+// --- Shared UI Components ---
+
+// On phones a modal is a full-screen sheet; from the `sm` breakpoint up, a centred dialog
+// `maxWidth` wide. Long content scrolls inside it, below a header that stays put.
+export function Modal({ children, onClose, title, maxWidth = 'max-w-md' }) {
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-stretch sm:items-center z-50 sm:p-4">
+            <div role="dialog" aria-modal="true" aria-label={title} className={`bg-gray-800 sm:rounded-lg shadow-xl w-full ${SHEET_MAX_WIDTHS[maxWidth] || maxWidth} sm:max-h-[90vh] flex flex-col sm:border border-gray-700`}>
+                <div className="flex justify-between items-center p-4 pt-[max(1rem,env(safe-area-inset-top))] sm:pt-4 border-b border-gray-700 flex-shrink-0">
+                    <h3 className="text-xl font-bold text-cyan-400">{title}</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white" title="Close">
+                        <X size={24} />
+                    </button>
+                </div>
+                <div className="p-6 pb-[max(1.5rem,env(safe-area-inset-bottom))] sm:pb-6 overflow-y-auto flex-grow">
+                    {children}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// Tailwind only generates classes spelled out in full, so each width's `sm:` form is listed.
+const SHEET_MAX_WIDTHS = {
+    'max-w-md': 'sm:max-w-md',
+    'max-w-lg': 'sm:max-w-lg',
+    'max-w-xl': 'sm:max-w-xl',
+    'max-w-2xl': 'sm:max-w-2xl',
+    'max-w-3xl': 'sm:max-w-3xl'
+};
+
+export function LoadingSpinner() {
+    return (
+        <div className="flex justify-center items-center h-64">
+            <div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-cyan-400"></div>
+        </div>
+    );
+}
+
+export function ErrorMessage({ message, onClose }) {
+    return (
+        <div className="my-4 p-4 bg-red-500/20 border border-red-500/50 text-red-300 rounded-lg flex justify-between items-center" role="alert">
+            <p>{message}</p>
+            <button onClick={onClose} className="text-red-300 hover:text-white" title="Dismiss">
+                <X size={20} />
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,133 @@
+import { appId } from './config';
+
+// --- Workspaces ---
+// Each workspace (e.g. a branch office) has its own cameras, jobs and members, with a role per
+// member. Shared by every repository adapter so documents look the same in each backend.
+//
+// The store that existed before workspaces is the default workspace and keeps its original
+// location, so nothing had to be migrated. Everyone who signs in is a member of it; other
+// workspaces are joined by invitation only.
+
+export const DEFAULT_WORKSPACE_ID = 'default';
+export const DEFAULT_WORKSPACE_NAME = 'Main';
+export const DEFAULT_WORKSPACE = { id: DEFAULT_WORKSPACE_ID, name: DEFAULT_WORKSPACE_NAME };
+
+const LAST_WORKSPACE_KEY = `camera-tracker:${appId}:workspace`;
+
+/**
+ * @typedef {Object} Workspace
+ * @property {string} id
+ * @property {string} name
+ *
+ * An invitation to join a workspace, addressed to an email address. Accepting it makes the
+ * invitee a member with the invited role.
+ *
+ * @typedef {Object} Invitation
+ * @property {string} id  See `invitationId`.
+ * @property {string} workspaceId
+ * @property {string} workspaceName
+ * @property {string} email  Lower-cased.
+ * @property {'admin'|'technician'|'viewer'} role
+ * @property {string} invitedBy
+ * @property {Date} createdAt
+ */
+
+// Where the workspace's collections live in Firestore.
+export function workspacePath(workspaceId) {
+    return workspaceId === DEFAULT_WORKSPACE_ID
+        ? `artifacts/${appId}/public/data`
+        : `artifacts/${appId}/workspaces/${workspaceId}`;
+}
+
+export function normalizeEmail(email) {
+    return email.trim().toLowerCase();
+}
+
+// One invitation per workspace and address, so inviting someone twice cannot leave duplicates
+// and the security rules can find the invitation a new member is joining with.
+export function invitationId(workspaceId, email) {
+    return `${workspaceId}:${normalizeEmail(email)}`;
+}
+
+export function newWorkspaceDoc(name, userId) {
+    return {
+        name: name.trim(),
+        createdBy: userId
+    };
+}
+
+export function newInvitationDoc(workspace, email, role, userId) {
+    return {
+        workspaceId: workspace.id,
+        workspaceName: workspace.name,
+        email: normalizeEmail(email),
+        role,
+        invitedBy: userId
+    };
+}
+
+// The member's profile in a workspace they join, copied from their default-workspace profile.
+export function newMemberDoc(profile, email, role) {
+    return {
+        displayName: profile?.displayName || email.split('@')[0],
+        email,
+        role
+    };
+}
+
+// --- Camera Transfers ---
+
+// Deployed cameras are checked in first, so the deployment is closed where it was made.
+// Archived cameras are restored first, so they are not moved out of sight.
+export function assertCanTransfer(camera) {
+    if (camera.status === 'in_use') {
+        throw Object.assign(new Error(`${camera.cameraNumber} is checked out. Check it in before transferring it.`), { code: 'conflict' });
+    }
+    if (camera.archived) {
+        throw Object.assign(new Error(`${camera.cameraNumber} is archived. Restore it before transferring it.`), { code: 'conflict' });
+    }
+}
+
+// The camera as written to the receiving workspace. Jobs belong to the workspace it leaves,
+// so links to them are dropped; history events keep theirs as a record.
+export function transferredFields(camera) {
+    const fields = { ...camera, jobId: '', deployedJobIds: [] };
+    delete fields.id;
+    delete fields.pendingSync;
+    return fields;
+}
+
+// Left behind in the workspace the camera leaves, written with the transfer; the security rules
+// only let a camera that is not archived be deleted while it arrives where this says it went.
+export function departureDoc(to) {
+    return { workspaceId: to.id };
+}
+
+export function transferEvent(from, to, userId) {
+    return {
+        type: 'transferred',
+        fromWorkspaceId: from.id,
+        fromWorkspaceName: from.name,
+        toWorkspaceId: to.id,
+        toWorkspaceName: to.name,
+        userId
+    };
+}
+
+// --- Last Used Workspace ---
+
+export function lastWorkspaceId() {
+    try {
+        return window.localStorage.getItem(LAST_WORKSPACE_KEY) || DEFAULT_WORKSPACE_ID;
+    } catch (e) {
+        return DEFAULT_WORKSPACE_ID;
+    }
+}
+
+export function rememberWorkspaceId(workspaceId) {
+    try {
+        window.localStorage.setItem(LAST_WORKSPACE_KEY, workspaceId);
+    } catch (e) {
+        // The default workspace opens after a reload; nothing else depends on this.
+    }
+}